@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { isEntryPoint, listFlag, parseArgs } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { buildConversation, groupByChat } from './src/analysis/conversation.js';
+import { PROMPT_VERSION, buildPrompt } from './src/analysis/prompt.js';
+import { createProvider } from './src/analysis/providers.js';
+import { loadTaxonomy } from './src/analysis/taxonomy.js';
+import { HISTORY_COLUMNS, JSONB_FIELDS, REPORT_COLUMNS, toHistoryRow, toReportRow } from './src/analysis/report.js';
+import { parseAnswer, repairPrompt, validateAnalysis } from './src/analysis/validation.js';
+import { createSourcePool, describeSource } from './src/db/sourceConnection.js';
+import { quoteIdent } from './src/db/sql.js';
+
+loadEnvironment();
+
+const JSON_COLUMNS = new Set([...JSONB_FIELDS, 'analysis']);
+
+// Multi-row VALUES with one placeholder per cell
+function valuesClause(rows, columns) {
+  const params = [];
+  const values = rows.map(row => {
+    const placeholders = columns.map(column => {
+      const value = row[column];
+      // node-pg would send JS arrays as Postgres arrays, not JSON
+      params.push(JSON_COLUMNS.has(column) && value !== null ? JSON.stringify(value) : value);
+      return `$${params.length}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+  return { values: values.join(', '), params };
+}
+
+// The model's answer could not be stored, even after asking it to repair it
+export class AnalysisRejectedError extends Error {
+  constructor(remoteJid, { raw, errors, attempts, model }) {
+    super(`invalid answer after ${attempts} attempt(s): ${errors.join('; ')}`);
+    this.name = 'AnalysisRejectedError';
+    this.remoteJid = remoteJid;
+    this.raw = raw;
+    this.errors = errors;
+    this.attempts = attempts;
+    this.model = model;
+  }
+}
+
+// Sends each ConversationCache row to the configured LLM provider, validates
+// the answer (asking the model to repair it when needed) and upserts it into
+// SalesAnalysisReport, recording which provider, model and taxonomy version
+// produced it. Every stored answer is also appended to SalesAnalysisHistory
+// under the run's ID, so re-analysis keeps the earlier verdicts. Answers that
+// stay invalid go to SalesAnalysisQuarantine with the raw response. By default
+// only chats without a report are analysed.
+export class SalesAnalyzer {
+  constructor({ chats = null, reanalyze = false, limit = null, fixture = null, dryRun = false, concurrency = null, batchSize = null, repairAttempts = null, taxonomy = null } = {}) {
+    this.provider = createProvider();
+
+    this.chats = chats;
+    this.reanalyze = reanalyze;
+    this.limit = limit;
+    this.fixture = fixture;
+    this.dryRun = dryRun;
+    this.concurrency = concurrency || parseInt(process.env.CONCURRENT_CHATS || '8');
+    this.batchSize = batchSize || parseInt(process.env.BATCH_SIZE || '50');
+    this.repairAttempts = repairAttempts ?? parseInt(process.env.ANALYSIS_REPAIR_ATTEMPTS || '1');
+    this.taxonomy = taxonomy;
+
+    // A dry run over a fixture needs no database at all
+    this.sourcePool = fixture && dryRun ? null : createSourcePool();
+  }
+
+  async loadConversations() {
+    if (this.fixture) {
+      const conversations = [];
+      for (const [remoteJid, rows] of groupByChat(JSON.parse(await fs.readFile(this.fixture, 'utf8')))) {
+        if (this.chats && !this.chats.includes(remoteJid)) continue;
+        const conversation = buildConversation(remoteJid, rows, {
+          maxMessages: parseInt(process.env.MAX_CONVERSATION_LENGTH || '200')
+        });
+        if (conversation) conversations.push(conversation);
+      }
+      return this.limit ? conversations.slice(0, this.limit) : conversations;
+    }
+
+    const params = [];
+    const conditions = ['c.conversation_text IS NOT NULL'];
+    if (!this.reanalyze) conditions.push('r."remoteJid" IS NULL');
+    if (this.chats) {
+      params.push(this.chats);
+      conditions.push(`c."remoteJid" = ANY($${params.length})`);
+    }
+    if (this.limit) params.push(this.limit);
+
+    const result = await this.sourcePool.query(`
+      SELECT c."remoteJid", c.conversation_text, c.chat_name, c.total_messages,
+        c.conversation_duration_days, c.last_customer_message_time
+      FROM "ConversationCache" c
+      LEFT JOIN "SalesAnalysisReport" r ON r."remoteJid" = c."remoteJid"
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY c.last_customer_message_time DESC NULLS LAST, c."remoteJid"
+      ${this.limit ? `LIMIT $${params.length}` : ''}
+    `, params);
+    return result.rows;
+  }
+
+  async analyzeOne(conversation) {
+    const started = Date.now();
+    const { system, prompt } = buildPrompt(conversation, this.taxonomy);
+
+    let request = prompt;
+    for (let attempt = 1; ; attempt++) {
+      const { text, model } = await this.provider.complete({ remoteJid: conversation.remoteJid, system, prompt: request, attempt });
+
+      let result;
+      try {
+        result = validateAnalysis(parseAnswer(text), this.taxonomy);
+      } catch (error) {
+        result = { analysis: null, errors: [error.message] };
+      }
+
+      if (result.errors.length === 0) {
+        const row = toReportRow(result.analysis, conversation, {
+          provider: this.provider.name,
+          model,
+          processingTimeMs: Date.now() - started,
+          taxonomyVersion: this.taxonomy.version
+        });
+        return { row, attempts: attempt };
+      }
+      if (attempt > this.repairAttempts) {
+        throw new AnalysisRejectedError(conversation.remoteJid, { raw: text, errors: result.errors, attempts: attempt, model });
+      }
+      request = repairPrompt(prompt, text, result.errors);
+    }
+  }
+
+  async analyze() {
+    this.runId = crypto.randomUUID();
+    const stats = { runId: this.runId, analysed: 0, repaired: 0, quarantined: 0, failed: 0, written: 0, provider: this.provider.name, model: this.provider.model, failures: [] };
+    const pending = [];
+
+    // A failed write rolls back the whole batch, so every row in it failed
+    const flush = async () => {
+      if (pending.length === 0 || this.dryRun) return;
+      const rows = pending.splice(0);
+      try {
+        stats.written += await this.upsert(rows);
+      } catch (error) {
+        stats.failed += rows.length;
+        console.error(`  ❌ Writing ${rows.length} analyses failed: ${error.message}`);
+        for (const row of rows) stats.failures.push({ remoteJid: row.remoteJid, error: error.message });
+      }
+    };
+
+    try {
+      this.taxonomy ||= await loadTaxonomy({ pool: this.sourcePool });
+      stats.taxonomyVersion = this.taxonomy.version;
+      const conversations = await this.loadConversations();
+      console.log(`🤖 Analysing ${conversations.length} conversations from ${this.fixture || describeSource()} with ${this.provider.describe()}, taxonomy ${this.taxonomy.version}, ${this.concurrency} at a time (run ${this.runId})...`);
+
+      // A fixed number of workers pulling from one queue
+      let next = 0;
+      const worker = async () => {
+        while (next < conversations.length) {
+          const conversation = conversations[next++];
+          try {
+            const { row, attempts } = await this.analyzeOne(conversation);
+            stats.analysed++;
+            if (attempts > 1) stats.repaired++;
+            if (this.dryRun) {
+              console.log(`  📝 ${row.remoteJid}: ${[row.product_category, row.product_subcategory].filter(Boolean).join(' / ')} | ${row.lead_stage} | urgency ${row.urgency_level} | confidence ${row.analysis_confidence}`);
+            } else {
+              pending.push(row);
+              if (pending.length >= this.batchSize) await flush();
+            }
+          } catch (error) {
+            if (error instanceof AnalysisRejectedError) {
+              stats.quarantined++;
+              if (!this.dryRun) await this.quarantine(error);
+              console.error(`  🚧 ${conversation.remoteJid} quarantined: ${error.message}`);
+            } else {
+              stats.failed++;
+              console.error(`  ❌ ${conversation.remoteJid}: ${error.message}`);
+            }
+            stats.failures.push({ remoteJid: conversation.remoteJid, error: error.message });
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, conversations.length) }, worker));
+      await flush();
+
+      console.log(this.dryRun
+        ? `✅ ${stats.analysed} analysed (${stats.repaired} after repair), ${stats.quarantined} quarantined, ${stats.failed} failed (dry run, nothing written)`
+        : `✅ ${stats.analysed} analysed (${stats.repaired} after repair), ${stats.written} written to SalesAnalysisReport, ${stats.quarantined} quarantined, ${stats.failed} failed`);
+      return stats;
+
+    } finally {
+      if (this.sourcePool) await this.sourcePool.end();
+    }
+  }
+
+  // The report, its history entry and the quarantine release commit together
+  async upsert(rows) {
+    const client = await this.sourcePool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const report = valuesClause(rows, REPORT_COLUMNS);
+      const updates = REPORT_COLUMNS.slice(1).map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`);
+      const result = await client.query(`
+        INSERT INTO "SalesAnalysisReport" (${REPORT_COLUMNS.map(quoteIdent).join(', ')})
+        VALUES ${report.values}
+        ON CONFLICT ("remoteJid") DO UPDATE SET ${updates.join(', ')}, analysis_time = NOW()
+      `, report.params);
+
+      const history = valuesClause(rows.map(row => toHistoryRow(row, { runId: this.runId, promptVersion: PROMPT_VERSION })), HISTORY_COLUMNS);
+      await client.query(`
+        INSERT INTO "SalesAnalysisHistory" (${HISTORY_COLUMNS.map(quoteIdent).join(', ')})
+        VALUES ${history.values}
+      `, history.params);
+
+      // A clean analysis releases the chat from quarantine
+      await client.query('DELETE FROM "SalesAnalysisQuarantine" WHERE "remoteJid" = ANY($1)', [rows.map(row => row.remoteJid)]);
+
+      await client.query('COMMIT');
+      return result.rowCount;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async quarantine(rejection) {
+    await this.sourcePool.query(`
+      INSERT INTO "SalesAnalysisQuarantine" ("remoteJid", raw_response, errors, attempts, ai_provider, ai_model_used)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT ("remoteJid") DO UPDATE SET
+        raw_response = EXCLUDED.raw_response,
+        errors = EXCLUDED.errors,
+        attempts = EXCLUDED.attempts,
+        ai_provider = EXCLUDED.ai_provider,
+        ai_model_used = EXCLUDED.ai_model_used,
+        quarantined_at = NOW()
+    `, [rejection.remoteJid, rejection.raw, JSON.stringify(rejection.errors), rejection.attempts, this.provider.name, rejection.model]);
+  }
+}
+
+async function main() {
+  const { flags } = parseArgs(process.argv.slice(2));
+
+  let analyzer;
+  try {
+    analyzer = new SalesAnalyzer({
+      chats: listFlag(flags.chats),
+      reanalyze: Boolean(flags.reanalyze),
+      limit: flags.limit ? parseInt(flags.limit) : null,
+      fixture: typeof flags.fixture === 'string' ? flags.fixture : null,
+      dryRun: Boolean(flags['dry-run']),
+      concurrency: flags.concurrency ? parseInt(flags.concurrency) : null,
+      repairAttempts: flags['repair-attempts'] !== undefined ? parseInt(flags['repair-attempts']) : null
+    });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
+  try {
+    const { failed, quarantined } = await analyzer.analyze();
+    process.exit(failed + quarantined > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('💥 Analysis failed:', error.message);
+    process.exit(2);
+  }
+}
+
+if (isEntryPoint(import.meta.url)) main();
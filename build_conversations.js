@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+import Cursor from 'pg-cursor';
+import fs from 'fs/promises';
+import { isEntryPoint, listFlag, parseArgs } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { DIRECT_CHAT_PATTERN, buildConversation, groupByChat } from './src/analysis/conversation.js';
+import { createSourcePool, describeSource } from './src/db/sourceConnection.js';
+import { quoteIdent } from './src/db/sql.js';
+
+loadEnvironment();
+
+const CACHE_COLUMNS = [
+  'remoteJid',
+  'conversation_text',
+  'total_messages',
+  'conversation_duration_days',
+  'last_customer_message_time',
+  'chat_name'
+];
+
+// Rebuilds ConversationCache from the Evolution "Message" table: one row per
+// direct chat with the rendered transcript and its counters. Messages are
+// read through a cursor ordered by chat, so only one chat is held at a time.
+// Re-running is safe - rows are upserted on remoteJid and left untouched when
+// nothing changed.
+export class ConversationCacheBuilder {
+  constructor({ since = null, chats = null, maxMessages = null, fixture = null, dryRun = false, batchSize = 100, cursorBatchSize = 2000 } = {}) {
+    if (since && isNaN(Date.parse(since))) {
+      throw new Error(`--since must be a date (YYYY-MM-DD), got "${since}"`);
+    }
+    this.since = since;
+    this.chats = chats;
+    this.maxMessages = maxMessages || parseInt(process.env.MAX_CONVERSATION_LENGTH || '200');
+    this.fixture = fixture;
+    this.dryRun = dryRun;
+    this.batchSize = batchSize;
+    this.cursorBatchSize = cursorBatchSize;
+
+    // A dry run over a fixture needs no database at all
+    this.sourcePool = fixture && dryRun ? null : createSourcePool();
+  }
+
+  async build() {
+    const stats = { chats: 0, written: 0, empty: 0, messages: 0 };
+    const pending = [];
+
+    const flush = async () => {
+      if (pending.length > 0) stats.written += await this.upsert(pending.splice(0));
+    };
+
+    const onChat = async (remoteJid, rows) => {
+      stats.messages += rows.length;
+      const conversation = buildConversation(remoteJid, rows, { maxMessages: this.maxMessages });
+      if (!conversation) {
+        stats.empty++;
+        return;
+      }
+      stats.chats++;
+      if (this.dryRun) {
+        this.printConversation(conversation);
+        return;
+      }
+      pending.push(conversation);
+      if (pending.length >= this.batchSize) await flush();
+    };
+
+    try {
+      console.log(this.fixture
+        ? `💬 Building conversations from ${this.fixture}...`
+        : `💬 Building conversations from ${describeSource()} "Message"...`);
+
+      if (this.fixture) {
+        await this.readFixture(onChat);
+      } else {
+        await this.readMessages(onChat);
+      }
+      await flush();
+
+      console.log(this.dryRun
+        ? `✅ ${stats.chats} conversations built from ${stats.messages} messages (dry run, nothing written)`
+        : `✅ ${stats.chats} conversations built: ${stats.written} written to ConversationCache, ${stats.chats - stats.written} unchanged`);
+      if (stats.empty > 0) {
+        console.log(`📭 ${stats.empty} chats had no text to show (only reactions, deletions, ...)`);
+      }
+
+      return { ...stats, unchanged: this.dryRun ? null : stats.chats - stats.written, dryRun: this.dryRun };
+
+    } finally {
+      if (this.sourcePool) await this.sourcePool.end();
+    }
+  }
+
+  async readFixture(onChat) {
+    let rows = JSON.parse(await fs.readFile(this.fixture, 'utf8'));
+    if (this.since) {
+      const since = Date.parse(this.since) / 1000;
+      const active = new Set(rows.filter(row => Number(row.messageTimestamp) >= since).map(row => row.key?.remoteJid));
+      rows = rows.filter(row => active.has(row.key?.remoteJid));
+    }
+
+    for (const [remoteJid, chatRows] of groupByChat(rows)) {
+      if (this.chats && !this.chats.includes(remoteJid)) continue;
+      await onChat(remoteJid, chatRows);
+    }
+  }
+
+  // contextInfo is read through to_jsonb so older Evolution schemas without
+  // the column still work
+  async readMessages(onChat) {
+    const params = [DIRECT_CHAT_PATTERN];
+    const conditions = [`m.key->>'remoteJid' ~ $1`];
+    if (this.since) {
+      params.push(Math.floor(Date.parse(this.since) / 1000));
+      // Whole chats, as long as they were active since then
+      conditions.push(`m.key->>'remoteJid' IN (
+        SELECT key->>'remoteJid' FROM "Message" WHERE "messageTimestamp" >= $${params.length}
+      )`);
+    }
+    if (this.chats) {
+      params.push(this.chats);
+      conditions.push(`m.key->>'remoteJid' = ANY($${params.length})`);
+    }
+
+    const client = await this.sourcePool.connect();
+    const cursor = client.query(new Cursor(`
+      SELECT m.id, m.key, m.message, m."messageType", m."messageTimestamp", m."pushName",
+        to_jsonb(m)->'contextInfo' AS "contextInfo"
+      FROM "Message" m
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY m.key->>'remoteJid', m."messageTimestamp", m.id
+    `, params));
+
+    let current = null;
+    let rows = [];
+    try {
+      while (true) {
+        const batch = await cursor.read(this.cursorBatchSize);
+        if (batch.length === 0) break;
+
+        for (const row of batch) {
+          const remoteJid = row.key.remoteJid;
+          if (remoteJid !== current) {
+            if (current) await onChat(current, rows);
+            current = remoteJid;
+            rows = [];
+          }
+          rows.push(row);
+        }
+      }
+      if (current) await onChat(current, rows);
+    } finally {
+      await cursor.close();
+      client.release();
+    }
+  }
+
+  // Returns how many rows were inserted or actually changed
+  async upsert(conversations) {
+    const params = [];
+    const values = conversations.map(conversation => {
+      const placeholders = CACHE_COLUMNS.map(column => {
+        params.push(conversation[column]);
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    const updates = CACHE_COLUMNS.slice(1).map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`);
+    const changed = CACHE_COLUMNS.slice(1).map(column => `"ConversationCache".${quoteIdent(column)} IS DISTINCT FROM EXCLUDED.${quoteIdent(column)}`);
+
+    const result = await this.sourcePool.query(`
+      INSERT INTO "ConversationCache" (${CACHE_COLUMNS.map(quoteIdent).join(', ')})
+      VALUES ${values.join(', ')}
+      ON CONFLICT ("remoteJid") DO UPDATE SET ${updates.join(', ')}, processed_at = NOW()
+      WHERE ${changed.join(' OR ')}
+    `, params);
+    return result.rowCount;
+  }
+
+  printConversation(conversation) {
+    console.log(`\n📱 ${conversation.remoteJid}${conversation.chat_name ? ` (${conversation.chat_name})` : ''}: ${conversation.total_messages} messages over ${conversation.conversation_duration_days} days`);
+    console.log(conversation.conversation_text.replace(/^/gm, '   '));
+  }
+}
+
+async function main() {
+  const { flags } = parseArgs(process.argv.slice(2));
+
+  let builder;
+  try {
+    builder = new ConversationCacheBuilder({
+      since: flags.since || null,
+      chats: listFlag(flags.chats),
+      maxMessages: flags['max-messages'] ? parseInt(flags['max-messages']) : null,
+      fixture: typeof flags.fixture === 'string' ? flags.fixture : null,
+      dryRun: Boolean(flags['dry-run'])
+    });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
+  try {
+    await builder.build();
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Conversation build failed:', error.message);
+    process.exit(2);
+  }
+}
+
+if (isEntryPoint(import.meta.url)) main();
@@ -1,52 +1,121 @@
 #!/usr/bin/env node
 
-import dotenv from 'dotenv';
-import { createClient } from '@supabase/supabase-js';
+import fs from 'fs/promises';
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSourcePool } from './src/db/sourceConnection.js';
+import { createTargetTransport } from './src/db/targetConnection.js';
+import { MigrationVerifier } from './src/migration/verifier.js';
 
-dotenv.config();
+loadEnvironment();
 
-async function checkMigrationStatus() {
-  try {
-    const supabase = createClient(
-      process.env.SUPABASE_PROJECT_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
-
-    console.log('🔍 Checking migration status...');
-
-    const tables = [
-      'Instance', 'Chat', 'Contact', 'Message', 'IsOnWhatsapp',
-      'ConversationCache', 'SalesAnalysisReport', 'AppleAnalysisReport'
-    ];
-
-    for (const tableName of tables) {
-      try {
-        const { count, error } = await supabase
-          .from(tableName)
-          .select('*', { count: 'exact', head: true });
-
-        if (error) {
-          console.log(`❌ ${tableName}: Error - ${error.message}`);
-        } else {
-          console.log(`✅ ${tableName}: ${count?.toLocaleString() || 0} records`);
+const MAX_KEYS_SHOWN = 20;
+
+function printKeys(label, keys) {
+  if (keys.length === 0) return;
+  console.log(`    ${label} (${keys.length.toLocaleString()}): ${keys.slice(0, MAX_KEYS_SHOWN).join(', ')}${keys.length > MAX_KEYS_SHOWN ? ', ...' : ''}`);
+}
+
+// Compares source and target per table: row counts, and with the pg
+// transport bucketed row checksums that pinpoint missing, extra and
+// mismatched keys
+export class MigrationStatusChecker {
+  constructor({ tables = null, countsOnly = false } = {}) {
+    this.sourcePool = createSourcePool();
+    this.target = createTargetTransport();
+    this.verifier = new MigrationVerifier({ sourcePool: this.sourcePool, target: this.target });
+    this.tables = tables;
+    this.countsOnly = countsOnly;
+  }
+
+  async check() {
+    try {
+      console.log(`🔍 Checking migration status (target: ${this.target.kind} ${this.target.describe()})...`);
+      if (!this.countsOnly && this.target.kind !== 'pg') {
+        console.warn('⚠️ Row checksums need the pg transport - comparing counts only');
+      }
+
+      const tables = this.tables || await this.verifier.getSourceTables();
+
+      const reports = [];
+      for (const tableName of tables) {
+        const report = await this.verifier.verifyTable(tableName, { checksums: !this.countsOnly });
+        reports.push(report);
+
+        if (report.status === 'error') {
+          console.log(`❌ ${tableName}: Error - ${report.error}`);
+          continue;
         }
-      } catch (err) {
-        console.log(`❌ ${tableName}: ${err.message}`);
+
+        const status = report.status === 'ok' ? '✅' : '❌';
+        console.log(`${status} ${tableName}: source ${report.sourceCount.toLocaleString()} / target ${report.targetCount.toLocaleString()}`);
+
+        if (report.buckets) {
+          console.log(`    Checksums: ${report.buckets.total - report.buckets.mismatched}/${report.buckets.total} buckets match`);
+        } else if (report.checksums) {
+          console.log(`    Checksums ${report.checksums}`);
+        }
+        if (report.skippedColumns?.length > 0) {
+          console.log(`    ⚠️ Not on target, not compared: ${report.skippedColumns.join(', ')}`);
+        }
+
+        printKeys('Missing', report.missing);
+        printKeys('Extra', report.extra);
+        printKeys('Mismatched', report.mismatched);
       }
+
+      const failed = reports.filter(report => report.status !== 'ok');
+
+      console.log('\n📊 Migration Verification Summary');
+      console.log('='.repeat(50));
+      console.log(`✅ Verified: ${reports.length - failed.length}/${reports.length} tables`);
+      if (failed.length > 0) {
+        console.log(`❌ Differences in: ${failed.map(report => report.table).join(', ')}`);
+      }
+
+      return {
+        generatedAt: new Date().toISOString(),
+        complete: failed.length === 0,
+        tables: reports
+      };
+
+    } finally {
+      await this.sourcePool.end();
+      await this.target.end();
     }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const reportArg = args.find(arg => arg.startsWith('--report='));
+  const tablesArg = args.find(arg => arg.startsWith('--tables='));
 
-    console.log('\n📊 Migration Progress Summary');
-    console.log('Expected totals:');
-    console.log('  Instance: 1 records');
-    console.log('  Chat: 17,709 records');
-    console.log('  Contact: 1,315 records');
-    console.log('  Message: 167,467 records');
-    console.log('  SalesAnalysisReport: 16,164 records');
-    console.log('  ConversationCache: 16,164 records');
+  let checker;
+  try {
+    checker = new MigrationStatusChecker({
+      tables: tablesArg ? tablesArg.split('=')[1].split(',') : null,
+      countsOnly: args.includes('--counts-only')
+    });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
+  try {
+    const result = await checker.check();
+
+    if (reportArg) {
+      const reportFile = reportArg.split('=')[1];
+      await fs.writeFile(reportFile, JSON.stringify({ generatedAt: result.generatedAt, tables: result.tables }, null, 2));
+      console.log(`📝 Full report written to ${reportFile}`);
+    }
 
+    process.exit(result.complete ? 0 : 1);
   } catch (error) {
     console.error('❌ Status check failed:', error.message);
+    process.exit(2);
   }
 }
 
-checkMigrationStatus();
\ No newline at end of file
+if (isEntryPoint(import.meta.url)) main();
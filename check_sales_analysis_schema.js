@@ -1,82 +1,102 @@
 #!/usr/bin/env node
 
-import dotenv from 'dotenv';
-import pkg from 'pg';
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSourcePool } from './src/db/sourceConnection.js';
 
-dotenv.config();
-const { Pool } = pkg;
+loadEnvironment();
 
-async function checkSalesAnalysisSchema() {
-  const pool = new Pool({
-    user: process.env.DB_USER,
-    host: process.env.DB_HOST,
-    database: process.env.DB_NAME,
-    password: process.env.DB_PASSWORD,
-    port: process.env.DB_PORT,
-  });
+const LONG_FIELD = 200;
 
-  try {
-    console.log('🔍 Checking SalesAnalysisReport schema differences...');
-
-    const result = await pool.query(`
-      SELECT column_name, data_type, character_maximum_length, is_nullable
-      FROM information_schema.columns
-      WHERE table_name = 'SalesAnalysisReport'
-      ORDER BY column_name
-    `);
-
-    console.log('\nSource SalesAnalysisReport columns:');
-    result.rows.forEach(row => {
-      const { column_name, data_type, character_maximum_length, is_nullable } = row;
-      let dataType = data_type;
-
-      if (data_type === 'character varying' && character_maximum_length) {
-        dataType = `VARCHAR(${character_maximum_length})`;
-      } else if (data_type === 'character varying') {
-        dataType = 'TEXT';
-      } else if (data_type === 'jsonb') {
-        dataType = 'JSONB';
-      } else if (data_type === 'text') {
-        dataType = 'TEXT';
-      } else if (data_type === 'boolean') {
-        dataType = 'BOOLEAN';
-      } else if (data_type === 'numeric') {
-        dataType = 'DECIMAL(3,2)';
-      } else if (data_type === 'integer') {
-        dataType = 'INTEGER';
-      } else if (data_type === 'timestamp with time zone') {
-        dataType = 'TIMESTAMP WITH TIME ZONE';
-      } else if (data_type === 'timestamp without time zone') {
-        dataType = 'TIMESTAMP';
-      }
+function describeType({ data_type, character_maximum_length }) {
+  if (data_type === 'character varying') {
+    return character_maximum_length ? `VARCHAR(${character_maximum_length})` : 'TEXT';
+  }
+  const names = {
+    jsonb: 'JSONB',
+    text: 'TEXT',
+    boolean: 'BOOLEAN',
+    numeric: 'DECIMAL(3,2)',
+    integer: 'INTEGER',
+    'timestamp with time zone': 'TIMESTAMP WITH TIME ZONE',
+    'timestamp without time zone': 'TIMESTAMP'
+  };
+  return names[data_type] || data_type;
+}
+
+// Lists the source SalesAnalysisReport columns and flags values in a sample
+// record long enough to overflow a narrower target column
+export class SalesAnalysisSchemaChecker {
+  constructor() {
+    this.pool = createSourcePool();
+  }
+
+  async check() {
+    try {
+      console.log('🔍 Checking SalesAnalysisReport schema differences...');
+
+      const result = await this.pool.query(`
+        SELECT column_name, data_type, character_maximum_length, is_nullable
+        FROM information_schema.columns
+        WHERE table_name = 'SalesAnalysisReport'
+        ORDER BY column_name
+      `);
 
-      const nullable = is_nullable === 'YES' ? '' : ' NOT NULL';
-      console.log(`  "${column_name}": ${dataType}${nullable}`);
-    });
+      const columns = result.rows.map(row => ({
+        name: row.column_name,
+        type: describeType(row),
+        nullable: row.is_nullable === 'YES'
+      }));
+
+      console.log('\nSource SalesAnalysisReport columns:');
+      for (const column of columns) {
+        console.log(`  "${column.name}": ${column.type}${column.nullable ? '' : ' NOT NULL'}`);
+      }
 
-    // Get a sample record to see the actual data structure
-    console.log('\n🔍 Sample record structure:');
-    const sampleResult = await pool.query(`
-      SELECT * FROM "SalesAnalysisReport" LIMIT 1
-    `);
+      // Get a sample record to see the actual data structure
+      console.log('\n🔍 Sample record structure:');
+      const sampleResult = await this.pool.query(`
+        SELECT * FROM "SalesAnalysisReport" LIMIT 1
+      `);
 
-    if (sampleResult.rows.length > 0) {
-      const sample = sampleResult.rows[0];
-      console.log('Sample data keys:', Object.keys(sample));
+      const longFields = [];
+      if (sampleResult.rows.length > 0) {
+        const sample = sampleResult.rows[0];
+        console.log('Sample data keys:', Object.keys(sample));
 
-      // Check for problematic fields
-      for (const [key, value] of Object.entries(sample)) {
-        if (typeof value === 'string' && value.length > 200) {
-          console.log(`⚠️  Long field "${key}": ${value.length} chars - "${value.substring(0, 50)}..."`);
+        // Check for problematic fields
+        for (const [key, value] of Object.entries(sample)) {
+          if (typeof value === 'string' && value.length > LONG_FIELD) {
+            console.log(`⚠️  Long field "${key}": ${value.length} chars - "${value.substring(0, 50)}..."`);
+            longFields.push({ column: key, length: value.length });
+          }
         }
       }
+
+      return { columns, longFields };
+
+    } finally {
+      await this.pool.end();
     }
+  }
+}
 
+async function main() {
+  let checker;
+  try {
+    checker = new SalesAnalysisSchemaChecker();
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
+  try {
+    await checker.check();
+    process.exit(0);
   } catch (error) {
     console.error('Error:', error.message);
-  } finally {
-    await pool.end();
+    process.exit(2);
   }
 }
 
-checkSalesAnalysisSchema();
\ No newline at end of file
+if (isEntryPoint(import.meta.url)) main();
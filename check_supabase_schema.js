@@ -1,9 +1,13 @@
 #!/usr/bin/env node
 
-import { supabase } from './src/config/supabase.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSupabaseClient } from './src/config/supabase.js';
+
+loadEnvironment();
 
 async function checkSupabaseSchema() {
   try {
+    const supabase = createSupabaseClient();
     console.log('🔍 Checking SalesAnalysisReport schema in Supabase...');
 
     // Get a sample record to see available columns
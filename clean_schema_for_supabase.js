@@ -1,21 +1,28 @@
 #!/usr/bin/env node
 
 import fs from 'fs/promises';
+import { isEntryPoint } from './src/cli/args.js';
+
+// Tidies supabase_export/schema.sql into supabase_schema.sql for pasting
+// into the Supabase SQL Editor
+export class SchemaCleaner {
+  constructor({ input = './supabase_export/schema.sql', output = './supabase_export/supabase_schema.sql' } = {}) {
+    this.input = input;
+    this.output = output;
+  }
 
-async function cleanSchema() {
-  try {
-    console.log('🧹 Cleaning schema.sql for Supabase import...');
+  async clean() {
+    console.log(`🧹 Cleaning ${this.input} for Supabase import...`);
 
-    const schemaContent = await fs.readFile('./supabase_export/schema.sql', 'utf8');
+    const schemaContent = await fs.readFile(this.input, 'utf8');
 
-    // Clean up the escaped newlines and fix formatting
+    // Tidy formatting
     let cleanedSchema = schemaContent
-      .replace(/\\n/g, '\n')  // Fix escaped newlines
       .replace(/\n{3,}/g, '\n\n')  // Remove excessive blank lines
-      .replace(/-- Index: /g, '\n-- Index: ')  // Better index formatting
-      .replace(/DEFAULT 'open'::"InstanceConnectionStatus"/g, "DEFAULT 'open'")  // Fix enum defaults
-      .replace(/::"[^"]*"/g, '')  // Remove type casts
-      .replace(/TEXT NOT NULL DEFAULT 'open'/g, "TEXT DEFAULT 'open'");  // Fix invalid syntax
+      .replace(/-- Index: /g, '\n-- Index: ');  // Better index formatting
+
+    // Enum types, casts and constraints are exported with their real
+    // definitions, so the schema is imported as-is
 
     // Add proper header
     const header = `-- Evolution API + Analysis System Schema
@@ -26,18 +33,27 @@ async function cleanSchema() {
 
     cleanedSchema = header + cleanedSchema;
 
-    await fs.writeFile('./supabase_export/supabase_schema.sql', cleanedSchema);
+    await fs.writeFile(this.output, cleanedSchema);
 
-    console.log('✅ Cleaned schema saved as supabase_schema.sql');
+    console.log(`✅ Cleaned schema saved as ${this.output}`);
     console.log('📋 Next steps:');
     console.log('   1. Open Supabase SQL Editor');
-    console.log('   2. Copy and paste supabase_schema.sql content');
+    console.log(`   2. Copy and paste ${this.output} content`);
     console.log('   3. Run the SQL to create all tables');
     console.log('   4. Come back here to run data migration');
 
+    return { input: this.input, output: this.output, bytes: Buffer.byteLength(cleanedSchema) };
+  }
+}
+
+async function main() {
+  try {
+    await new SchemaCleaner().clean();
+    process.exit(0);
   } catch (error) {
     console.error('❌ Error:', error.message);
+    process.exit(2);
   }
 }
 
-cleanSchema();
\ No newline at end of file
+if (isEntryPoint(import.meta.url)) main();
@@ -1,44 +1,41 @@
 #!/usr/bin/env node
 
-import dotenv from 'dotenv';
-import fs from 'fs/promises';
-
-dotenv.config();
-
-class SupabaseSchemaCreator {
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { printSqlReport, runSql } from './src/db/sqlRunner.js';
+import { createTargetTransport, getTargetConfig } from './src/db/targetConnection.js';
+import { checkPlan, createPlan, loadPlan, parsePlanArgs, printPlan, savePlan } from './src/migration/plan.js';
+import { loadMigrations } from './src/schema/migrations.js';
+
+loadEnvironment();
+
+const SECTION_ICONS = {
+  'core tables': '🏗️',
+  'message tables': '📧',
+  'analysis tables': '📊',
+  'other tables': '🔧'
+};
+
+export class SupabaseSchemaCreator {
   constructor() {
-    this.supabaseUrl = process.env.SUPABASE_PROJECT_URL;
-    this.serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-    this.apiUrl = `${this.supabaseUrl}/rest/v1/rpc/exec`;
+    // DDL runs over a direct pg connection (TARGET_DATABASE_URL / TARGET_DB_*)
+    this.target = createTargetTransport(getTargetConfig({ ...process.env, TARGET_TRANSPORT: 'pg' }));
   }
 
+  // Each section runs in its own transaction; a failing statement rolls the
+  // section back and stops the run
   async executeSQL(sql) {
-    try {
-      const response = await fetch(this.apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.serviceKey}`,
-          'apikey': this.serviceKey
-        },
-        body: JSON.stringify({ query: sql })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
-      }
+    const report = await runSql(this.target.pool, sql);
+    printSqlReport(report);
 
-      return await response.json();
-    } catch (error) {
-      throw new Error(`SQL execution failed: ${error.message}`);
+    if (!report.ok) {
+      throw new Error(`SQL execution failed at statement #${report.failed.index}: ${report.failed.message}`);
     }
+    return report;
   }
 
-  async createCoreTables() {
-    console.log('🏗️ Creating core Evolution API tables...');
-
-    const coreTableSQL = `
+  coreTablesSQL() {
+    return `
 -- Core Evolution API Tables
 
 CREATE TABLE IF NOT EXISTS "Instance" (
@@ -88,19 +85,10 @@ CREATE UNIQUE INDEX IF NOT EXISTS "Contact_remoteJid_instanceId_key" ON "Contact
 CREATE INDEX IF NOT EXISTS "Contact_remoteJid_idx" ON "Contact" ("remoteJid");
 CREATE INDEX IF NOT EXISTS "Contact_instanceId_idx" ON "Contact" ("instanceId");
 `;
-
-    try {
-      await this.executeSQL(coreTableSQL);
-      console.log('✅ Core tables created successfully');
-    } catch (error) {
-      console.error('❌ Error creating core tables:', error.message);
-    }
   }
 
-  async createMessageTables() {
-    console.log('📧 Creating message-related tables...');
-
-    const messageTableSQL = `
+  messageTablesSQL() {
+    return `
 -- Message Tables
 
 CREATE TABLE IF NOT EXISTS "Message" (
@@ -143,101 +131,29 @@ CREATE TABLE IF NOT EXISTS "Media" (
   "instanceId" TEXT NOT NULL
 );
 `;
-
-    try {
-      await this.executeSQL(messageTableSQL);
-      console.log('✅ Message tables created successfully');
-    } catch (error) {
-      console.error('❌ Error creating message tables:', error.message);
-    }
   }
 
-  async createAnalysisTables() {
-    console.log('📊 Creating analysis tables...');
-
-    const analysisTableSQL = `
--- Analysis Tables
-
-CREATE TABLE IF NOT EXISTS "SalesAnalysisReport" (
-  "remoteJid" VARCHAR(100) NOT NULL PRIMARY KEY,
-  "analysis_time" TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  "product_category" VARCHAR(200),
-  "specific_products" JSONB,
-  "product_models" JSONB,
-  "quantity_mentioned" INTEGER,
-  "primary_sales_agent" VARCHAR(255),
-  "additional_agents" JSONB,
-  "agent_handoff_detected" BOOLEAN DEFAULT FALSE,
-  "lead_stage" VARCHAR(100),
-  "next_action_required" TEXT,
-  "sales_status" VARCHAR(200),
-  "customer_objections" JSONB,
-  "urgency_level" VARCHAR(20),
-  "customer_name" VARCHAR(255),
-  "customer_location" VARCHAR(255),
-  "budget_range" VARCHAR(200),
-  "purchase_timeline" VARCHAR(200),
-  "decision_maker_status" VARCHAR(200),
-  "product_specifications" JSONB,
-  "accessories_discussed" JSONB,
-  "warranty_service_needs" TEXT,
-  "color_preferences" JSONB,
-  "lead_source" VARCHAR(200),
-  "competitive_products" JSONB,
-  "upsell_opportunities" JSONB,
-  "customer_sentiment" VARCHAR(50),
-  "pain_points_identified" JSONB,
-  "pricing_discussed" BOOLEAN DEFAULT FALSE,
-  "demo_scheduled" BOOLEAN DEFAULT FALSE,
-  "follow_up_required" BOOLEAN DEFAULT TRUE,
-  "total_messages" INTEGER,
-  "conversation_duration_days" INTEGER,
-  "last_customer_message_time" TIMESTAMP,
-  "response_time_analysis" JSONB,
-  "analysis_confidence" DECIMAL(3,2),
-  "ai_model_used" VARCHAR(50),
-  "processing_time_ms" INTEGER,
-  "CREATED_AT" TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  "UPDATED_AT" TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
-CREATE INDEX IF NOT EXISTS "idx_sales_analysis_category" ON "SalesAnalysisReport"("product_category");
-CREATE INDEX IF NOT EXISTS "idx_sales_analysis_stage" ON "SalesAnalysisReport"("lead_stage");
-CREATE INDEX IF NOT EXISTS "idx_sales_analysis_urgency" ON "SalesAnalysisReport"("urgency_level");
-CREATE INDEX IF NOT EXISTS "idx_sales_analysis_time" ON "SalesAnalysisReport"("analysis_time");
-
-CREATE TABLE IF NOT EXISTS "ConversationCache" (
-  "remoteJid" VARCHAR(100) NOT NULL PRIMARY KEY,
-  "conversation_text" TEXT,
-  "total_messages" INTEGER,
-  "conversation_duration_days" INTEGER,
-  "last_customer_message_time" TIMESTAMP,
-  "chat_name" VARCHAR(255),
-  "processed_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  "UPDATED_AT" TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
-CREATE INDEX IF NOT EXISTS "idx_conversation_cache_processed" ON "ConversationCache"("processed_at");
+  // Everything createAllTables will run, in order
+  async buildPlan() {
+    const statements = [
+      { phase: 'core tables', object: 'Instance, Chat, Contact', sql: this.coreTablesSQL() },
+      { phase: 'message tables', object: 'Message, MessageUpdate, Media', sql: this.messageTablesSQL() }
+    ];
+
+    // Analysis tables come from the versioned scripts in ./migrations, so this
+    // path and `node migrate_analysis.js up` build the same schema. The scripts
+    // are idempotent; only migrate_analysis.js records versions.
+    for (const migration of await loadMigrations()) {
+      statements.push({ phase: 'analysis tables', object: `${migration.version}_${migration.name}`, sql: migration.up });
+    }
 
-CREATE TABLE IF NOT EXISTS "AppleAnalysisReport" (
-  "remoteJid" TEXT NOT NULL PRIMARY KEY,
-  "chat_product_category" TEXT NOT NULL,
-  "analysis_time" TIMESTAMP NOT NULL
-);
-`;
+    statements.push({ phase: 'other tables', object: 'IsOnWhatsapp, Label, Session, Setting, _prisma_migrations', sql: this.otherTablesSQL() });
 
-    try {
-      await this.executeSQL(analysisTableSQL);
-      console.log('✅ Analysis tables created successfully');
-    } catch (error) {
-      console.error('❌ Error creating analysis tables:', error.message);
-    }
+    return createPlan('create_tables_supabase', { target: this.target.describe(), statements });
   }
 
-  async createOtherTables() {
-    console.log('🔧 Creating other Evolution tables...');
-
-    const otherTablesSQL = `
+  otherTablesSQL() {
+    return `
 -- Other Evolution API Tables
 
 CREATE TABLE IF NOT EXISTS "IsOnWhatsapp" (
@@ -289,74 +205,70 @@ CREATE TABLE IF NOT EXISTS "_prisma_migrations" (
   "applied_steps_count" INTEGER NOT NULL DEFAULT 0
 );
 `;
-
-    try {
-      await this.executeSQL(otherTablesSQL);
-      console.log('✅ Other tables created successfully');
-    } catch (error) {
-      console.error('❌ Error creating other tables:', error.message);
-    }
-  }
-
-  async createTriggers() {
-    console.log('⚡ Creating triggers and functions...');
-
-    const triggersSQL = `
--- Triggers and Functions
-
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW."UPDATED_AT" = NOW();
-    RETURN NEW;
-END;
-$$ language 'plpgsql';
-
-CREATE OR REPLACE TRIGGER update_sales_analysis_updated_at
-    BEFORE UPDATE ON "SalesAnalysisReport"
-    FOR EACH ROW
-    EXECUTE FUNCTION update_updated_at_column();
-
-CREATE OR REPLACE TRIGGER update_conversation_cache_updated_at
-    BEFORE UPDATE ON "ConversationCache"
-    FOR EACH ROW
-    EXECUTE FUNCTION update_updated_at_column();
-`;
-
-    try {
-      await this.executeSQL(triggersSQL);
-      console.log('✅ Triggers created successfully');
-    } catch (error) {
-      console.error('❌ Error creating triggers:', error.message);
-    }
   }
 
-  async createAllTables() {
+  async createAllTables({ plan = null } = {}) {
     try {
       console.log('🚀 Starting Supabase schema creation...');
       console.log('='.repeat(60));
 
-      await this.createCoreTables();
-      await this.createMessageTables();
-      await this.createAnalysisTables();
-      await this.createOtherTables();
-      await this.createTriggers();
+      if (plan) {
+        await checkPlan(plan, { target: this.target.describe() });
+        console.log(`📋 Applying plan from ${plan.createdAt}`);
+      } else {
+        plan = await this.buildPlan();
+      }
+
+      for (const statement of plan.statements) {
+        console.log(`${SECTION_ICONS[statement.phase] || '🏗️'} Creating ${statement.phase} (${statement.object})...`);
+        try {
+          await this.executeSQL(statement.sql);
+          console.log(`✅ ${statement.object} created successfully`);
+        } catch (error) {
+          console.error(`❌ Error creating ${statement.phase}:`, error.message);
+          throw error;
+        }
+      }
 
       console.log('\n✅ All tables created successfully!');
-      console.log('🔗 Check your Supabase dashboard to verify tables');
 
     } catch (error) {
       console.error('❌ Schema creation failed:', error.message);
       throw error;
+    } finally {
+      await this.target.end();
     }
   }
 }
 
 // Execute schema creation
 async function main() {
-  const creator = new SupabaseSchemaCreator();
+  const { dryRun, planFile, applyFile } = parsePlanArgs(process.argv);
+
+  let plan = null;
+  let creator;
+  try {
+    plan = applyFile ? await loadPlan(applyFile, 'create_tables_supabase') : null;
+    creator = new SupabaseSchemaCreator();
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
   try {
-    await creator.createAllTables();
+    if (dryRun) {
+      plan = plan || await creator.buildPlan();
+      await creator.target.end();
+      printPlan(plan);
+      if (planFile) {
+        await savePlan(plan, planFile);
+        console.log(`\n📝 Plan saved to ${planFile} - apply it with: node create_tables_supabase.js --apply-plan=${planFile}`);
+      }
+      console.log('\n🧪 Dry run - nothing was written');
+      process.exit(0);
+    }
+
+    await creator.createAllTables({ plan });
     console.log('\n🎉 Schema creation completed! Ready for data migration.');
     process.exit(0);
   } catch (error) {
@@ -365,4 +277,4 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+if (isEntryPoint(import.meta.url)) main();
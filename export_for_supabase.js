@@ -1,24 +1,45 @@
 #!/usr/bin/env node
 
-import dotenv from 'dotenv';
-import pkg from 'pg';
+import Cursor from 'pg-cursor';
 import fs from 'fs/promises';
 import path from 'path';
-
-dotenv.config();
-const { Pool } = pkg;
-
-class SupabaseExporter {
-  constructor() {
-    this.sourcePool = new Pool({
-      user: process.env.DB_USER,
-      host: process.env.DB_HOST,
-      database: process.env.DB_NAME,
-      password: process.env.DB_PASSWORD,
-      port: process.env.DB_PORT,
-    });
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSourcePool } from './src/db/sourceConnection.js';
+import { quoteIdent } from './src/db/sql.js';
+import { ChunkedFileWriter } from './src/export/chunkedWriter.js';
+import { renderLiteral, selectAsText } from './src/export/sqlValues.js';
+import { getForeignKeys } from './src/migration/catalog.js';
+import { orderTables } from './src/migration/tableOrder.js';
+import {
+  getColumns,
+  getConstraints,
+  getEnumTypes,
+  getIndexes,
+  getSequences,
+  getTriggerFunctions,
+  getTriggers,
+  renderCreateTable,
+  renderEnumType,
+  renderForeignKey,
+  renderFunction,
+  renderIndex,
+  renderSequence,
+  renderSequenceOwnership,
+  renderSequenceValue,
+  renderTrigger
+} from './src/schema/ddl.js';
+
+loadEnvironment();
+
+export class SupabaseExporter {
+  constructor({ rowsPerStatement = 100, rowsPerFile = 50000, cursorBatchSize = 500 } = {}) {
+    this.sourcePool = createSourcePool();
 
     this.exportDir = './supabase_export';
+    this.rowsPerStatement = rowsPerStatement;
+    this.rowsPerFile = rowsPerFile;
+    this.cursorBatchSize = cursorBatchSize;
     console.log('🔧 Supabase exporter initialized');
   }
 
@@ -50,6 +71,22 @@ class SupabaseExporter {
       let schemaSQL = '-- Complete Database Schema Export for Supabase\n';
       schemaSQL += '-- Generated: ' + new Date().toISOString() + '\n\n';
 
+      // Types and sequences first, since column definitions reference them
+      const enumTypes = await getEnumTypes(this.sourcePool);
+      if (enumTypes.length > 0) {
+        schemaSQL += '-- Enum types\n';
+        schemaSQL += enumTypes.map(renderEnumType).join('\n\n') + '\n\n';
+      }
+
+      const sequences = await getSequences(this.sourcePool);
+      const standaloneSequences = sequences.filter(seq => !seq.identity);
+      if (standaloneSequences.length > 0) {
+        schemaSQL += '-- Sequences\n';
+        schemaSQL += standaloneSequences.map(renderSequence).join('\n\n') + '\n\n';
+      }
+
+      const foreignKeys = [];
+
       // Export each table schema
       for (const tableName of tables) {
         console.log(`🔍 Processing table: ${tableName}`);
@@ -63,6 +100,28 @@ class SupabaseExporter {
         if (indexesSQL) {
           schemaSQL += indexesSQL + '\n\n';
         }
+
+        const constraints = await getConstraints(this.sourcePool, tableName);
+        for (const constraint of constraints.filter(con => con.type === 'f')) {
+          foreignKeys.push(renderForeignKey(tableName, constraint));
+        }
+      }
+
+      // Foreign keys once every table exists
+      if (foreignKeys.length > 0) {
+        schemaSQL += '-- Foreign keys\n';
+        schemaSQL += foreignKeys.join('\n\n') + '\n\n';
+      }
+
+      const ownership = sequences.map(renderSequenceOwnership).filter(Boolean);
+      if (ownership.length > 0) {
+        schemaSQL += '-- Sequence ownership\n';
+        schemaSQL += ownership.join('\n') + '\n\n';
+      }
+
+      if (sequences.length > 0) {
+        schemaSQL += '-- Sequence values\n';
+        schemaSQL += sequences.map(renderSequenceValue).join('\n') + '\n\n';
       }
 
       // Get triggers and functions
@@ -84,71 +143,11 @@ class SupabaseExporter {
 
   async getCreateTableSQL(tableName) {
     try {
-      // Get column definitions
-      const columnsResult = await this.sourcePool.query(`
-        SELECT
-          column_name,
-          data_type,
-          is_nullable,
-          column_default,
-          character_maximum_length,
-          numeric_precision,
-          numeric_scale
-        FROM information_schema.columns
-        WHERE table_schema = 'public'
-        AND table_name = $1
-        ORDER BY ordinal_position
-      `, [tableName]);
-
-      const columns = columnsResult.rows.map(col => {
-        let definition = `  "${col.column_name}" ${this.mapDataType(col)}`;
-
-        if (col.is_nullable === 'NO') {
-          definition += ' NOT NULL';
-        }
-
-        if (col.column_default) {
-          let defaultValue = col.column_default;
-
-          // Handle common default patterns
-          if (defaultValue.includes('NOW()') || defaultValue.includes('CURRENT_TIMESTAMP')) {
-            defaultValue = 'NOW()';
-          } else if (defaultValue.includes('nextval')) {
-            // Skip sequence defaults, they'll be handled by SERIAL
-            defaultValue = null;
-          } else if (defaultValue.includes("'") && !defaultValue.includes('::')) {
-            // String literals
-            defaultValue = defaultValue;
-          }
-
-          if (defaultValue) {
-            definition += ` DEFAULT ${defaultValue}`;
-          }
-        }
-
-        return definition;
-      }).join(',\\n');
-
-      // Get primary key
-      const pkResult = await this.sourcePool.query(`
-        SELECT column_name
-        FROM information_schema.key_column_usage
-        WHERE table_schema = 'public'
-        AND table_name = $1
-        AND constraint_name LIKE '%_pkey'
-        ORDER BY ordinal_position
-      `, [tableName]);
-
-      let pkClause = '';
-      if (pkResult.rows.length > 0) {
-        const pkColumns = pkResult.rows.map(row => `"${row.column_name}"`).join(', ');
-        pkClause = `,\\n  PRIMARY KEY (${pkColumns})`;
-      }
+      const columns = await getColumns(this.sourcePool, tableName);
+      const constraints = await getConstraints(this.sourcePool, tableName);
 
       return `-- Table: ${tableName}
-CREATE TABLE IF NOT EXISTS "${tableName}" (
-${columns}${pkClause}
-);`;
+${renderCreateTable(tableName, columns, constraints)}`;
 
     } catch (error) {
       console.error(`❌ Error getting CREATE TABLE for ${tableName}:`, error.message);
@@ -156,61 +155,17 @@ ${columns}${pkClause}
     }
   }
 
-  mapDataType(column) {
-    const { data_type, character_maximum_length, numeric_precision, numeric_scale } = column;
-
-    switch (data_type) {
-      case 'character varying':
-        return character_maximum_length ? `VARCHAR(${character_maximum_length})` : 'TEXT';
-      case 'character':
-        return `CHAR(${character_maximum_length})`;
-      case 'text':
-        return 'TEXT';
-      case 'integer':
-        return 'INTEGER';
-      case 'bigint':
-        return 'BIGINT';
-      case 'numeric':
-        return numeric_precision ? `NUMERIC(${numeric_precision},${numeric_scale || 0})` : 'NUMERIC';
-      case 'timestamp with time zone':
-        return 'TIMESTAMP WITH TIME ZONE';
-      case 'timestamp without time zone':
-        return 'TIMESTAMP';
-      case 'boolean':
-        return 'BOOLEAN';
-      case 'jsonb':
-        return 'JSONB';
-      case 'json':
-        return 'JSON';
-      case 'uuid':
-        return 'UUID';
-      case 'date':
-        return 'DATE';
-      case 'time':
-        return 'TIME';
-      default:
-        console.warn(`⚠️ Unknown data type: ${data_type}, using TEXT`);
-        return 'TEXT';
-    }
-  }
-
   async getIndexesSQL(tableName) {
     try {
-      const indexesResult = await this.sourcePool.query(`
-        SELECT indexname, indexdef
-        FROM pg_indexes
-        WHERE tablename = $1
-        AND schemaname = 'public'
-        AND indexname NOT LIKE '%_pkey'
-      `, [tableName]);
+      const indexes = await getIndexes(this.sourcePool, tableName);
 
-      if (indexesResult.rows.length === 0) return '';
+      if (indexes.length === 0) return '';
 
-      const indexes = indexesResult.rows.map(row =>
-        `-- Index: ${row.indexname}\\n${row.indexdef};`
-      ).join('\\n\\n');
+      const indexesSQL = indexes.map(index =>
+        `-- Index: ${index.name}\n${renderIndex(index)}`
+      ).join('\n\n');
 
-      return `-- Indexes for ${tableName}\\n${indexes}`;
+      return `-- Indexes for ${tableName}\n${indexesSQL}`;
 
     } catch (error) {
       console.error(`❌ Error getting indexes for ${tableName}:`, error.message);
@@ -220,51 +175,22 @@ ${columns}${pkClause}
 
   async getTriggersSQL() {
     try {
-      const triggersResult = await this.sourcePool.query(`
-        SELECT
-          t.trigger_name,
-          t.event_manipulation,
-          t.event_object_table,
-          p.prosrc as function_definition
-        FROM information_schema.triggers t
-        LEFT JOIN pg_proc p ON p.proname = replace(t.action_statement, 'EXECUTE FUNCTION ', '')
-        WHERE t.trigger_schema = 'public'
-      `);
+      const triggers = await getTriggers(this.sourcePool);
 
-      if (triggersResult.rows.length === 0) return '';
-
-      // First, create functions
-      const functions = new Set();
-      let functionsSQL = '';
-
-      for (const trigger of triggersResult.rows) {
-        if (trigger.function_definition && !functions.has(trigger.trigger_name)) {
-          functions.add(trigger.trigger_name);
-          functionsSQL += `
--- Function for trigger
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.UPDATED_AT = NOW();
-    RETURN NEW;
-END;
-$$ language 'plpgsql';
-
-`;
-        }
-      }
+      if (triggers.length === 0) return '';
 
-      // Then create triggers
-      const triggers = triggersResult.rows.map(trigger => `
--- Trigger: ${trigger.trigger_name}
-DROP TRIGGER IF EXISTS ${trigger.trigger_name} ON "${trigger.event_object_table}";
-CREATE TRIGGER ${trigger.trigger_name}
-    BEFORE UPDATE ON "${trigger.event_object_table}"
-    FOR EACH ROW
-    EXECUTE FUNCTION update_updated_at_column();`
-      ).join('\\n');
+      // Functions first, each once, with their real bodies
+      const functions = await getTriggerFunctions(this.sourcePool);
+      const functionsSQL = functions.map(fn =>
+        `-- Function: ${fn.name}\n${renderFunction(fn)}`
+      ).join('\n\n');
 
-      return `-- Functions and Triggers\\n${functionsSQL}${triggers}`;
+      // Then triggers with their original timing, events and WHEN clauses
+      const triggersSQL = triggers.map(trigger =>
+        `-- Trigger: ${trigger.name} on ${trigger.table_name}\n${renderTrigger(trigger)}`
+      ).join('\n\n');
+
+      return `-- Functions and Triggers\n${functionsSQL}\n\n${triggersSQL}`;
 
     } catch (error) {
       console.error('❌ Error getting triggers:', error.message);
@@ -273,56 +199,87 @@ CREATE TRIGGER ${trigger.trigger_name}
   }
 
   async exportTableData(tableName) {
+    const client = await this.sourcePool.connect();
+
     try {
       console.log(`📦 Exporting data for table: ${tableName}`);
 
-      const countResult = await this.sourcePool.query(`SELECT COUNT(*) as count FROM "${tableName}"`);
+      const countResult = await client.query(`SELECT COUNT(*) as count FROM ${quoteIdent(tableName)}`);
       const totalRows = parseInt(countResult.rows[0].count);
 
       if (totalRows === 0) {
         console.log(`📭 Table ${tableName} is empty, skipping data export`);
-        return;
+        return { table: tableName, rows: 0, files: [] };
       }
 
       console.log(`📊 Table ${tableName} has ${totalRows} rows`);
 
-      // Export data in INSERT statements
-      const dataResult = await this.sourcePool.query(`SELECT * FROM "${tableName}"`);
-
-      if (dataResult.rows.length === 0) return;
-
-      const columns = Object.keys(dataResult.rows[0]);
-      const columnList = columns.map(col => `"${col}"`).join(', ');
+      // Generated columns can't be inserted; identity ALWAYS columns need an override
+      const columns = (await getColumns(client, tableName)).filter(col => col.generated !== 's');
+      const columnList = columns.map(col => quoteIdent(col.name)).join(', ');
+      const overriding = columns.some(col => col.identity === 'a') ? ' OVERRIDING SYSTEM VALUE' : '';
+      const insertPrefix = `INSERT INTO ${quoteIdent(tableName)} (${columnList})${overriding} VALUES\n  `;
+      const insertSuffix = '\nON CONFLICT DO NOTHING;\n\n';
+
+      const writer = new ChunkedFileWriter({
+        dir: this.exportDir,
+        baseName: `${tableName}_data`,
+        extension: '.sql',
+        maxRows: this.rowsPerFile,
+        header: part => `-- Data for table: ${tableName} (part ${part})\n\n`
+      });
+
+      // Stream rows through a cursor so the table is never held in memory
+      const cursor = client.query(new Cursor(
+        `SELECT ${selectAsText(columns)} FROM ${quoteIdent(tableName)}`
+      ));
+
+      let exported = 0;
+      let inStatement = 0;
+
+      while (true) {
+        const rows = await cursor.read(this.cursorBatchSize);
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          const values = `(${columns.map(col => renderLiteral(row[col.name], col.type)).join(', ')})`;
+
+          // Each statement stays within one chunk file
+          const endStatement = inStatement > 0 && (
+            inStatement >= this.rowsPerStatement ||
+            writer.current.rows >= writer.maxRows ||
+            writer.current.bytes >= writer.maxBytes
+          );
+          if (endStatement) {
+            await writer.write(insertSuffix);
+            inStatement = 0;
+          }
 
-      let insertSQL = `-- Data for table: ${tableName}\\n`;
-      insertSQL += `-- Records: ${totalRows}\\n\\n`;
+          await writer.writeRecord(inStatement === 0 ? insertPrefix + values : ',\n  ' + values);
+          inStatement++;
+          exported++;
+        }
 
-      // Process in batches for large tables
-      const batchSize = 100;
-      for (let i = 0; i < dataResult.rows.length; i += batchSize) {
-        const batch = dataResult.rows.slice(i, i + batchSize);
+        if (exported % 10000 < rows.length) {
+          console.log(`  📥 ${exported.toLocaleString()}/${totalRows.toLocaleString()} rows written`);
+        }
+      }
 
-        const values = batch.map(row => {
-          const valuesList = columns.map(col => {
-            const value = row[col];
-            if (value === null) return 'NULL';
-            if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
-            if (typeof value === 'boolean') return value.toString().toUpperCase();
-            if (typeof value === 'object') return `'${JSON.stringify(value)}'::jsonb`;
-            if (value instanceof Date) return `'${value.toISOString()}'`;
-            return value;
-          }).join(', ');
-          return `(${valuesList})`;
-        }).join(',\\n  ');
+      await cursor.close();
 
-        insertSQL += `INSERT INTO "${tableName}" (${columnList}) VALUES\\n  ${values}\\nON CONFLICT DO NOTHING;\\n\\n`;
+      if (inStatement > 0) {
+        await writer.write(insertSuffix);
       }
+      await writer.close();
 
-      await fs.writeFile(path.join(this.exportDir, `${tableName}_data.sql`), insertSQL);
-      console.log(`✅ Data exported for ${tableName}`);
+      console.log(`✅ Data exported for ${tableName}: ${exported} rows in ${writer.chunks.length} file(s)`);
+      return { table: tableName, rows: exported, files: writer.chunks };
 
     } catch (error) {
       console.error(`❌ Error exporting data for ${tableName}:`, error.message);
+      return { table: tableName, error: error.message, files: [] };
+    } finally {
+      client.release();
     }
   }
 
@@ -336,32 +293,52 @@ CREATE TRIGGER ${trigger.trigger_name}
       // Export schema
       const tables = await this.exportCompleteSchema();
 
+      // Data files load parents before children
+      const { order, deferred } = orderTables(tables, await getForeignKeys(this.sourcePool));
+
       // Export data for each table
-      console.log('\\n📦 Exporting table data...');
-      for (const tableName of tables) {
-        await this.exportTableData(tableName);
+      console.log('\n📦 Exporting table data...');
+      const exports = [];
+      for (const tableName of order) {
+        exports.push(await this.exportTableData(tableName));
       }
 
-      // Create master import script
-      let masterScript = '-- Supabase Import Script\\n';
-      masterScript += '-- Run this in Supabase SQL Editor\\n\\n';
-      masterScript += '-- 1. First run the schema\\n';
-      masterScript += '\\\\i schema.sql\\n\\n';
-      masterScript += '-- 2. Then run the data imports\\n';
+      const manifest = {
+        generatedAt: new Date().toISOString(),
+        schema: 'schema.sql',
+        tables: exports,
+        deferredForeignKeys: deferred.map(fk => `${fk.table}.${fk.name}`)
+      };
+      await fs.writeFile(path.join(this.exportDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
 
-      for (const tableName of tables) {
-        masterScript += `\\\\i ${tableName}_data.sql\\n`;
+      // Create master import script
+      let masterScript = '-- Supabase Import Script\n';
+      masterScript += '-- Run with psql from this directory\n\n';
+      masterScript += '-- 1. First run the schema\n';
+      masterScript += '\\ir schema.sql\n\n';
+      masterScript += '-- 2. Then run the data imports (in dependency order)\n';
+
+      for (const tableExport of exports) {
+        for (const chunk of tableExport.files) {
+          masterScript += `\\ir ${chunk.file}\n`;
+        }
       }
 
       await fs.writeFile(path.join(this.exportDir, 'import_to_supabase.sql'), masterScript);
 
-      console.log('\\n✅ Export completed successfully!');
+      const failed = exports.filter(tableExport => tableExport.error);
+
+      console.log('\n✅ Export completed' + (failed.length > 0 ? ` with ${failed.length} failed table(s): ${failed.map(t => t.table).join(', ')}` : ' successfully!'));
       console.log('📁 Files created in:', this.exportDir);
       console.log('📋 Next steps:');
-      console.log('   1. Go to your Supabase project');
-      console.log('   2. Open SQL Editor');
-      console.log('   3. Run schema.sql first');
-      console.log('   4. Then run each *_data.sql file');
+      console.log('   1. Check manifest.json for row counts and checksums');
+      console.log('   2. Run: psql "$TARGET_DATABASE_URL" -f import_to_supabase.sql');
+
+      if (failed.length > 0) {
+        throw new Error(`Data export failed for ${failed.map(t => t.table).join(', ')}`);
+      }
+
+      return manifest;
 
     } catch (error) {
       console.error('❌ Export failed:', error.message);
@@ -384,4 +361,4 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+if (isEntryPoint(import.meta.url)) main();
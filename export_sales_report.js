@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+import Cursor from 'pg-cursor';
+import copyStreams from 'pg-copy-streams';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { isEntryPoint, listFlag, parseArgs } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { loadTaxonomy } from './src/analysis/taxonomy.js';
+import { createSourcePool, describeSource } from './src/db/sourceConnection.js';
+import { quoteIdent } from './src/db/sql.js';
+import { REPORT_FORMATS, buildReportFilter, reportQuery, summaryQuery } from './src/export/salesReport.js';
+import { renderLiteral, selectAsText } from './src/export/sqlValues.js';
+import { writeSalesWorkbook } from './src/export/salesWorkbook.js';
+import { getColumns } from './src/schema/ddl.js';
+
+loadEnvironment();
+
+const { to: copyTo } = copyStreams;
+
+// Exports SalesAnalysisReport from the source database in one of the
+// REPORT_FORMATS. Rows are streamed - CSV through COPY, SQL, JSON and XLSX
+// through a cursor - so memory stays flat however many reports there are.
+export class SalesReportExporter {
+  constructor({ format = 'json', out = null, from = null, to = null, categories = null, cursorBatchSize = 500 } = {}) {
+    if (!REPORT_FORMATS[format]) {
+      throw new Error(`Unknown --format=${format} (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    }
+    this.format = format;
+    // Validated now; rebuilt in export() once the taxonomy's fallback category is known
+    this.filter = buildReportFilter({ from, to, categories, format });
+    this.filters = { from, to, categories };
+
+    this.sourcePool = createSourcePool();
+
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+    const { suffix, extension } = REPORT_FORMATS[format];
+    this.out = out || path.join(process.env.EXPORT_DIR || './exports', `sales_analysis${suffix}_${timestamp}${extension}`);
+    this.cursorBatchSize = cursorBatchSize;
+  }
+
+  async export() {
+    const client = await this.sourcePool.connect();
+
+    try {
+      const { fallback } = await loadTaxonomy({ pool: client });
+      this.filter = buildReportFilter({ ...this.filters, format: this.format, fallbackCategory: fallback });
+
+      console.log(`📊 Exporting SalesAnalysisReport from ${describeSource()} as ${this.format} to ${this.out}...`);
+      await fs.promises.mkdir(path.dirname(this.out), { recursive: true });
+
+      let exported;
+      if (this.format === 'xlsx') {
+        exported = await writeSalesWorkbook(client, this.out, {
+          filter: this.filter,
+          filters: this.filters,
+          batchSize: this.cursorBatchSize
+        });
+      } else {
+        exported = await this.writeStream(client);
+      }
+
+      const summary = (await client.query(summaryQuery(this.filter, fallback))).rows[0];
+      console.log(`✅ ${exported.toLocaleString()} reports exported to ${this.out}`);
+      if (summary.total > 0) {
+        console.log(`📅 Date range: ${summary.first_date} to ${summary.last_date}`);
+        if (summary.top_category) console.log(`🏷️ Top category: ${summary.top_category}`);
+      }
+
+      return {
+        file: this.out,
+        format: this.format,
+        rows: exported,
+        filters: this.filters,
+        dateRange: summary.total > 0 ? { from: summary.first_date, to: summary.last_date } : null,
+        topCategory: summary.top_category
+      };
+
+    } finally {
+      client.release();
+      await this.sourcePool.end();
+    }
+  }
+
+  async writeStream(client) {
+    const output = fs.createWriteStream(this.out);
+    await new Promise((resolve, reject) => {
+      output.once('open', resolve);
+      output.once('error', reject);
+    });
+
+    if (this.format === 'json') return this.writeJson(client, output);
+    if (this.format === 'sql') return this.writeSql(client, output);
+    return this.writeCsv(client, output);
+  }
+
+  async writeCsv(client, output) {
+    const sql = reportQuery(this.format, this.filter);
+    const copyStream = client.query(copyTo(`COPY (${sql}) TO STDOUT WITH CSV HEADER`));
+    await pipeline(copyStream, output);
+    return copyStream.rowCount;
+  }
+
+  async writeJson(client, output) {
+    return this.writeRows(client, output, {
+      sql: reportQuery('json', this.filter),
+      header: '[\n',
+      footer: '\n]\n',
+      render: (row, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(row)}`
+    });
+  }
+
+  // Read as ::text so every value round-trips through Postgres' own format
+  async writeSql(client, output) {
+    const columns = (await getColumns(client, 'SalesAnalysisReport')).filter(col => col.generated !== 's');
+    const columnList = columns.map(col => quoteIdent(col.name)).join(', ');
+
+    return this.writeRows(client, output, {
+      sql: `SELECT ${selectAsText(columns)} FROM "SalesAnalysisReport" ${this.filter} ORDER BY analysis_time DESC, "remoteJid"`,
+      header: `-- SalesAnalysisReport data exported ${new Date().toISOString()}\n\n`,
+      footer: '',
+      render: row => `INSERT INTO "SalesAnalysisReport" (${columnList}) VALUES (${columns.map(col => renderLiteral(row[col.name], col.type)).join(', ')});\n`
+    });
+  }
+
+  async writeRows(client, output, { sql, header, footer, render }) {
+    const write = async text => {
+      if (!output.write(text)) {
+        await new Promise((resolve, reject) => {
+          output.once('drain', resolve);
+          output.once('error', reject);
+        });
+      }
+    };
+
+    const cursor = client.query(new Cursor(sql));
+    let exported = 0;
+
+    try {
+      await write(header);
+      while (true) {
+        const rows = await cursor.read(this.cursorBatchSize);
+        if (rows.length === 0) break;
+
+        await write(rows.map((row, index) => render(row, exported + index)).join(''));
+        exported += rows.length;
+      }
+      await write(footer);
+    } finally {
+      await cursor.close();
+      await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+    }
+
+    return exported;
+  }
+}
+
+async function main() {
+  const { flags } = parseArgs(process.argv.slice(2));
+
+  let exporter;
+  try {
+    exporter = new SalesReportExporter({
+      format: flags.format || 'json',
+      out: flags.out || null,
+      from: flags.from || null,
+      to: flags.to || null,
+      categories: listFlag(flags.category)
+    });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
+  try {
+    await exporter.export();
+    process.exit(0);
+  } catch (error) {
+    console.error('💥 Report export failed:', error.message);
+    process.exit(2);
+  }
+}
+
+if (isEntryPoint(import.meta.url)) main();
@@ -1,19 +1,12 @@
 #!/usr/bin/env node
 
-import dotenv from 'dotenv';
-import pkg from 'pg';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSourcePool } from './src/db/sourceConnection.js';
 
-dotenv.config();
-const { Pool } = pkg;
+loadEnvironment();
 
 async function getMessageSchema() {
-  const pool = new Pool({
-    user: process.env.DB_USER,
-    host: process.env.DB_HOST,
-    database: process.env.DB_NAME,
-    password: process.env.DB_PASSWORD,
-    port: process.env.DB_PORT,
-  });
+  const pool = createSourcePool();
 
   try {
     const result = await pool.query(`
@@ -1,112 +1,96 @@
 #!/usr/bin/env node
 
-import dotenv from 'dotenv';
-import { createClient } from '@supabase/supabase-js';
 import fs from 'fs/promises';
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { printSqlReport, runSql } from './src/db/sqlRunner.js';
+import { createTargetTransport, getTargetConfig } from './src/db/targetConnection.js';
+
+loadEnvironment();
+
+// Imports the exported schema (supabase_export/supabase_schema.sql) into the
+// target in a single transaction, then checks that every table it creates
+// exists on the target
+export class SchemaImporter {
+  constructor({ file = './supabase_export/supabase_schema.sql' } = {}) {
+    this.target = createTargetTransport(getTargetConfig({ ...process.env, TARGET_TRANSPORT: 'pg' }));
+    this.file = file;
+  }
 
-dotenv.config();
+  expectedTables(sql) {
+    const tables = new Set();
+    for (const match of sql.matchAll(/CREATE TABLE(?: IF NOT EXISTS)?\s+(?:"?public"?\.)?"?([A-Za-z0-9_]+)"?/gi)) {
+      tables.add(match[1]);
+    }
+    return [...tables];
+  }
 
-async function importSchema() {
-  try {
-    console.log('🚀 Importing schema to Supabase...');
-
-    // Create Supabase client
-    const supabase = createClient(
-      process.env.SUPABASE_PROJECT_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
-
-    // Read the schema file
-    const schemaContent = await fs.readFile('./supabase_export/supabase_schema.sql', 'utf8');
-
-    console.log('📋 Schema file loaded, executing SQL...');
-
-    // Execute the schema SQL
-    const { data, error } = await supabase.rpc('exec_sql', {
-      sql: schemaContent
-    });
-
-    if (error) {
-      // If exec_sql doesn't exist, try direct SQL execution
-      console.log('📝 Trying direct SQL execution...');
-
-      // Split schema into individual statements
-      const statements = schemaContent
-        .split(';')
-        .map(stmt => stmt.trim())
-        .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
-
-      console.log(`📊 Found ${statements.length} SQL statements to execute`);
-
-      let successCount = 0;
-      let errorCount = 0;
-
-      for (let i = 0; i < statements.length; i++) {
-        const statement = statements[i];
-        if (statement.length < 10) continue; // Skip very short statements
-
-        try {
-          console.log(`  📝 Executing statement ${i + 1}/${statements.length}...`);
-
-          const { error: stmtError } = await supabase
-            .from('pg_stat_activity') // Use any system table to execute raw SQL
-            .select('*')
-            .limit(0);
-
-          // Since we can't execute arbitrary SQL via the client, we'll need to use the REST API
-          const response = await fetch(`${process.env.SUPABASE_PROJECT_URL}/rest/v1/rpc/exec`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`,
-              'apikey': process.env.SUPABASE_SERVICE_ROLE_KEY
-            },
-            body: JSON.stringify({ sql: statement })
-          });
-
-          if (response.ok) {
-            successCount++;
-          } else {
-            console.error(`❌ Statement failed: ${statement.substring(0, 50)}...`);
-            errorCount++;
-          }
-
-        } catch (stmtError) {
-          console.error(`❌ Error executing statement: ${stmtError.message}`);
-          errorCount++;
-        }
+  async verifyTables(expected) {
+    const result = await this.target.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_schema = 'public'
+      AND table_type = 'BASE TABLE'
+      ORDER BY table_name
+    `);
+    const existing = new Set(result.rows.map(row => row.table_name));
+
+    console.log(`📊 Found ${existing.size} tables on the target:`);
+    existing.forEach(table => console.log(`  📋 ${table}`));
+
+    return expected.filter(table => !existing.has(table));
+  }
+
+  async import() {
+    try {
+      const sql = await fs.readFile(this.file, 'utf8');
+      console.log(`🚀 Importing ${this.file} into ${this.target.describe()}...`);
+
+      const report = await runSql(this.target.pool, sql);
+      printSqlReport(report);
+      if (!report.ok) {
+        return { report, missing: null };
       }
 
-      console.log(`✅ Schema import completed: ${successCount} success, ${errorCount} failed`);
+      console.log('🔍 Verifying tables were created...');
+      const missing = await this.verifyTables(this.expectedTables(sql));
+      return { report, missing };
 
-    } else {
-      console.log('✅ Schema imported successfully via exec_sql');
+    } finally {
+      await this.target.end();
     }
+  }
+}
 
-    // Verify tables were created
-    console.log('🔍 Verifying tables were created...');
+async function main() {
+  const args = process.argv.slice(2);
+  const fileArg = args.find(arg => arg.startsWith('--file='));
 
-    const { data: tables, error: tablesError } = await supabase
-      .from('information_schema.tables')
-      .select('table_name')
-      .eq('table_schema', 'public')
-      .order('table_name');
+  let importer;
+  try {
+    importer = new SchemaImporter({ file: fileArg ? fileArg.split('=')[1] : undefined });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
 
-    if (!tablesError && tables) {
-      console.log(`📊 Found ${tables.length} tables in Supabase:`);
-      tables.forEach(table => console.log(`  📋 ${table.table_name}`));
-    }
+  try {
+    const { report, missing } = await importer.import();
 
-    console.log('🎉 Schema import process completed!');
+    if (!report.ok) {
+      process.exit(1);
+    }
+    if (missing.length > 0) {
+      console.error(`❌ Missing after import: ${missing.join(', ')}`);
+      process.exit(1);
+    }
 
+    console.log('🎉 Schema imported - run: node migrate_data_to_supabase.js');
+    process.exit(0);
   } catch (error) {
-    console.error('❌ Schema import failed:', error.message);
-    console.log('\n📋 Manual Import Instructions:');
-    console.log('1. Go to Supabase Dashboard → SQL Editor');
-    console.log('2. Copy content from supabase_export/supabase_schema.sql');
-    console.log('3. Paste and run in SQL Editor');
-    console.log('4. Then run: node migrate_data_to_supabase.js');
+    console.error('💥 Schema import failed:', error.message);
+    process.exit(2);
   }
 }
 
-importSchema();
\ No newline at end of file
+if (isEntryPoint(import.meta.url)) main();
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+import { isEntryPoint, listFlag, parseArgs } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSourcePool, describeSource } from './src/db/sourceConnection.js';
+
+loadEnvironment();
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// "971501234567" -> "971501234567@s.whatsapp.net"
+const toRemoteJid = chat => chat.includes('@') ? chat : `${chat.replace(/^\+/, '')}@s.whatsapp.net`;
+
+const formatTime = value => new Date(value).toISOString().slice(0, 16).replace('T', ' ');
+
+// Reads SalesAnalysisHistory to show how leads moved between stages across
+// analysis runs: the timeline of given chats (--chats), or how often each
+// stage-to-stage transition happened over all chats
+export class LeadHistoryReporter {
+  constructor({ chats = null, from = null, to = null } = {}) {
+    for (const [flag, value] of [['--from', from], ['--to', to]]) {
+      if (value && (!DATE.test(value) || isNaN(Date.parse(value)))) {
+        throw new Error(`${flag} must be a date (YYYY-MM-DD), got "${value}"`);
+      }
+    }
+    this.chats = chats ? chats.map(toRemoteJid) : null;
+    this.from = from;
+    this.to = to;
+
+    this.pool = createSourcePool();
+  }
+
+  // The window runs over a chat's whole history, so the first analysis in
+  // range still knows the stage before it
+  rangeConditions(params) {
+    const conditions = [];
+    if (this.from) {
+      params.push(this.from);
+      conditions.push(`analysed_at >= $${params.length}::date`);
+    }
+    if (this.to) {
+      params.push(this.to);
+      conditions.push(`analysed_at < $${params.length}::date + 1`);
+    }
+    return conditions;
+  }
+
+  async timeline() {
+    const params = [this.chats];
+    const conditions = this.rangeConditions(params);
+    const { rows } = await this.pool.query(`
+      SELECT * FROM (
+        SELECT "remoteJid", run_id, analysed_at, lead_stage,
+          LAG(lead_stage) OVER chat AS previous_stage,
+          product_category, product_subcategory, urgency_level, ai_model_used, prompt_version, id
+        FROM "SalesAnalysisHistory"
+        WHERE "remoteJid" = ANY($1)
+        WINDOW chat AS (PARTITION BY "remoteJid" ORDER BY analysed_at, id)
+      ) h
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY "remoteJid", analysed_at, id
+    `, params);
+
+    const chats = this.chats.map(remoteJid => ({ remoteJid, analyses: rows.filter(row => row.remoteJid === remoteJid) }));
+    for (const { remoteJid, analyses } of chats) {
+      if (analyses.length === 0) {
+        console.log(`❓ ${remoteJid}: no analyses${this.from || this.to ? ' in this date range' : ''}`);
+        continue;
+      }
+
+      console.log(`📈 ${remoteJid}: ${analyses.length} analyses`);
+      for (const analysis of analyses) {
+        const changed = analysis.previous_stage && analysis.previous_stage !== analysis.lead_stage;
+        const stage = changed ? `${analysis.previous_stage} → ${analysis.lead_stage}` : analysis.lead_stage || '(none)';
+        const product = [analysis.product_category, analysis.product_subcategory].filter(Boolean).join(' / ');
+        console.log(`  ${changed ? '🔀' : '  '} ${formatTime(analysis.analysed_at)}  ${stage.padEnd(28)} ${product.padEnd(30)} ${analysis.urgency_level || ''} | ${analysis.ai_model_used || 'unknown model'}, prompt ${analysis.prompt_version || '-'}, run ${analysis.run_id.slice(0, 8)}`);
+      }
+    }
+
+    return {
+      chats: chats.map(({ remoteJid, analyses }) => ({
+        remoteJid,
+        analyses: analyses.map(({ id, ...analysis }) => analysis)
+      })),
+      missing: chats.filter(({ analyses }) => analyses.length === 0).map(({ remoteJid }) => remoteJid)
+    };
+  }
+
+  async transitions() {
+    const params = [];
+    const conditions = ['previous_stage IS NOT NULL', 'lead_stage IS DISTINCT FROM previous_stage', ...this.rangeConditions(params)];
+    const { rows } = await this.pool.query(`
+      SELECT previous_stage AS from_stage, lead_stage AS to_stage,
+        COUNT(*)::integer AS transitions,
+        COUNT(DISTINCT "remoteJid")::integer AS chats,
+        ROUND(AVG(EXTRACT(EPOCH FROM analysed_at - previous_at) / 86400)::numeric, 1)::float AS average_days
+      FROM (
+        SELECT "remoteJid", analysed_at, lead_stage,
+          LAG(lead_stage) OVER chat AS previous_stage,
+          LAG(analysed_at) OVER chat AS previous_at
+        FROM "SalesAnalysisHistory"
+        WINDOW chat AS (PARTITION BY "remoteJid" ORDER BY analysed_at, id)
+      ) h
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY 1, 2
+      ORDER BY 3 DESC, 1, 2
+    `, params);
+
+    const range = [this.from && `from ${this.from}`, this.to && `to ${this.to}`].filter(Boolean).join(' ');
+    console.log(`🔀 Lead stage transitions on ${describeSource()}${range ? ` ${range}` : ''}:`);
+    if (rows.length === 0) {
+      console.log(range ? '  📭 No stage changes in this date range' : '  📭 None yet - transitions appear once chats have been analysed more than once');
+    }
+    for (const row of rows) {
+      console.log(`  ${`${row.from_stage} → ${row.to_stage}`.padEnd(28)} ${String(row.transitions).padStart(6)} (${row.chats} chats, ${row.average_days} days on average)`);
+    }
+    return { transitions: rows };
+  }
+
+  async report() {
+    try {
+      return this.chats ? await this.timeline() : await this.transitions();
+    } finally {
+      await this.pool.end();
+    }
+  }
+}
+
+async function main() {
+  const { flags } = parseArgs(process.argv.slice(2));
+
+  let reporter;
+  try {
+    reporter = new LeadHistoryReporter({
+      chats: listFlag(flags.chats),
+      from: flags.from || null,
+      to: flags.to || null
+    });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
+  try {
+    const result = await reporter.report();
+    process.exit(result.missing?.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('💥 History query failed:', error.message);
+    process.exit(2);
+  }
+}
+
+if (isEntryPoint(import.meta.url)) main();
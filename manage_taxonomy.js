@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+import { isEntryPoint, parseArgs } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { DEFAULT_TAXONOMY_FILE, loadTaxonomy, publishTaxonomy, readTaxonomyFile } from './src/analysis/taxonomy.js';
+import { createSourcePool, describeSource } from './src/db/sourceConnection.js';
+import { SalesAnalyzer } from './analyze_conversations.js';
+
+loadEnvironment();
+
+const RESOLUTION_ICONS = { kept: '✅', renamed: '🔁', classified: '🏷️', fallback: '📭' };
+
+// Shows and publishes the product taxonomy (src/analysis/taxonomy.js) and
+// reclassifies SalesAnalysisReport rows written under an older version.
+// Reclassifying never calls the model: a row keeps its category when it still
+// exists, follows a renamed category through its aliases, or is matched by
+// keyword against the products it mentions. Rows none of that resolves are
+// left as they are and can be re-analysed with --reanalyze.
+export class TaxonomyManager {
+  constructor({ file = null, batchSize = 500 } = {}) {
+    this.file = file;
+    this.batchSize = batchSize;
+    this.pool = createSourcePool();
+  }
+
+  // --file wins over ANALYSIS_TAXONOMY
+  async load() {
+    return this.file ? readTaxonomyFile(this.file) : loadTaxonomy({ pool: this.pool });
+  }
+
+  async show() {
+    const taxonomy = await this.load();
+    console.log(`🗂️ Taxonomy ${taxonomy.version} from ${taxonomy.source} (checksum ${taxonomy.checksum.slice(0, 12)})`);
+    for (const category of taxonomy.categories) {
+      const aliases = category.aliases.length > 0 ? ` (formerly ${category.aliases.join(', ')})` : '';
+      console.log(`  ${category.name}${aliases}`);
+      for (const subcategory of category.subcategories) {
+        console.log(`    - ${subcategory.name}${subcategory.models.length > 0 ? ` (${subcategory.models.length} models)` : ''}`);
+      }
+    }
+    console.log(`  ${taxonomy.fallback} (fallback)`);
+
+    const versions = (await this.pool.query(`
+      SELECT COALESCE(taxonomy_version, '(none)') AS version, COUNT(*)::integer AS reports
+      FROM "SalesAnalysisReport"
+      GROUP BY 1
+      ORDER BY 1
+    `)).rows;
+    console.log(`\n📊 Reports by taxonomy version on ${describeSource()}:`);
+    for (const { version, reports } of versions) {
+      console.log(`  ${version === taxonomy.version ? '✅' : '⏳'} ${version}: ${reports.toLocaleString()}`);
+    }
+
+    const stale = versions.filter(({ version }) => version !== taxonomy.version).reduce((sum, { reports }) => sum + reports, 0);
+    if (stale > 0) console.log(`\n⏳ ${stale.toLocaleString()} reports predate ${taxonomy.version} - run: node manage_taxonomy.js reclassify`);
+    return { version: taxonomy.version, source: taxonomy.source, checksum: taxonomy.checksum, reports: versions, stale };
+  }
+
+  // Copies a taxonomy file into "ProductTaxonomy" for ANALYSIS_TAXONOMY=table
+  async publish() {
+    const setting = process.env.ANALYSIS_TAXONOMY;
+    const taxonomy = await readTaxonomyFile(this.file || (setting && setting !== 'table' ? setting : DEFAULT_TAXONOMY_FILE));
+    const published = await publishTaxonomy(this.pool, taxonomy);
+    console.log(published
+      ? `✅ Published taxonomy ${taxonomy.version} from ${taxonomy.source} to ${describeSource()}`
+      : `✅ Taxonomy ${taxonomy.version} is already published`);
+    return { version: taxonomy.version, published };
+  }
+
+  // -> { category, subcategory, how } or null when the row cannot be placed
+  resolve(row, taxonomy) {
+    const products = ['specific_products', 'product_models'].flatMap(column => Array.isArray(row[column]) ? row[column] : []);
+
+    const category = taxonomy.findCategory(row.product_category);
+    if (category) {
+      let subcategory = taxonomy.findSubcategory(category.name, row.product_subcategory)?.name || null;
+      if (!subcategory) {
+        const match = taxonomy.classify(products);
+        if (match?.category === category.name) subcategory = match.subcategory;
+      }
+      return { category: category.name, subcategory, how: category.name === row.product_category ? 'kept' : 'renamed' };
+    }
+
+    if (taxonomy.isFallback(row.product_category) || products.length === 0) {
+      return { category: taxonomy.fallback, subcategory: null, how: 'fallback' };
+    }
+
+    const match = taxonomy.classify(products);
+    return match ? { category: match.category, subcategory: match.subcategory, how: 'classified' } : null;
+  }
+
+  async reclassify({ all = false, dryRun = false, reanalyze = false } = {}) {
+    const taxonomy = await this.load();
+    const stats = { version: taxonomy.version, checked: 0, updated: 0, kept: 0, renamed: 0, classified: 0, fallback: 0, unresolved: [], reanalysed: null };
+
+    console.log(`🏷️ Reclassifying ${all ? 'every report' : 'reports from older versions'} into taxonomy ${taxonomy.version} on ${describeSource()}${dryRun ? ' (dry run)' : ''}...`);
+
+    // Keyset pages, so rows left unresolved are not read again
+    let after = '';
+    for (;;) {
+      const { rows } = await this.pool.query(`
+        SELECT "remoteJid", product_category, product_subcategory, specific_products, product_models
+        FROM "SalesAnalysisReport"
+        WHERE "remoteJid" > $1 ${all ? '' : 'AND (taxonomy_version IS NULL OR taxonomy_version <> $3)'}
+        ORDER BY "remoteJid"
+        LIMIT $2
+      `, all ? [after, this.batchSize] : [after, this.batchSize, taxonomy.version]);
+      if (rows.length === 0) break;
+      after = rows[rows.length - 1].remoteJid;
+
+      const updates = [];
+      for (const row of rows) {
+        stats.checked++;
+        const resolution = this.resolve(row, taxonomy);
+        if (!resolution) {
+          stats.unresolved.push(row.remoteJid);
+          console.log(`  ❓ ${row.remoteJid}: "${row.product_category}" is not in ${taxonomy.version} and no product matched`);
+          continue;
+        }
+
+        stats[resolution.how]++;
+        if (resolution.category !== row.product_category) {
+          console.log(`  ${RESOLUTION_ICONS[resolution.how]} ${row.remoteJid}: ${row.product_category} -> ${[resolution.category, resolution.subcategory].filter(Boolean).join(' / ')}`);
+        }
+        updates.push({ remoteJid: row.remoteJid, product_category: resolution.category, product_subcategory: resolution.subcategory });
+      }
+
+      if (!dryRun && updates.length > 0) {
+        const result = await this.pool.query(`
+          UPDATE "SalesAnalysisReport" r
+          SET product_category = u.product_category,
+            product_subcategory = u.product_subcategory,
+            taxonomy_version = $2
+          FROM jsonb_to_recordset($1::jsonb) AS u("remoteJid" TEXT, product_category TEXT, product_subcategory TEXT)
+          WHERE r."remoteJid" = u."remoteJid"
+        `, [JSON.stringify(updates), taxonomy.version]);
+        stats.updated += result.rowCount;
+      }
+    }
+
+    console.log(`✅ ${stats.checked} checked: ${stats.kept} kept, ${stats.renamed} renamed, ${stats.classified} classified by keyword, ${stats.fallback} without a product, ${stats.unresolved.length} unresolved${dryRun ? ' (dry run, nothing written)' : `, ${stats.updated} updated`}`);
+
+    if (stats.unresolved.length > 0 && reanalyze && !dryRun) {
+      console.log(`🤖 Re-analysing ${stats.unresolved.length} unresolved conversations...`);
+      const analyzer = new SalesAnalyzer({ chats: stats.unresolved, reanalyze: true, taxonomy });
+      const { analysed, quarantined, failed } = await analyzer.analyze();
+      stats.reanalysed = { analysed, quarantined, failed };
+    } else if (stats.unresolved.length > 0) {
+      console.log('💡 Re-analyse the unresolved conversations with --reanalyze, or add their products to the taxonomy');
+    }
+    return stats;
+  }
+
+  async end() {
+    await this.pool.end();
+  }
+}
+
+async function main() {
+  const { positionals, flags } = parseArgs(process.argv.slice(2));
+  const command = positionals[0] || 'show';
+
+  if (!['show', 'publish', 'reclassify'].includes(command)) {
+    console.error(`💥 Unknown command "${command}" (expected show, publish or reclassify)`);
+    process.exit(2);
+  }
+
+  let manager;
+  try {
+    manager = new TaxonomyManager({ file: typeof flags.file === 'string' ? flags.file : null });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
+  let exitCode;
+  try {
+    if (command === 'show') {
+      exitCode = (await manager.show()).stale > 0 ? 1 : 0;
+    } else if (command === 'publish') {
+      await manager.publish();
+      exitCode = 0;
+    } else {
+      const stats = await manager.reclassify({
+        all: Boolean(flags.all),
+        dryRun: Boolean(flags['dry-run']),
+        reanalyze: Boolean(flags.reanalyze)
+      });
+      const { reanalysed } = stats;
+      exitCode = reanalysed
+        ? (reanalysed.quarantined + reanalysed.failed > 0 ? 1 : 0)
+        : (stats.unresolved.length > 0 ? 1 : 0);
+    }
+  } catch (error) {
+    console.error('💥 Taxonomy command failed:', error.message);
+    exitCode = 2;
+  }
+
+  await manager.end();
+  process.exit(exitCode);
+}
+
+if (isEntryPoint(import.meta.url)) main();
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSourcePool, describeSource } from './src/db/sourceConnection.js';
+import { createTargetTransport, getTargetConfig } from './src/db/targetConnection.js';
+import { MigrationRunner } from './src/schema/migrations.js';
+
+loadEnvironment();
+
+const STATE_ICONS = { applied: '✅', pending: '⏳', modified: '⚠️', missing: '❓' };
+
+// Applies the versioned analysis-table migrations in ./migrations to the
+// source database (DB_*) or the target (TARGET_DATABASE_URL / TARGET_DB_*)
+export class AnalysisSchemaMigrator {
+  constructor({ database = 'target' } = {}) {
+    if (database === 'source') {
+      this.pool = createSourcePool();
+      this.description = `source ${describeSource()}`;
+    } else if (database === 'target') {
+      const target = createTargetTransport(getTargetConfig({ ...process.env, TARGET_TRANSPORT: 'pg' }));
+      this.pool = target.pool;
+      this.description = `target ${target.describe()}`;
+    } else {
+      throw new Error(`Unknown --db=${database} (expected source or target)`);
+    }
+
+    this.runner = new MigrationRunner({ pool: this.pool });
+  }
+
+  async status() {
+    const { entries } = await this.runner.status();
+
+    console.log(`📋 Analysis migrations on ${this.description}`);
+    for (const entry of entries) {
+      const appliedAt = entry.appliedAt ? ` (${new Date(entry.appliedAt).toISOString()})` : '';
+      console.log(`${STATE_ICONS[entry.state]} ${entry.version}_${entry.name}: ${entry.state}${appliedAt}`);
+    }
+
+    const pending = entries.filter(entry => entry.state === 'pending').length;
+    console.log(pending > 0 ? `\n⏳ ${pending} pending - run: node migrate_analysis.js up` : '\n✅ Up to date');
+    return entries.every(entry => entry.state === 'applied');
+  }
+
+  async up(options) {
+    console.log(`🚀 Applying analysis migrations to ${this.description}...`);
+    const applied = await this.runner.up(options);
+
+    for (const migration of applied) {
+      console.log(`✅ Applied ${migration.version}_${migration.name}`);
+    }
+    console.log(applied.length > 0 ? `🎉 ${applied.length} migration(s) applied` : '✅ Already up to date');
+
+    // Let PostgREST pick up the new columns
+    await this.pool.query("SELECT pg_notify('pgrst', 'reload schema')");
+    return true;
+  }
+
+  async down(options) {
+    console.log(`⏪ Reverting analysis migrations on ${this.description}...`);
+    const reverted = await this.runner.down(options);
+
+    for (const migration of reverted) {
+      console.log(`✅ Reverted ${migration.version}_${migration.name}`);
+    }
+    console.log(reverted.length > 0 ? `🎉 ${reverted.length} migration(s) reverted` : '📭 Nothing to revert');
+
+    await this.pool.query("SELECT pg_notify('pgrst', 'reload schema')");
+    return true;
+  }
+
+  async end() {
+    await this.pool.end();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => !arg.startsWith('--')) || 'status';
+  const dbArg = args.find(arg => arg.startsWith('--db='));
+  const toArg = args.find(arg => arg.startsWith('--to='));
+  const stepsArg = args.find(arg => arg.startsWith('--steps='));
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error(`💥 Unknown command "${command}" (expected up, down or status)`);
+    process.exit(2);
+  }
+
+  let migrator;
+  try {
+    migrator = new AnalysisSchemaMigrator({ database: dbArg ? dbArg.split('=')[1] : 'target' });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
+  let exitCode;
+  try {
+    const to = toArg ? toArg.split('=')[1] : null;
+    let ok;
+    if (command === 'up') {
+      ok = await migrator.up({ to });
+    } else if (command === 'down') {
+      ok = await migrator.down({ to, steps: stepsArg ? parseInt(stepsArg.split('=')[1]) : 1 });
+    } else {
+      ok = await migrator.status();
+    }
+    exitCode = ok ? 0 : 1;
+  } catch (error) {
+    console.error('💥 Migration failed:', error.message);
+    exitCode = 2;
+  }
+
+  await migrator.end();
+  process.exit(exitCode);
+}
+
+if (isEntryPoint(import.meta.url)) main();
@@ -1,28 +1,54 @@
 #!/usr/bin/env node
 
-import dotenv from 'dotenv';
-import pkg from 'pg';
-import { createClient } from '@supabase/supabase-js';
-
-dotenv.config();
-const { Pool } = pkg;
-
-class DataMigrator {
-  constructor() {
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSupabaseClient } from './src/config/supabase.js';
+import { createSourcePool, describeSource } from './src/db/sourceConnection.js';
+import { createTargetTransport, getTargetConfig } from './src/db/targetConnection.js';
+import { CheckpointStore } from './src/migration/checkpointStore.js';
+import { copyTable } from './src/migration/copyTransfer.js';
+import { DeadLetterStore } from './src/migration/deadLetter.js';
+import { getForeignKeys, getPrimaryKey } from './src/migration/catalog.js';
+import { getConflictTarget, keepNewer, parseConflictPolicies, policyFor } from './src/migration/conflictPolicy.js';
+import { findWatermarkColumn } from './src/migration/deltaSync.js';
+import { fetchBatches, keyOf } from './src/migration/keysetPager.js';
+import {
+  checkPlan,
+  createPlan,
+  estimateBatches,
+  loadPlan,
+  parsePlanArgs,
+  printPlan,
+  savePlan
+} from './src/migration/plan.js';
+import { dropDeferredConstraints, orderTables, restoreDeferredConstraints } from './src/migration/tableOrder.js';
+import { getColumns } from './src/schema/ddl.js';
+
+loadEnvironment();
+
+const BATCH_SIZE = 1000;
+
+export class DataMigrator {
+  constructor({ resume = false, mode = 'insert', conflictPolicies = parseConflictPolicies() } = {}) {
     // Source PostgreSQL connection
-    this.sourcePool = new Pool({
-      user: process.env.DB_USER,
-      host: process.env.DB_HOST,
-      database: process.env.DB_NAME,
-      password: process.env.DB_PASSWORD,
-      port: process.env.DB_PORT,
-    });
+    this.sourcePool = createSourcePool();
 
     // Supabase client
-    this.supabase = createClient(
-      process.env.SUPABASE_PROJECT_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
+    this.supabase = createSupabaseClient();
+
+    this.resume = resume;
+    this.conflictPolicies = conflictPolicies;
+    this.checkpoints = new CheckpointStore({ scope: 'DataMigrator' });
+    this.deadLetters = new DeadLetterStore({ migrator: 'DataMigrator' });
+
+    // COPY needs a direct pg connection to the target (TARGET_DATABASE_URL / TARGET_DB_*)
+    if (!['insert', 'copy'].includes(mode)) {
+      throw new Error(`Unknown --mode=${mode} (expected insert or copy)`);
+    }
+    this.mode = mode;
+    this.copyTarget = mode === 'copy'
+      ? createTargetTransport(getTargetConfig({ ...process.env, TARGET_TRANSPORT: 'pg' }))
+      : null;
 
     console.log('🚀 Data migrator initialized');
   }
@@ -80,75 +106,193 @@ class DataMigrator {
     }
   }
 
-  async migrateTable(tableName, rowCount) {
+  // Conflict target and policy for a table, from the source catalog and --conflict
+  async resolveConflictHandling(tableName) {
+    const target = await getConflictTarget(this.sourcePool, tableName);
+    let policy = policyFor(this.conflictPolicies, tableName);
+
+    if (!target) {
+      if (policy !== 'skip') {
+        console.warn(`⚠️ ${tableName} has no primary or unique key, cannot ${policy} - existing rows are kept`);
+      }
+      return { columns: [], policy: 'skip', newerColumn: null };
+    }
+
+    let newerColumn = null;
+    if (policy === 'overwrite-if-newer') {
+      const column = findWatermarkColumn(await getColumns(this.sourcePool, tableName));
+      if (column) {
+        newerColumn = column.name;
+      } else {
+        console.warn(`⚠️ ${tableName} has no change-tracking column to compare, existing rows are kept`);
+        policy = 'skip';
+      }
+    }
+
+    console.log(`🔑 ${tableName}: conflicts on (${target.columns.join(', ')}) from ${target.source}, policy ${policy}${newerColumn ? ` by ${newerColumn}` : ''}`);
+    return { columns: target.columns, policy, newerColumn };
+  }
+
+  upsertOptions(conflict) {
+    if (conflict.columns.length === 0) {
+      return { ignoreDuplicates: true };
+    }
+    return {
+      onConflict: conflict.columns.join(','),
+      ignoreDuplicates: conflict.policy === 'skip'
+    };
+  }
+
+  // Drops rows whose target copy is at least as recent (overwrite-if-newer)
+  async keepNewerRows(tableName, rows, conflict) {
+    const [firstKey] = conflict.columns;
+    const lookupSize = 100; // Keep the REST query string short
+    const existing = [];
+
+    for (let start = 0; start < rows.length; start += lookupSize) {
+      const chunk = rows.slice(start, start + lookupSize);
+      const { data, error } = await this.supabase
+        .from(tableName)
+        .select([...conflict.columns, conflict.newerColumn].join(','))
+        .in(firstKey, [...new Set(chunk.map(row => row[firstKey]))]);
+
+      if (error) throw new Error(error.message);
+      existing.push(...data);
+    }
+
+    return keepNewer(rows, existing, conflict.columns, conflict.newerColumn);
+  }
+
+  async upsertBatch(tableName, rows, { conflict, batchNumber = null }) {
+    let pending = rows;
+    if (conflict.newerColumn) {
+      pending = await this.keepNewerRows(tableName, rows, conflict);
+      if (pending.length === 0) {
+        return { success: 0, failed: 0, notNewer: rows.length };
+      }
+    }
+    const notNewer = rows.length - pending.length;
+    const options = this.upsertOptions(conflict);
+    const replayAs = options.ignoreDuplicates === false
+      ? { writeMode: 'upsert', conflictColumns: conflict.columns }
+      : {};
+
+    const { error } = await this.supabase
+      .from(tableName)
+      .upsert(pending, options);
+
+    if (!error) {
+      return { success: pending.length, failed: 0, notNewer };
+    }
+
+    console.error(`❌ Supabase error for ${tableName}:`, error.message);
+
+    // Try inserting one by one for this batch
+    let batchSuccess = 0;
+    for (const row of pending) {
+      try {
+        const { error: singleError } = await this.supabase
+          .from(tableName)
+          .upsert([row], options);
+
+        if (!singleError) {
+          batchSuccess++;
+        } else {
+          console.error(`❌ Single row error: ${singleError.message}`);
+          await this.deadLetters.record(tableName, { row, keyColumns: conflict.columns, error: singleError, batchNumber, ...replayAs });
+        }
+      } catch (singleErr) {
+        console.error(`❌ Exception inserting single row:`, singleErr.message);
+        await this.deadLetters.record(tableName, { row, keyColumns: conflict.columns, error: singleErr, batchNumber, ...replayAs });
+      }
+    }
+
+    return { success: batchSuccess, failed: pending.length - batchSuccess, notNewer };
+  }
+
+  async migrateTable({ name: tableName, rows: rowCount, keyColumns, conflict, batchSize }) {
     try {
       console.log(`\n📦 Migrating ${tableName} (${rowCount} rows)...`);
 
-      const batchSize = 1000;
-      let offset = 0;
+      let after = null;
       let successCount = 0;
       let errorCount = 0;
+      let notNewerCount = 0;
 
-      while (offset < rowCount) {
-        const currentBatchSize = Math.min(batchSize, rowCount - offset);
-        console.log(`  📥 Processing batch ${Math.floor(offset/batchSize) + 1}/${Math.ceil(rowCount/batchSize)} (rows ${offset + 1}-${offset + currentBatchSize})`);
+      if (keyColumns.length > 0 && this.resume) {
+        const checkpoint = await this.checkpoints.get(tableName);
+        if (checkpoint?.completed) {
+          console.log(`⏭️ ${tableName} already completed (${checkpoint.rowsCommitted} rows), skipping`);
+          return { success: 0, failed: 0, skipped: true };
+        }
+        if (checkpoint?.lastKey) {
+          after = checkpoint.lastKey;
+          successCount = checkpoint.rowsCommitted || 0;
+          console.log(`⏯️ Resuming ${tableName} after key (${after.join(', ')}) - ${successCount} rows already committed`);
+        }
+      } else if (keyColumns.length > 0) {
+        await this.checkpoints.clear(tableName);
+      }
 
+      if (this.copyTarget) {
         try {
-          // Get batch from source
-          const batchResult = await this.sourcePool.query(
-            `SELECT * FROM "${tableName}" ORDER BY 1 LIMIT $1 OFFSET $2`,
-            [batchSize, offset]
-          );
-
-          if (batchResult.rows.length === 0) break;
-
-          // Insert batch into Supabase
-          const { data, error } = await this.supabase
-            .from(tableName)
-            .upsert(batchResult.rows, {
-              onConflict: 'id', // Use primary key for conflict resolution
-              ignoreDuplicates: true
-            });
-
-          if (error) {
-            console.error(`❌ Supabase error for ${tableName}:`, error.message);
-
-            // Try inserting one by one for this batch
-            let batchSuccess = 0;
-            for (const row of batchResult.rows) {
-              try {
-                const { error: singleError } = await this.supabase
-                  .from(tableName)
-                  .upsert([row], { ignoreDuplicates: true });
-
-                if (!singleError) {
-                  batchSuccess++;
-                } else {
-                  console.error(`❌ Single row error: ${singleError.message}`);
-                }
-              } catch (singleErr) {
-                console.error(`❌ Exception inserting single row:`, singleErr.message);
-              }
-            }
-            successCount += batchSuccess;
-            errorCount += (batchResult.rows.length - batchSuccess);
-          } else {
-            successCount += batchResult.rows.length;
+          const copyResult = await copyTable({
+            sourcePool: this.sourcePool,
+            targetPool: this.copyTarget.pool,
+            tableName,
+            keyColumns,
+            after,
+            overwrite: conflict.policy !== 'skip',
+            conflictColumns: conflict.columns,
+            newerColumn: conflict.newerColumn
+          });
+
+          successCount += copyResult.inserted;
+          if (keyColumns.length > 0) {
+            await this.checkpoints.save(tableName, { rowsCommitted: successCount, completed: true });
           }
 
+          console.log(`✅ ${tableName} COPY complete: ${copyResult.inserted} written, ${copyResult.skipped} kept as on target (${copyResult.rowsPerSecond.toLocaleString()} rows/s)`);
+          return { success: successCount, failed: 0, rowsPerSecond: copyResult.rowsPerSecond };
         } catch (error) {
-          console.error(`❌ Error in batch at offset ${offset}:`, error.message);
-          errorCount += currentBatchSize;
+          console.warn(`⚠️ COPY failed for ${tableName} (${error.message}), falling back to batched upserts`);
         }
+      }
+
+      if (keyColumns.length === 0) {
+        console.warn(`⚠️ ${tableName} has no primary key, falling back to OFFSET paging (not resumable)`);
+        return await this.migrateTableByOffset(tableName, rowCount, { conflict, batchSize });
+      }
 
-        offset += batchSize;
+      const started = Date.now();
+      let processed = 0;
+      let batchNumber = 0;
+      for await (const rows of fetchBatches(this.sourcePool, tableName, { keyColumns, batchSize, after })) {
+        batchNumber++;
+        processed += rows.length;
+        console.log(`  📥 Processing batch ${batchNumber}/~${Math.ceil(rowCount/batchSize)} (${rows.length} rows)`);
+
+        // Insert batch into Supabase
+        const result = await this.upsertBatch(tableName, rows, { conflict, batchNumber });
+        successCount += result.success;
+        errorCount += result.failed;
+        notNewerCount += result.notNewer;
+
+        await this.checkpoints.save(tableName, {
+          lastKey: keyOf(rows[rows.length - 1], keyColumns),
+          rowsCommitted: successCount,
+          completed: false
+        });
 
         // Rate limiting
         await new Promise(resolve => setTimeout(resolve, 100));
       }
 
-      console.log(`✅ ${tableName} migration complete: ${successCount} success, ${errorCount} failed`);
-      return { success: successCount, failed: errorCount };
+      await this.checkpoints.save(tableName, { rowsCommitted: successCount, completed: true });
+
+      const rowsPerSecond = Math.round(processed / Math.max((Date.now() - started) / 1000, 0.001));
+      console.log(`✅ ${tableName} migration complete: ${successCount} success, ${errorCount} failed${notNewerCount > 0 ? `, ${notNewerCount} not newer than target` : ''} (${rowsPerSecond.toLocaleString()} rows/s)`);
+      return { success: successCount, failed: errorCount, notNewer: notNewerCount, rowsPerSecond };
 
     } catch (error) {
       console.error(`❌ Error migrating table ${tableName}:`, error.message);
@@ -156,7 +300,96 @@ class DataMigrator {
     }
   }
 
-  async migrateAllData() {
+  async migrateTableByOffset(tableName, rowCount, { conflict, batchSize }) {
+    let offset = 0;
+    let successCount = 0;
+    let errorCount = 0;
+
+    while (offset < rowCount) {
+      const currentBatchSize = Math.min(batchSize, rowCount - offset);
+      const batchNumber = Math.floor(offset/batchSize) + 1;
+      console.log(`  📥 Processing batch ${batchNumber}/${Math.ceil(rowCount/batchSize)} (rows ${offset + 1}-${offset + currentBatchSize})`);
+
+      try {
+        // Get batch from source
+        const batchResult = await this.sourcePool.query(
+          `SELECT * FROM "${tableName}" ORDER BY 1 LIMIT $1 OFFSET $2`,
+          [batchSize, offset]
+        );
+
+        if (batchResult.rows.length === 0) break;
+
+        const result = await this.upsertBatch(tableName, batchResult.rows, { conflict, batchNumber });
+        successCount += result.success;
+        errorCount += result.failed;
+
+      } catch (error) {
+        console.error(`❌ Error in batch at offset ${offset}:`, error.message);
+        errorCount += currentBatchSize;
+      }
+
+      offset += batchSize;
+
+      // Rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    console.log(`✅ ${tableName} migration complete: ${successCount} success, ${errorCount} failed`);
+    return { success: successCount, failed: errorCount };
+  }
+
+  // Everything the run will do, read from the source without writing anywhere
+  async buildPlan() {
+    // Get tables with data
+    const tables = await this.getTablesWithData();
+
+    // Load parents before children, following the source's foreign keys
+    const foreignKeys = await getForeignKeys(this.sourcePool);
+    const { order, deferred } = orderTables(tables.map(t => t.name), foreignKeys);
+
+    const tablePlans = [];
+    for (const tableName of order) {
+      const { rows } = tables.find(t => t.name === tableName);
+      const keyColumns = await getPrimaryKey(this.sourcePool, tableName);
+
+      tablePlans.push({
+        name: tableName,
+        rows,
+        columns: (await getColumns(this.sourcePool, tableName)).map(column => column.name),
+        keyColumns,
+        paging: keyColumns.length > 0 ? 'keyset' : 'offset',
+        batchSize: BATCH_SIZE,
+        batches: estimateBatches(rows, BATCH_SIZE),
+        conflict: await this.resolveConflictHandling(tableName)
+      });
+    }
+
+    return createPlan('migrate_data_to_supabase', {
+      source: describeSource(),
+      target: this.copyTarget ? this.copyTarget.describe() : process.env.SUPABASE_PROJECT_URL,
+      transport: this.copyTarget ? 'pg' : 'rest',
+      mode: this.mode,
+      order,
+      deferred,
+      tables: tablePlans
+    });
+  }
+
+  // Connects, builds the plan and closes again - nothing is written
+  async dryRun() {
+    try {
+      const connectionsOk = await this.testConnections();
+      if (!connectionsOk) {
+        throw new Error('Database connections failed');
+      }
+      return await this.buildPlan();
+    } finally {
+      await this.sourcePool.end();
+      if (this.copyTarget) await this.copyTarget.end();
+    }
+  }
+
+  async migrateAllData({ plan = null } = {}) {
     try {
       console.log('🚀 Starting data migration to Supabase');
       console.log('='.repeat(60));
@@ -167,57 +400,67 @@ class DataMigrator {
         throw new Error('Database connections failed');
       }
 
-      // Get tables with data
-      const tables = await this.getTablesWithData();
-      console.log(`\n📊 Found ${tables.length} tables with data:`);
+      if (plan) {
+        await checkPlan(plan, {
+          sourcePool: this.sourcePool,
+          target: this.copyTarget ? this.copyTarget.describe() : process.env.SUPABASE_PROJECT_URL
+        });
+        console.log(`📋 Applying plan from ${plan.createdAt}`);
+      } else {
+        plan = await this.buildPlan();
+      }
+
+      await this.checkpoints.load();
+      if (this.resume) {
+        console.log('⏯️ Resume mode: continuing from saved checkpoints');
+      }
+
+      console.log(`\n📊 Found ${plan.tables.length} tables with data:`);
 
       let totalRows = 0;
-      for (const table of tables) {
+      for (const table of plan.tables) {
         console.log(`  📋 ${table.name}: ${table.rows.toLocaleString()} rows`);
         totalRows += table.rows;
       }
       console.log(`📈 Total records to migrate: ${totalRows.toLocaleString()}`);
 
-      // Migration strategy: Prioritize core tables first
-      const coreTableOrder = [
-        'Instance', 'Chat', 'Contact', 'Message', 'IsOnWhatsapp',
-        'ConversationCache', 'SalesAnalysisReport', 'AppleAnalysisReport'
-      ];
-
-      const orderedTables = [];
-
-      // Add core tables first
-      for (const coreTable of coreTableOrder) {
-        const found = tables.find(t => t.name === coreTable);
-        if (found) {
-          orderedTables.push(found);
-        }
-      }
-
-      // Add remaining tables
-      for (const table of tables) {
-        if (!coreTableOrder.includes(table.name)) {
-          orderedTables.push(table);
-        }
+      const deferred = plan.deferred;
+      if (deferred.length > 0 && this.copyTarget) {
+        console.log(`⏸️ Deferring cyclic/self-referencing foreign keys: ${deferred.map(fk => `${fk.table}.${fk.name}`).join(', ')}`);
+        await dropDeferredConstraints(this.copyTarget, deferred);
+      } else if (deferred.length > 0) {
+        // The REST API cannot drop constraints; rows violating these may be rejected
+        console.warn(`⚠️ Cyclic or self-referencing foreign keys (enforced on target during load): ${deferred.map(fk => `${fk.table}.${fk.name}`).join(', ')}`);
       }
 
-      console.log(`\n🔄 Migration order: ${orderedTables.map(t => t.name).join(', ')}`);
+      console.log(`\n🔄 Migration order: ${plan.order.join(', ')}`);
 
       // Migrate each table
       const results = {};
       let totalSuccess = 0;
       let totalFailed = 0;
 
-      for (const table of orderedTables) {
-        try {
-          const result = await this.migrateTable(table.name, table.rows);
-          results[table.name] = result;
-          totalSuccess += result.success;
-          totalFailed += result.failed;
-        } catch (error) {
-          console.error(`❌ Failed to migrate ${table.name}:`, error.message);
-          results[table.name] = { success: 0, failed: table.rows, error: error.message };
-          totalFailed += table.rows;
+      try {
+        for (const table of plan.tables) {
+          try {
+            const result = await this.migrateTable(table);
+            results[table.name] = result;
+            totalSuccess += result.success;
+            totalFailed += result.failed;
+          } catch (error) {
+            console.error(`❌ Failed to migrate ${table.name}:`, error.message);
+            results[table.name] = { success: 0, failed: table.rows, error: error.message };
+            totalFailed += table.rows;
+          }
+        }
+      } finally {
+        // Even an aborted run must not leave the target without its foreign keys
+        if (deferred.length > 0 && this.copyTarget) {
+          console.log('\n▶️ Restoring deferred foreign keys...');
+          const failures = await restoreDeferredConstraints(this.copyTarget, deferred);
+          for (const failure of failures) {
+            console.error(`❌ Could not restore ${failure.table}.${failure.constraint}: ${failure.error}`);
+          }
         }
       }
 
@@ -227,13 +470,17 @@ class DataMigrator {
 
       for (const [tableName, result] of Object.entries(results)) {
         const status = result.success > 0 ? '✅' : '❌';
-        console.log(`${status} ${tableName}: ${result.success.toLocaleString()} success, ${result.failed} failed`);
+        const rate = result.rowsPerSecond ? ` (${result.rowsPerSecond.toLocaleString()} rows/s)` : '';
+        console.log(`${status} ${tableName}: ${result.success.toLocaleString()} success, ${result.failed} failed${rate}`);
       }
 
       console.log('-'.repeat(60));
       console.log(`📈 Total successful: ${totalSuccess.toLocaleString()} records`);
       console.log(`📉 Total failed: ${totalFailed.toLocaleString()} records`);
       console.log(`📊 Success rate: ${((totalSuccess / (totalSuccess + totalFailed)) * 100).toFixed(2)}%`);
+      if (this.deadLetters.recorded > 0) {
+        console.log(`🪦 ${this.deadLetters.recorded} rejected rows saved for replay (node replay_failures.js)`);
+      }
 
       if (totalSuccess > 0) {
         console.log('\n🎉 Migration completed! Your data is now in Supabase.');
@@ -247,20 +494,55 @@ class DataMigrator {
       throw error;
     } finally {
       await this.sourcePool.end();
+      if (this.copyTarget) await this.copyTarget.end();
     }
   }
 }
 
 // Execute migration
 async function main() {
+  const modeArg = process.argv.find(arg => arg.startsWith('--mode='));
+  const conflictArg = process.argv.find(arg => arg.startsWith('--conflict='));
+  const { dryRun, planFile, applyFile } = parsePlanArgs(process.argv);
+
+  let plan = null;
+  let migrator;
+  try {
+    // A saved plan fixes the mode and per-table conflict handling it was made with
+    plan = applyFile ? await loadPlan(applyFile, 'migrate_data_to_supabase') : null;
+    migrator = new DataMigrator({
+      resume: process.argv.includes('--resume'),
+      mode: plan ? plan.mode : modeArg ? modeArg.split('=')[1] : 'insert',
+      conflictPolicies: parseConflictPolicies(conflictArg ? conflictArg.split('=')[1] : null)
+    });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    try {
+      plan = plan || await migrator.dryRun();
+      printPlan(plan);
+      if (planFile) {
+        await savePlan(plan, planFile);
+        console.log(`\n📝 Plan saved to ${planFile} - apply it with: node migrate_data_to_supabase.js --apply-plan=${planFile}`);
+      }
+      console.log('\n🧪 Dry run - nothing was written');
+      process.exit(0);
+    } catch (error) {
+      console.error('\n💥 Planning failed:', error.message);
+      process.exit(1);
+    }
+  }
+
   console.log('⚠️  WARNING: Make sure you have run the schema.sql in Supabase first!');
-  console.log('Press Ctrl+C to cancel, or wait 5 seconds to continue...\n');
+  console.log('Press Ctrl+C to cancel, or wait 5 seconds to continue (use --dry-run to preview)...\n');
 
   await new Promise(resolve => setTimeout(resolve, 5000));
 
-  const migrator = new DataMigrator();
   try {
-    await migrator.migrateAllData();
+    await migrator.migrateAllData({ plan });
     console.log('\n🎉 Data migration completed successfully!');
     process.exit(0);
   } catch (error) {
@@ -269,4 +551,4 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+if (isEntryPoint(import.meta.url)) main();
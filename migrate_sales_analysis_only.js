@@ -1,150 +1,337 @@
 #!/usr/bin/env node
 
-import dotenv from 'dotenv';
-import pkg from 'pg';
-import { createClient } from '@supabase/supabase-js';
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSupabaseClient } from './src/config/supabase.js';
+import { createSourcePool, describeSource } from './src/db/sourceConnection.js';
+import { createTargetTransport, getTargetConfig } from './src/db/targetConnection.js';
+import { quoteIdent } from './src/db/sql.js';
+import { tableExists } from './src/migration/catalog.js';
+import { copyTable } from './src/migration/copyTransfer.js';
+import { DeadLetterStore } from './src/migration/deadLetter.js';
+import {
+  checkPlan,
+  createPlan,
+  estimateBatches,
+  loadPlan,
+  parsePlanArgs,
+  printPlan,
+  savePlan
+} from './src/migration/plan.js';
+import { getColumns } from './src/schema/ddl.js';
 
-dotenv.config();
-const { Pool } = pkg;
+loadEnvironment();
 
-class SalesAnalysisMigrator {
-  constructor() {
+const BATCH_SIZE = 500; // Smaller batches for analysis data
+const LOOKUP_SIZE = 100; // Keep the REST query string short
+
+// Copied in this order. Re-analysed reports and quarantine entries replace the
+// target's copy, published taxonomy versions never change, and the history is
+// append-only on the target too: its rows are only ever inserted, without
+// their source id, and skipped when the target already has that chat's entry
+// for that run.
+const ANALYSIS_TABLES = [
+  { name: 'ProductTaxonomy', keyColumns: ['version'], policy: 'skip' },
+  { name: 'SalesAnalysisReport', keyColumns: ['remoteJid'], policy: 'overwrite' },
+  { name: 'SalesAnalysisQuarantine', keyColumns: ['remoteJid'], policy: 'overwrite' },
+  { name: 'SalesAnalysisHistory', keyColumns: ['remoteJid', 'run_id'], policy: 'append', orderBy: ['id'], omitColumns: ['id'] }
+];
+
+export class SalesAnalysisMigrator {
+  constructor({ mode = 'insert' } = {}) {
     // Source PostgreSQL connection
-    this.sourcePool = new Pool({
-      user: process.env.DB_USER,
-      host: process.env.DB_HOST,
-      database: process.env.DB_NAME,
-      password: process.env.DB_PASSWORD,
-      port: process.env.DB_PORT,
-    });
+    this.sourcePool = createSourcePool();
 
     // Supabase client
-    this.supabase = createClient(
-      process.env.SUPABASE_PROJECT_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
+    this.supabase = createSupabaseClient();
+
+    // COPY needs a direct pg connection to the target (TARGET_DATABASE_URL / TARGET_DB_*)
+    if (!['insert', 'copy'].includes(mode)) {
+      throw new Error(`Unknown --mode=${mode} (expected insert or copy)`);
+    }
+    this.mode = mode;
+    this.copyTarget = mode === 'copy'
+      ? createTargetTransport(getTargetConfig({ ...process.env, TARGET_TRANSPORT: 'pg' }))
+      : null;
+
+    this.deadLetters = new DeadLetterStore({ migrator: 'SalesAnalysisMigrator' });
+
+    console.log('🎯 Sales analysis migrator initialized');
+  }
+
+  targetDescription() {
+    return this.copyTarget ? this.copyTarget.describe() : process.env.SUPABASE_PROJECT_URL;
+  }
 
-    console.log('🎯 SalesAnalysisReport migrator initialized');
+  async countRows(tableName) {
+    const countResult = await this.sourcePool.query(`SELECT COUNT(*) as count FROM ${quoteIdent(tableName)}`);
+    return parseInt(countResult.rows[0].count);
   }
 
-  async migrateSalesAnalysisReport() {
+  async buildPlan() {
+    const tables = [];
+    for (const table of ANALYSIS_TABLES) {
+      // Older sources predate the quarantine, taxonomy and history migrations
+      if (!await tableExists(this.sourcePool, table.name)) {
+        console.log(`⏭️ ${table.name}: not on the source, skipped`);
+        continue;
+      }
+
+      const rows = await this.countRows(table.name);
+      tables.push({
+        name: table.name,
+        rows,
+        columns: (await getColumns(this.sourcePool, table.name)).map(column => column.name),
+        keyColumns: table.keyColumns,
+        paging: 'offset',
+        batchSize: BATCH_SIZE,
+        batches: estimateBatches(rows, BATCH_SIZE),
+        conflict: { columns: table.keyColumns, policy: table.policy, newerColumn: null }
+      });
+    }
+
+    return createPlan('migrate_sales_analysis_only', {
+      source: describeSource(),
+      target: this.targetDescription(),
+      transport: this.copyTarget ? 'pg' : 'rest',
+      mode: this.mode,
+      order: tables.map(table => table.name),
+      tables
+    });
+  }
+
+  // Counts and closes again - nothing is written
+  async dryRun() {
     try {
-      console.log('🚀 Starting SalesAnalysisReport migration...');
+      return await this.buildPlan();
+    } finally {
+      await this.sourcePool.end();
+      if (this.copyTarget) await this.copyTarget.end();
+    }
+  }
+
+  // Drops history rows whose (remoteJid, run_id) entry the target already holds
+  async newHistoryRows(tableName, rows) {
+    const existing = new Set();
+    for (let start = 0; start < rows.length; start += LOOKUP_SIZE) {
+      const chunk = rows.slice(start, start + LOOKUP_SIZE);
+      const { data, error } = await this.supabase
+        .from(tableName)
+        .select('remoteJid,run_id')
+        .in('remoteJid', [...new Set(chunk.map(row => row.remoteJid))])
+        .in('run_id', [...new Set(chunk.map(row => row.run_id))]);
+
+      if (error) throw new Error(error.message);
+      for (const row of data) existing.add(`${row.remoteJid}|${row.run_id}`);
+    }
+    return rows.filter(row => !existing.has(`${row.remoteJid}|${row.run_id}`));
+  }
+
+  async writeRows(table, rows) {
+    if (table.policy === 'append') {
+      return this.supabase.from(table.name).insert(rows);
+    }
+    return this.supabase
+      .from(table.name)
+      .upsert(rows, {
+        onConflict: table.keyColumns.join(','),
+        ignoreDuplicates: table.policy === 'skip'
+      });
+  }
+
+  async migrateTable(table, batchSize) {
+    const totalRows = await this.countRows(table.name);
+    console.log(`\n📦 ${table.name}: ${totalRows.toLocaleString()} records to migrate`);
 
-      // Get total count
-      const countResult = await this.sourcePool.query('SELECT COUNT(*) as count FROM "SalesAnalysisReport"');
-      const totalRows = parseInt(countResult.rows[0].count);
+    if (totalRows === 0) {
+      console.log('📭 No records to migrate');
+      return { success: 0, failed: 0, total: 0 };
+    }
 
-      console.log(`📊 Found ${totalRows.toLocaleString()} SalesAnalysisReport records to migrate`);
+    if (this.copyTarget && table.policy !== 'append') {
+      try {
+        console.log('🚚 Transferring with COPY...');
+        const copyResult = await copyTable({
+          sourcePool: this.sourcePool,
+          targetPool: this.copyTarget.pool,
+          tableName: table.name,
+          keyColumns: table.keyColumns,
+          overwrite: table.policy === 'overwrite'
+        });
 
-      if (totalRows === 0) {
-        console.log('📭 No records to migrate');
-        return;
+        console.log(`✅ COPY complete: ${copyResult.copied.toLocaleString()} records (${copyResult.rowsPerSecond.toLocaleString()} rows/s)`);
+        return { success: copyResult.copied, failed: 0, total: totalRows, rowsPerSecond: copyResult.rowsPerSecond };
+      } catch (error) {
+        console.warn(`⚠️ COPY failed (${error.message}), falling back to batched upserts`);
       }
+    }
 
-      const batchSize = 500; // Smaller batches for analysis data
-      let offset = 0;
-      let successCount = 0;
-      let errorCount = 0;
+    const started = Date.now();
+    const orderBy = (table.orderBy || table.keyColumns).map(quoteIdent).join(', ');
+    const replayAs = table.policy === 'overwrite' ? { writeMode: 'upsert', conflictColumns: table.keyColumns } : {};
 
-      while (offset < totalRows) {
-        const currentBatchSize = Math.min(batchSize, totalRows - offset);
-        console.log(`📥 Processing batch ${Math.floor(offset/batchSize) + 1}/${Math.ceil(totalRows/batchSize)} (rows ${offset + 1}-${offset + currentBatchSize})`);
+    let offset = 0;
+    let successCount = 0;
+    let skippedCount = 0;
+    let errorCount = 0;
 
-        try {
-          // Get batch from source
-          const batchResult = await this.sourcePool.query(
-            'SELECT * FROM "SalesAnalysisReport" ORDER BY "remoteJid" LIMIT $1 OFFSET $2',
-            [batchSize, offset]
-          );
-
-          if (batchResult.rows.length === 0) break;
-
-          // Insert batch into Supabase
-          const { data, error } = await this.supabase
-            .from('SalesAnalysisReport')
-            .upsert(batchResult.rows, {
-              onConflict: 'remoteJid',
-              ignoreDuplicates: false // Update existing records
-            });
-
-          if (error) {
-            console.error(`❌ Batch error:`, error.message);
-
-            // Try individual inserts
-            let batchSuccess = 0;
-            for (const row of batchResult.rows) {
-              try {
-                const { error: singleError } = await this.supabase
-                  .from('SalesAnalysisReport')
-                  .upsert([row], {
-                    onConflict: 'remoteJid',
-                    ignoreDuplicates: false
-                  });
-
-                if (!singleError) {
-                  batchSuccess++;
-                } else {
-                  console.error(`❌ Single row error for ${row.remoteJid}:`, singleError.message);
-                  errorCount++;
-                }
-              } catch (singleErr) {
-                console.error(`❌ Exception for ${row.remoteJid}:`, singleErr.message);
+    while (offset < totalRows) {
+      const currentBatchSize = Math.min(batchSize, totalRows - offset);
+      const batchNumber = Math.floor(offset/batchSize) + 1;
+      console.log(`📥 Processing batch ${batchNumber}/${Math.ceil(totalRows/batchSize)} (rows ${offset + 1}-${offset + currentBatchSize})`);
+
+      try {
+        // Get batch from source
+        const batchResult = await this.sourcePool.query(
+          `SELECT * FROM ${quoteIdent(table.name)} ORDER BY ${orderBy} LIMIT $1 OFFSET $2`,
+          [batchSize, offset]
+        );
+
+        if (batchResult.rows.length === 0) break;
+
+        let rows = batchResult.rows.map(row => {
+          const copy = { ...row };
+          for (const column of table.omitColumns || []) delete copy[column];
+          return copy;
+        });
+        if (table.policy === 'append') {
+          rows = await this.newHistoryRows(table.name, rows);
+          skippedCount += batchResult.rows.length - rows.length;
+        }
+
+        // Insert batch into Supabase
+        const { error } = rows.length > 0 ? await this.writeRows(table, rows) : {};
+
+        if (error) {
+          console.error(`❌ Batch error:`, error.message);
+
+          // Try individual inserts
+          let batchSuccess = 0;
+          for (const row of rows) {
+            const key = table.keyColumns.map(column => row[column]).join(', ');
+            try {
+              const { error: singleError } = await this.writeRows(table, [row]);
+
+              if (!singleError) {
+                batchSuccess++;
+              } else {
+                console.error(`❌ Single row error for ${key}:`, singleError.message);
+                await this.deadLetters.record(table.name, { row, keyColumns: table.keyColumns, error: singleError, batchNumber, ...replayAs });
                 errorCount++;
               }
+            } catch (singleErr) {
+              console.error(`❌ Exception for ${key}:`, singleErr.message);
+              await this.deadLetters.record(table.name, { row, keyColumns: table.keyColumns, error: singleErr, batchNumber, ...replayAs });
+              errorCount++;
             }
-            successCount += batchSuccess;
-          } else {
-            successCount += batchResult.rows.length;
-            console.log(`  ✅ Batch successful: ${batchResult.rows.length} records`);
           }
-
-        } catch (error) {
-          console.error(`❌ Error in batch at offset ${offset}:`, error.message);
-          errorCount += currentBatchSize;
+          successCount += batchSuccess;
+        } else {
+          successCount += rows.length;
+          console.log(`  ✅ Batch successful: ${rows.length} records`);
         }
 
-        offset += batchSize;
+      } catch (error) {
+        console.error(`❌ Error in batch at offset ${offset}:`, error.message);
+        errorCount += currentBatchSize;
+      }
+
+      offset += batchSize;
+
+      // Rate limiting
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    const rowsPerSecond = Math.round(totalRows / Math.max((Date.now() - started) / 1000, 0.001));
+    console.log(`✅ ${table.name}: ${successCount.toLocaleString()} migrated${skippedCount > 0 ? `, ${skippedCount.toLocaleString()} already on target` : ''}, ${errorCount.toLocaleString()} failed (${rowsPerSecond.toLocaleString()} rows/s)`);
+
+    // Verify the migration
+    const { count: verifyCount, error: verifyError } = await this.supabase
+      .from(table.name)
+      .select('*', { count: 'exact', head: true });
+
+    if (!verifyError) {
+      console.log(`🔍 Verification: ${verifyCount?.toLocaleString() || 0} records found in Supabase`);
+    } else {
+      console.log(`❌ Verification failed: ${verifyError.message}`);
+    }
+
+    return { success: successCount, skipped: skippedCount, failed: errorCount, total: totalRows, rowsPerSecond };
+  }
+
+  async migrateAnalysisTables({ plan = null } = {}) {
+    try {
+      console.log('🚀 Starting sales analysis migration...');
 
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 200));
+      if (plan) {
+        await checkPlan(plan, { sourcePool: this.sourcePool, target: this.targetDescription() });
+        console.log(`📋 Applying plan from ${plan.createdAt}`);
+      } else {
+        plan = await this.buildPlan();
       }
 
-      console.log('\n📊 SalesAnalysisReport Migration Summary');
+      const results = {};
+      for (const planned of plan.tables) {
+        const table = ANALYSIS_TABLES.find(candidate => candidate.name === planned.name);
+        try {
+          results[table.name] = await this.migrateTable(table, planned.batchSize);
+        } catch (error) {
+          console.error(`❌ Failed to migrate ${table.name}:`, error.message);
+          results[table.name] = { success: 0, failed: planned.rows, total: planned.rows, error: error.message };
+        }
+      }
+
+      console.log('\n📊 Sales Analysis Migration Summary');
       console.log('='.repeat(50));
-      console.log(`✅ Successfully migrated: ${successCount.toLocaleString()} records`);
-      console.log(`❌ Failed to migrate: ${errorCount.toLocaleString()} records`);
-      console.log(`📈 Success rate: ${((successCount / totalRows) * 100).toFixed(2)}%`);
-
-      // Verify the migration
-      console.log('\n🔍 Verifying migration...');
-      const { count: verifyCount, error: verifyError } = await this.supabase
-        .from('SalesAnalysisReport')
-        .select('*', { count: 'exact', head: true });
-
-      if (!verifyError) {
-        console.log(`✅ Verification: ${verifyCount?.toLocaleString() || 0} records found in Supabase`);
-      } else {
-        console.log(`❌ Verification failed: ${verifyError.message}`);
+      for (const [tableName, result] of Object.entries(results)) {
+        const status = result.error || result.failed > 0 ? '❌' : '✅';
+        console.log(`${status} ${tableName}: ${result.error || `${result.success.toLocaleString()} migrated, ${result.failed.toLocaleString()} failed`}`);
+      }
+      if (this.deadLetters.recorded > 0) {
+        console.log(`🪦 ${this.deadLetters.recorded} rejected rows saved for replay (node replay_failures.js)`);
       }
 
-      return { success: successCount, failed: errorCount, total: totalRows };
+      return results;
 
     } catch (error) {
       console.error('❌ Migration failed:', error.message);
       throw error;
     } finally {
       await this.sourcePool.end();
+      if (this.copyTarget) await this.copyTarget.end();
     }
   }
 }
 
 // Execute migration
 async function main() {
-  const migrator = new SalesAnalysisMigrator();
+  const modeArg = process.argv.find(arg => arg.startsWith('--mode='));
+  const { dryRun, planFile, applyFile } = parsePlanArgs(process.argv);
+
+  let plan = null;
+  let migrator;
   try {
-    await migrator.migrateSalesAnalysisReport();
-    console.log('\n🎉 SalesAnalysisReport migration completed!');
+    plan = applyFile ? await loadPlan(applyFile, 'migrate_sales_analysis_only') : null;
+    migrator = new SalesAnalysisMigrator({ mode: plan ? plan.mode : modeArg ? modeArg.split('=')[1] : 'insert' });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(1);
+  }
+
+  try {
+    if (dryRun) {
+      plan = plan || await migrator.dryRun();
+      printPlan(plan);
+      if (planFile) {
+        await savePlan(plan, planFile);
+        console.log(`\n📝 Plan saved to ${planFile} - apply it with: node migrate_sales_analysis_only.js --apply-plan=${planFile}`);
+      }
+      console.log('\n🧪 Dry run - nothing was written');
+      process.exit(0);
+    }
+
+    await migrator.migrateAnalysisTables({ plan });
+    console.log('\n🎉 Sales analysis migration completed!');
     process.exit(0);
   } catch (error) {
     console.error('\n💥 Migration failed:', error.message);
@@ -152,4 +339,4 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+if (isEntryPoint(import.meta.url)) main();
@@ -1,37 +1,77 @@
 #!/usr/bin/env node
 
-import dotenv from 'dotenv';
-import pkg from 'pg';
-import { createClient } from '@supabase/supabase-js';
-
-dotenv.config();
-const { Pool } = pkg;
-
-class DatabaseMigrator {
-  constructor() {
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSourcePool, describeSource } from './src/db/sourceConnection.js';
+import { createTargetTransport, getTargetConfig } from './src/db/targetConnection.js';
+import { CheckpointStore } from './src/migration/checkpointStore.js';
+import { getForeignKeys, getPrimaryKey } from './src/migration/catalog.js';
+import { copyTable, formatRate } from './src/migration/copyTransfer.js';
+import { DeadLetterStore } from './src/migration/deadLetter.js';
+import { fetchBatches, keyOf } from './src/migration/keysetPager.js';
+import {
+  checkPlan,
+  createPlan,
+  estimateBatches,
+  loadPlan,
+  parsePlanArgs,
+  printPlan,
+  savePlan
+} from './src/migration/plan.js';
+import {
+  getColumns,
+  getConstraints,
+  getEnumTypes,
+  getIndexes,
+  getSequences,
+  getTriggerFunctions,
+  getTriggers,
+  renderCreateTable,
+  renderEnumType,
+  renderForeignKey,
+  renderFunction,
+  renderIndex,
+  renderSequence,
+  renderSequenceOwnership,
+  renderSequenceValue,
+  renderTrigger
+} from './src/schema/ddl.js';
+import {
+  dropDeferredConstraints,
+  orderTables,
+  restoreDeferredConstraints
+} from './src/migration/tableOrder.js';
+
+loadEnvironment();
+
+const BATCH_SIZE = 1000;
+
+export class DatabaseMigrator {
+  constructor({ resume = false, stateBackend = 'file', transport, mode = 'insert' } = {}) {
     // Source PostgreSQL connection
-    this.sourcePool = new Pool({
-      user: process.env.DB_USER,
-      host: process.env.DB_HOST,
-      database: process.env.DB_NAME,
-      password: process.env.DB_PASSWORD,
-      port: process.env.DB_PORT,
-    });
+    this.sourcePool = createSourcePool();
 
-    // Supabase connection via direct PostgreSQL
-    const supabaseUrl = process.env.SUPABASE_PROJECT_URL;
-    const projectRef = supabaseUrl.split('//')[1].split('.')[0];
+    // Target connection: direct pg (TARGET_DATABASE_URL / TARGET_DB_*) or Supabase REST
+    const targetConfig = getTargetConfig(
+      transport ? { ...process.env, TARGET_TRANSPORT: transport } : process.env
+    );
+    this.target = createTargetTransport(targetConfig);
+    this.targetPool = this.target.kind === 'pg' ? this.target.pool : null;
 
-    // For Supabase, we need to get the database password from project settings
-    // Using the service role key as password won't work for direct PostgreSQL connection
-    // We'll use the Supabase client for data operations instead
-    this.projectRef = projectRef;
+    if (stateBackend === 'table' && !this.targetPool) {
+      throw new Error('--state=table needs the pg transport');
+    }
 
-    // Also create Supabase client for API operations
-    this.supabase = createClient(
-      process.env.SUPABASE_PROJECT_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
+    if (!['insert', 'copy'].includes(mode)) {
+      throw new Error(`Unknown --mode=${mode} (expected insert or copy)`);
+    }
+    if (mode === 'copy' && !this.targetPool) {
+      throw new Error('--mode=copy needs the pg transport');
+    }
+    this.mode = mode;
+
+    this.resume = resume;
+    this.stateBackend = stateBackend;
 
     console.log('🔧 Database migrator initialized');
   }
@@ -42,9 +82,9 @@ class DatabaseMigrator {
       const sourceResult = await this.sourcePool.query('SELECT NOW(), current_database()');
       console.log(`✅ Source connected: ${sourceResult.rows[0].current_database} at ${sourceResult.rows[0].now}`);
 
-      console.log('🔌 Testing Supabase connection...');
-      const targetResult = await this.targetPool.query('SELECT NOW(), current_database()');
-      console.log(`✅ Supabase connected: ${targetResult.rows[0].current_database} at ${targetResult.rows[0].now}`);
+      console.log(`🔌 Testing target connection (${this.target.kind}: ${this.target.describe()})...`);
+      const targetResult = await this.target.testConnection();
+      console.log(`✅ Target connected: ${targetResult.current_database} at ${targetResult.now}`);
 
       return true;
     } catch (error) {
@@ -80,109 +120,136 @@ class DatabaseMigrator {
     try {
       console.log(`🔍 Analyzing schema for table: ${tableName}`);
 
-      const schemaQuery = `
-        SELECT
-          column_name,
-          data_type,
-          is_nullable,
-          column_default,
-          character_maximum_length,
-          numeric_precision,
-          numeric_scale
-        FROM information_schema.columns
-        WHERE table_schema = 'public'
-        AND table_name = $1
-        ORDER BY ordinal_position
-      `;
-
-      const result = await this.sourcePool.query(schemaQuery, [tableName]);
-      return result.rows;
+      return {
+        columns: await getColumns(this.sourcePool, tableName),
+        constraints: await getConstraints(this.sourcePool, tableName),
+        indexes: await getIndexes(this.sourcePool, tableName)
+      };
     } catch (error) {
       console.error(`❌ Error getting schema for ${tableName}:`, error.message);
       throw error;
     }
   }
 
-  async createTableInSupabase(tableName, columns) {
-    try {
-      console.log(`🏗️ Creating table ${tableName} in Supabase...`);
+  // Everything the run will do, read from the source without writing anywhere
+  async buildPlan() {
+    const tables = await this.getSourceTables();
+    const statements = [];
+    const schemas = {};
 
-      // Build CREATE TABLE statement
-      const columnDefs = columns.map(col => {
-        let definition = `"${col.column_name}" ${this.mapDataType(col)}`;
+    for (const tableName of tables) {
+      schemas[tableName] = await this.getTableSchema(tableName);
+    }
 
-        if (col.is_nullable === 'NO') {
-          definition += ' NOT NULL';
+    // REST cannot run DDL, so the schema must already exist on the target
+    if (this.target.supportsDDL) {
+      for (const enumType of await getEnumTypes(this.sourcePool)) {
+        statements.push({ phase: 'types', object: enumType.name, sql: renderEnumType(enumType) });
+      }
+
+      // Identity sequences are created along with their column
+      const sequences = await getSequences(this.sourcePool);
+      for (const sequence of sequences.filter(seq => !seq.identity)) {
+        statements.push({ phase: 'types', object: sequence.name, sql: renderSequence(sequence) });
+      }
+
+      for (const [tableName, schema] of Object.entries(schemas)) {
+        statements.push({ phase: 'tables', object: tableName, sql: renderCreateTable(tableName, schema.columns, schema.constraints) });
+        for (const index of schema.indexes) {
+          statements.push({ phase: 'tables', object: tableName, sql: renderIndex(index) });
         }
+      }
 
-        if (col.column_default) {
-          // Handle special defaults
-          let defaultValue = col.column_default;
-          if (defaultValue.includes('NOW()') || defaultValue.includes('CURRENT_TIMESTAMP')) {
-            defaultValue = 'NOW()';
-          }
-          definition += ` DEFAULT ${defaultValue}`;
+      // Foreign keys once every table exists
+      for (const [tableName, schema] of Object.entries(schemas)) {
+        for (const constraint of schema.constraints.filter(con => con.type === 'f')) {
+          statements.push({ phase: 'foreign keys', object: `${tableName}.${constraint.name}`, sql: renderForeignKey(tableName, constraint) });
         }
+      }
+      for (const sequence of sequences) {
+        const sql = renderSequenceOwnership(sequence);
+        if (sql) statements.push({ phase: 'foreign keys', object: sequence.name, sql });
+      }
 
-        return definition;
-      }).join(',\n  ');
+      // Triggers last, so they don't fire on (or rewrite) migrated rows
+      for (const fn of await getTriggerFunctions(this.sourcePool)) {
+        statements.push({ phase: 'triggers', object: fn.name, sql: renderFunction(fn) });
+      }
+      for (const trigger of await getTriggers(this.sourcePool)) {
+        statements.push({ phase: 'triggers', object: `${trigger.table_name}.${trigger.name}`, sql: renderTrigger(trigger) });
+      }
+    }
 
-      const createTableSQL = `
-        CREATE TABLE IF NOT EXISTS "${tableName}" (
-          ${columnDefs}
-        )
-      `;
+    // Load parents before children, following the source's foreign keys
+    const foreignKeys = await getForeignKeys(this.sourcePool);
+    const { order, deferred } = orderTables(tables, foreignKeys);
 
-      console.log(`📝 SQL for ${tableName}:`, createTableSQL.substring(0, 200) + '...');
+    const tablePlans = [];
+    for (const tableName of order) {
+      const countResult = await this.sourcePool.query(`SELECT COUNT(*) as count FROM "${tableName}"`);
+      const rows = parseInt(countResult.rows[0].count);
+      const keyColumns = await getPrimaryKey(this.sourcePool, tableName);
+
+      tablePlans.push({
+        name: tableName,
+        rows,
+        columns: schemas[tableName].columns.map(column => column.name),
+        keyColumns,
+        paging: keyColumns.length > 0 ? 'keyset' : 'offset',
+        batchSize: BATCH_SIZE,
+        batches: estimateBatches(rows, BATCH_SIZE),
+        // Rows already on the target are left alone (ON CONFLICT DO NOTHING)
+        conflict: { columns: keyColumns, policy: 'skip', newerColumn: null }
+      });
+    }
 
-      await this.targetPool.query(createTableSQL);
-      console.log(`✅ Table ${tableName} created successfully`);
+    return createPlan('migrate_to_supabase', {
+      source: describeSource(),
+      target: this.target.describe(),
+      transport: this.target.kind,
+      mode: this.mode,
+      statements,
+      order,
+      deferred,
+      tables: tablePlans
+    });
+  }
 
-    } catch (error) {
-      console.error(`❌ Error creating table ${tableName}:`, error.message);
-      throw error;
+  // Runs the plan's DDL for one phase. A failing type or sequence stops the
+  // run, a failing table is left out of the data phase, the rest is logged.
+  async applyStatements(plan, phase, migrationResults = {}) {
+    for (const statement of plan.statements.filter(s => s.phase === phase)) {
+      if (phase === 'tables' && !migrationResults[statement.object].schemaCreated) continue;
+
+      try {
+        if (phase !== 'tables' || statement.sql.startsWith('CREATE TABLE')) {
+          console.log(`🏗️ Creating ${phase} ${statement.object}...`);
+        }
+        await this.target.query(statement.sql);
+      } catch (error) {
+        if (phase === 'types') throw error;
+
+        console.error(`❌ Error creating ${statement.object}:`, error.message);
+        if (phase === 'tables') {
+          migrationResults[statement.object] = { schemaCreated: false, error: error.message };
+        }
+      }
     }
   }
 
-  mapDataType(column) {
-    const { data_type, character_maximum_length, numeric_precision, numeric_scale } = column;
-
-    switch (data_type) {
-      case 'character varying':
-        return character_maximum_length ? `VARCHAR(${character_maximum_length})` : 'TEXT';
-      case 'character':
-        return `CHAR(${character_maximum_length})`;
-      case 'text':
-        return 'TEXT';
-      case 'integer':
-        return 'INTEGER';
-      case 'bigint':
-        return 'BIGINT';
-      case 'numeric':
-        return numeric_precision ? `NUMERIC(${numeric_precision},${numeric_scale || 0})` : 'NUMERIC';
-      case 'timestamp with time zone':
-        return 'TIMESTAMP WITH TIME ZONE';
-      case 'timestamp without time zone':
-        return 'TIMESTAMP';
-      case 'boolean':
-        return 'BOOLEAN';
-      case 'jsonb':
-        return 'JSONB';
-      case 'json':
-        return 'JSON';
-      case 'uuid':
-        return 'UUID';
-      case 'date':
-        return 'DATE';
-      case 'time':
-        return 'TIME';
-      default:
-        console.warn(`⚠️ Unknown data type: ${data_type}, using TEXT`);
-        return 'TEXT';
+  async syncSequenceValues() {
+    // Re-read so values reflect rows written to the source during the run
+    const sequences = await getSequences(this.sourcePool);
+    for (const sequence of sequences) {
+      try {
+        await this.target.query(renderSequenceValue(sequence));
+      } catch (error) {
+        console.error(`❌ Error setting sequence ${sequence.name}:`, error.message);
+      }
     }
   }
 
-  async migrateTableData(tableName) {
+  async migrateTableData({ name: tableName, keyColumns, batchSize }) {
     try {
       console.log(`📦 Migrating data for table: ${tableName}`);
 
@@ -195,40 +262,81 @@ class DatabaseMigrator {
         return { success: 0, failed: 0 };
       }
 
-      console.log(`📊 Table ${tableName} has ${totalRows} rows to migrate`);
-
-      const batchSize = 1000;
-      let offset = 0;
+      let after = null;
       let successCount = 0;
       let failedCount = 0;
 
-      while (offset < totalRows) {
-        console.log(`  📥 Processing batch ${Math.floor(offset/batchSize) + 1}/${Math.ceil(totalRows/batchSize)} (rows ${offset + 1}-${Math.min(offset + batchSize, totalRows)})`);
+      if (keyColumns.length > 0 && this.resume) {
+        const checkpoint = await this.checkpoints.get(tableName);
+        if (checkpoint?.completed) {
+          console.log(`⏭️ Table ${tableName} already completed (${checkpoint.rowsCommitted} rows), skipping`);
+          return { success: 0, failed: 0, skipped: true };
+        }
+        if (checkpoint?.lastKey) {
+          after = checkpoint.lastKey;
+          successCount = checkpoint.rowsCommitted || 0;
+          console.log(`⏯️ Resuming ${tableName} after key (${after.join(', ')}) - ${successCount} rows already committed`);
+        }
+      } else if (keyColumns.length > 0) {
+        await this.checkpoints.clear(tableName);
+      }
 
+      if (this.mode === 'copy') {
         try {
-          // Fetch batch from source
-          const batchResult = await this.sourcePool.query(
-            `SELECT * FROM "${tableName}" ORDER BY 1 LIMIT $1 OFFSET $2`,
-            [batchSize, offset]
-          );
-
-          if (batchResult.rows.length === 0) break;
-
-          // Insert batch into Supabase
-          const insertResult = await this.insertBatch(tableName, batchResult.rows);
-          successCount += insertResult.success;
-          failedCount += insertResult.failed;
+          console.log(`🚚 COPY ${tableName} (${totalRows} rows)...`);
+          const copyResult = await copyTable({
+            sourcePool: this.sourcePool,
+            targetPool: this.targetPool,
+            tableName,
+            keyColumns,
+            after
+          });
+
+          successCount += copyResult.inserted;
+          if (keyColumns.length > 0) {
+            await this.checkpoints.save(tableName, { rowsCommitted: successCount, completed: true });
+          }
 
+          console.log(`✅ COPY complete for ${tableName}: ${copyResult.inserted} inserted, ${copyResult.skipped} already present (${copyResult.rowsPerSecond.toLocaleString()} rows/s)`);
+          return { success: successCount, failed: 0, rowsPerSecond: copyResult.rowsPerSecond, mode: 'copy' };
         } catch (error) {
-          console.error(`❌ Error in batch at offset ${offset}:`, error.message);
-          failedCount += batchSize;
+          console.warn(`⚠️ COPY failed for ${tableName} (${error.message}), falling back to batched INSERT`);
         }
+      }
 
-        offset += batchSize;
+      if (keyColumns.length === 0) {
+        console.warn(`⚠️ Table ${tableName} has no primary key, falling back to OFFSET paging (not resumable)`);
+        return await this.migrateTableDataByOffset(tableName, totalRows, batchSize);
       }
 
-      console.log(`✅ Migration complete for ${tableName}: ${successCount} success, ${failedCount} failed`);
-      return { success: successCount, failed: failedCount };
+      console.log(`📊 Table ${tableName} has ${totalRows} rows to migrate`);
+
+      const started = Date.now();
+      let batchNumber = 0;
+      let processed = 0;
+
+      for await (const rows of fetchBatches(this.sourcePool, tableName, { keyColumns, batchSize, after })) {
+        batchNumber++;
+        console.log(`  📥 Processing batch ${batchNumber} (${rows.length} rows, ~${successCount + failedCount + rows.length}/${totalRows})`);
+
+        // Insert batch into Supabase
+        const insertResult = await this.insertBatch(tableName, rows, { keyColumns, batchNumber });
+        successCount += insertResult.success;
+        failedCount += insertResult.failed;
+        processed += rows.length;
+
+        await this.checkpoints.save(tableName, {
+          lastKey: keyOf(rows[rows.length - 1], keyColumns),
+          rowsCommitted: successCount,
+          completed: false
+        });
+      }
+
+      await this.checkpoints.save(tableName, { rowsCommitted: successCount, completed: true });
+
+      const rowsPerSecond = Math.round(processed / Math.max((Date.now() - started) / 1000, 0.001));
+      console.log(`✅ Migration complete for ${tableName}: ${successCount} success, ${failedCount} failed (${rowsPerSecond.toLocaleString()} rows/s)`);
+      return { success: successCount, failed: failedCount, rowsPerSecond, mode: 'insert' };
 
     } catch (error) {
       console.error(`❌ Error migrating table ${tableName}:`, error.message);
@@ -236,32 +344,46 @@ class DatabaseMigrator {
     }
   }
 
-  async insertBatch(tableName, rows) {
+  async migrateTableDataByOffset(tableName, totalRows, batchSize) {
+    let offset = 0;
+    let successCount = 0;
+    let failedCount = 0;
+
+    while (offset < totalRows) {
+      const batchNumber = Math.floor(offset/batchSize) + 1;
+      console.log(`  📥 Processing batch ${batchNumber}/${Math.ceil(totalRows/batchSize)} (rows ${offset + 1}-${Math.min(offset + batchSize, totalRows)})`);
+
+      try {
+        // Fetch batch from source
+        const batchResult = await this.sourcePool.query(
+          `SELECT * FROM "${tableName}" ORDER BY 1 LIMIT $1 OFFSET $2`,
+          [batchSize, offset]
+        );
+
+        if (batchResult.rows.length === 0) break;
+
+        // Insert batch into Supabase
+        const insertResult = await this.insertBatch(tableName, batchResult.rows, { batchNumber });
+        successCount += insertResult.success;
+        failedCount += insertResult.failed;
+
+      } catch (error) {
+        console.error(`❌ Error in batch at offset ${offset}:`, error.message);
+        failedCount += batchSize;
+      }
+
+      offset += batchSize;
+    }
+
+    console.log(`✅ Migration complete for ${tableName}: ${successCount} success, ${failedCount} failed`);
+    return { success: successCount, failed: failedCount };
+  }
+
+  async insertBatch(tableName, rows, { keyColumns = [], batchNumber = null } = {}) {
     if (rows.length === 0) return { success: 0, failed: 0 };
 
     try {
-      // Get column names from first row
-      const columns = Object.keys(rows[0]);
-      const columnList = columns.map(col => `"${col}"`).join(', ');
-
-      // Build values placeholder
-      const valuePlaceholders = rows.map((_, rowIndex) => {
-        const rowPlaceholders = columns.map((_, colIndex) =>
-          `$${rowIndex * columns.length + colIndex + 1}`
-        ).join(', ');
-        return `(${rowPlaceholders})`;
-      }).join(', ');
-
-      // Flatten all values
-      const values = rows.flatMap(row => columns.map(col => row[col]));
-
-      const insertSQL = `
-        INSERT INTO "${tableName}" (${columnList})
-        VALUES ${valuePlaceholders}
-        ON CONFLICT DO NOTHING
-      `;
-
-      await this.targetPool.query(insertSQL, values);
+      await this.target.insertRows(tableName, rows);
       return { success: rows.length, failed: 0 };
 
     } catch (error) {
@@ -273,10 +395,11 @@ class DatabaseMigrator {
 
       for (const row of rows) {
         try {
-          await this.insertSingleRow(tableName, row);
+          await this.target.insertRows(tableName, [row]);
           success++;
         } catch (singleError) {
           console.error(`❌ Failed to insert row:`, singleError.message);
+          await this.deadLetters.record(tableName, { row, keyColumns, error: singleError, batchNumber });
           failed++;
         }
       }
@@ -285,22 +408,21 @@ class DatabaseMigrator {
     }
   }
 
-  async insertSingleRow(tableName, row) {
-    const columns = Object.keys(row);
-    const columnList = columns.map(col => `"${col}"`).join(', ');
-    const placeholders = columns.map((_, index) => `$${index + 1}`).join(', ');
-    const values = columns.map(col => row[col]);
-
-    const insertSQL = `
-      INSERT INTO "${tableName}" (${columnList})
-      VALUES (${placeholders})
-      ON CONFLICT DO NOTHING
-    `;
-
-    await this.targetPool.query(insertSQL, values);
+  // Connects, builds the plan and closes again - nothing is written
+  async dryRun() {
+    try {
+      const connectionsOk = await this.testConnections();
+      if (!connectionsOk) {
+        throw new Error('Database connections failed');
+      }
+      return await this.buildPlan();
+    } finally {
+      await this.sourcePool.end();
+      await this.target.end();
+    }
   }
 
-  async migrateDatabase() {
+  async migrateDatabase({ plan = null } = {}) {
     try {
       console.log('🚀 Starting complete database migration to Supabase');
       console.log('=' .repeat(60));
@@ -311,44 +433,95 @@ class DatabaseMigrator {
         throw new Error('Database connections failed');
       }
 
-      // Get all tables
-      const tables = await this.getSourceTables();
+      if (plan) {
+        await checkPlan(plan, { sourcePool: this.sourcePool, target: this.target.describe() });
+        console.log(`📋 Applying plan from ${plan.createdAt}`);
+      } else {
+        plan = await this.buildPlan();
+      }
+
+      this.checkpoints = new CheckpointStore({
+        scope: 'DatabaseMigrator',
+        pool: this.stateBackend === 'table' ? this.targetPool : null
+      });
+      await this.checkpoints.load();
+
+      // Rejected rows are kept next to the checkpoints for replay_failures.js
+      this.deadLetters = new DeadLetterStore({
+        migrator: 'DatabaseMigrator',
+        pool: this.stateBackend === 'table' ? this.targetPool : null
+      });
+
+      if (this.resume) {
+        console.log('⏯️ Resume mode: continuing from saved checkpoints');
+      }
+
       const migrationResults = {};
 
       console.log('\n📋 Phase 1: Schema Migration');
       console.log('-'.repeat(40));
 
-      // Create all tables first
-      for (const tableName of tables) {
-        try {
-          const columns = await this.getTableSchema(tableName);
-          await this.createTableInSupabase(tableName, columns);
-          migrationResults[tableName] = { schemaCreated: true };
-        } catch (error) {
-          console.error(`❌ Schema creation failed for ${tableName}:`, error.message);
-          migrationResults[tableName] = { schemaCreated: false, error: error.message };
-        }
+      if (!this.target.supportsDDL) {
+        console.warn('⚠️ REST transport cannot create tables - assuming schema.sql was already applied');
       }
 
+      for (const table of plan.tables) {
+        migrationResults[table.name] = { schemaCreated: true };
+      }
+
+      await this.applyStatements(plan, 'types');
+      await this.applyStatements(plan, 'tables', migrationResults);
+      await this.applyStatements(plan, 'foreign keys');
+
       console.log('\n📦 Phase 2: Data Migration');
       console.log('-'.repeat(40));
 
+      const { order, deferred } = plan;
+      console.log(`🔄 Migration order: ${order.join(', ')}`);
+
+      if (deferred.length > 0) {
+        console.log(`⏸️ Deferring cyclic/self-referencing foreign keys: ${deferred.map(fk => `${fk.table}.${fk.name}`).join(', ')}`);
+        if (this.target.supportsDDL) {
+          await dropDeferredConstraints(this.target, deferred);
+        } else {
+          console.warn('⚠️ REST transport cannot drop constraints - rows violating them may be rejected');
+        }
+      }
+
       // Migrate data for successfully created tables
-      for (const tableName of tables) {
-        if (migrationResults[tableName].schemaCreated) {
-          try {
-            const result = await this.migrateTableData(tableName);
-            migrationResults[tableName] = {
-              ...migrationResults[tableName],
-              ...result
-            };
-          } catch (error) {
-            console.error(`❌ Data migration failed for ${tableName}:`, error.message);
-            migrationResults[tableName].error = error.message;
+      const dataStarted = Date.now();
+      try {
+        for (const table of plan.tables) {
+          const tableName = table.name;
+          if (migrationResults[tableName].schemaCreated) {
+            try {
+              const result = await this.migrateTableData(table);
+              migrationResults[tableName] = {
+                ...migrationResults[tableName],
+                ...result
+              };
+            } catch (error) {
+              console.error(`❌ Data migration failed for ${tableName}:`, error.message);
+              migrationResults[tableName].error = error.message;
+            }
+          }
+        }
+      } finally {
+        // Even an aborted run must not leave the target without its foreign keys
+        if (deferred.length > 0 && this.target.supportsDDL) {
+          console.log('\n▶️ Restoring deferred foreign keys...');
+          const failures = await restoreDeferredConstraints(this.target, deferred);
+          for (const failure of failures) {
+            console.error(`❌ Could not restore ${failure.table}.${failure.constraint}: ${failure.error}`);
           }
         }
       }
 
+      if (this.target.supportsDDL) {
+        await this.syncSequenceValues();
+      }
+      await this.applyStatements(plan, 'triggers');
+
       // Print final summary
       console.log('\n📊 Migration Summary');
       console.log('='.repeat(60));
@@ -359,7 +532,8 @@ class DatabaseMigrator {
       for (const [tableName, result] of Object.entries(migrationResults)) {
         const status = result.schemaCreated ? '✅' : '❌';
         const records = result.success ? `${result.success} records` : 'no data';
-        console.log(`${status} ${tableName}: ${records}`);
+        const rate = result.rowsPerSecond ? ` via ${result.mode} at ${result.rowsPerSecond.toLocaleString()} rows/s` : '';
+        console.log(`${status} ${tableName}: ${records}${rate}`);
 
         if (result.success) totalSuccess += result.success;
         if (result.failed) totalFailed += result.failed;
@@ -368,6 +542,10 @@ class DatabaseMigrator {
       console.log('-'.repeat(60));
       console.log(`📈 Total migrated: ${totalSuccess} records`);
       console.log(`📉 Total failed: ${totalFailed} records`);
+      if (this.deadLetters.recorded > 0) {
+        console.log(`🪦 ${this.deadLetters.recorded} rejected rows saved for replay (node replay_failures.js${this.stateBackend === 'table' ? ' --state=table' : ''})`);
+      }
+      console.log(`⏱️ Data phase: ${formatRate(totalSuccess, (Date.now() - dataStarted) / 1000)}`);
       console.log('✅ Database migration completed!');
 
       return migrationResults;
@@ -377,16 +555,47 @@ class DatabaseMigrator {
       throw error;
     } finally {
       await this.sourcePool.end();
-      await this.targetPool.end();
+      await this.target.end();
     }
   }
 }
 
 // Execute migration
 async function main() {
-  const migrator = new DatabaseMigrator();
+  const args = process.argv.slice(2);
+  const transportArg = args.find(arg => arg.startsWith('--transport='));
+  const modeArg = args.find(arg => arg.startsWith('--mode='));
+  const { dryRun, planFile, applyFile } = parsePlanArgs(args);
+
+  let plan = null;
+  let migrator;
   try {
-    await migrator.migrateDatabase();
+    // A saved plan fixes the transport and mode it was made with
+    plan = applyFile ? await loadPlan(applyFile, 'migrate_to_supabase') : null;
+    migrator = new DatabaseMigrator({
+      resume: args.includes('--resume'),
+      stateBackend: args.includes('--state=table') ? 'table' : 'file',
+      transport: plan ? plan.transport : transportArg ? transportArg.split('=')[1] : undefined,
+      mode: plan ? plan.mode : modeArg ? modeArg.split('=')[1] : 'insert'
+    });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(1);
+  }
+
+  try {
+    if (dryRun) {
+      plan = plan || await migrator.dryRun();
+      printPlan(plan);
+      if (planFile) {
+        await savePlan(plan, planFile);
+        console.log(`\n📝 Plan saved to ${planFile} - apply it with: node migrate_to_supabase.js --apply-plan=${planFile}`);
+      }
+      console.log('\n🧪 Dry run - nothing was written');
+      process.exit(0);
+    }
+
+    await migrator.migrateDatabase({ plan });
     console.log('\n🎉 Migration completed successfully!');
     process.exit(0);
   } catch (error) {
@@ -395,4 +604,4 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+if (isEntryPoint(import.meta.url)) main();
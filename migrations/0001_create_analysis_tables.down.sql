@@ -0,0 +1,3 @@
+-- Intentionally empty: 0001 adopts the analysis tables that already held
+-- production data before migrations existed, so rolling back only removes
+-- the version record. Drop the tables by hand if they really must go.
@@ -0,0 +1,68 @@
+-- Analysis tables written by the sales analyzer
+
+CREATE TABLE IF NOT EXISTS "SalesAnalysisReport" (
+  "remoteJid" VARCHAR(100) NOT NULL PRIMARY KEY,
+  "analysis_time" TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  "product_category" VARCHAR(200),
+  "specific_products" JSONB,
+  "product_models" JSONB,
+  "quantity_mentioned" INTEGER,
+  "primary_sales_agent" VARCHAR(255),
+  "additional_agents" JSONB,
+  "agent_handoff_detected" BOOLEAN DEFAULT FALSE,
+  "lead_stage" VARCHAR(100),
+  "next_action_required" TEXT,
+  "sales_status" VARCHAR(200),
+  "customer_objections" JSONB,
+  "urgency_level" VARCHAR(20),
+  "customer_name" VARCHAR(255),
+  "customer_location" VARCHAR(255),
+  "budget_range" VARCHAR(200),
+  "purchase_timeline" VARCHAR(200),
+  "decision_maker_status" VARCHAR(200),
+  "product_specifications" JSONB,
+  "accessories_discussed" JSONB,
+  "warranty_service_needs" TEXT,
+  "color_preferences" JSONB,
+  "lead_source" VARCHAR(200),
+  "competitive_products" JSONB,
+  "upsell_opportunities" JSONB,
+  "customer_sentiment" VARCHAR(50),
+  "pain_points_identified" JSONB,
+  "pricing_discussed" BOOLEAN DEFAULT FALSE,
+  "demo_scheduled" BOOLEAN DEFAULT FALSE,
+  "follow_up_required" BOOLEAN DEFAULT TRUE,
+  "total_messages" INTEGER,
+  "conversation_duration_days" INTEGER,
+  "last_customer_message_time" TIMESTAMP,
+  "response_time_analysis" JSONB,
+  "analysis_confidence" DECIMAL(3,2),
+  "ai_model_used" VARCHAR(50),
+  "processing_time_ms" INTEGER,
+  "CREATED_AT" TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  "UPDATED_AT" TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS "idx_sales_analysis_category" ON "SalesAnalysisReport"("product_category");
+CREATE INDEX IF NOT EXISTS "idx_sales_analysis_stage" ON "SalesAnalysisReport"("lead_stage");
+CREATE INDEX IF NOT EXISTS "idx_sales_analysis_urgency" ON "SalesAnalysisReport"("urgency_level");
+CREATE INDEX IF NOT EXISTS "idx_sales_analysis_time" ON "SalesAnalysisReport"("analysis_time");
+
+CREATE TABLE IF NOT EXISTS "ConversationCache" (
+  "remoteJid" VARCHAR(100) NOT NULL PRIMARY KEY,
+  "conversation_text" TEXT,
+  "total_messages" INTEGER,
+  "conversation_duration_days" INTEGER,
+  "last_customer_message_time" TIMESTAMP,
+  "chat_name" VARCHAR(255),
+  "processed_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  "UPDATED_AT" TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS "idx_conversation_cache_processed" ON "ConversationCache"("processed_at");
+
+CREATE TABLE IF NOT EXISTS "AppleAnalysisReport" (
+  "remoteJid" TEXT NOT NULL PRIMARY KEY,
+  "chat_product_category" TEXT NOT NULL,
+  "analysis_time" TIMESTAMP NOT NULL
+);
@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS update_conversation_cache_updated_at ON "ConversationCache";
+DROP TRIGGER IF EXISTS update_sales_analysis_updated_at ON "SalesAnalysisReport";
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -0,0 +1,21 @@
+-- Keep "UPDATED_AT" current on every update
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW."UPDATED_AT" = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_sales_analysis_updated_at ON "SalesAnalysisReport";
+CREATE TRIGGER update_sales_analysis_updated_at
+    BEFORE UPDATE ON "SalesAnalysisReport"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_conversation_cache_updated_at ON "ConversationCache";
+CREATE TRIGGER update_conversation_cache_updated_at
+    BEFORE UPDATE ON "ConversationCache"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
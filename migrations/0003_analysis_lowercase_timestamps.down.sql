@@ -0,0 +1,3 @@
+-- Intentionally empty: the lowercase timestamp columns were adopted from the
+-- source tables and hold its data, so rolling back only removes the version
+-- record.
@@ -0,0 +1,7 @@
+-- The source database carries lowercase timestamp columns next to the
+-- uppercase ones (formerly fix_sales_analysis_table.sql and
+-- fix_conversationcache_columns.sql)
+
+ALTER TABLE "SalesAnalysisReport" ADD COLUMN IF NOT EXISTS "created_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE "SalesAnalysisReport" ADD COLUMN IF NOT EXISTS "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE "ConversationCache" ADD COLUMN IF NOT EXISTS "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW();
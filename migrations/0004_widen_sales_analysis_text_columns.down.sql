@@ -0,0 +1,2 @@
+-- Intentionally empty: narrowing the columns again could truncate stored
+-- values, so rolling back only removes the version record.
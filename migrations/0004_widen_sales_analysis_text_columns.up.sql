@@ -0,0 +1,10 @@
+-- Longer AI-generated values (formerly update_schema.sql). A no-op where
+-- 0001 already created the columns at these lengths.
+
+ALTER TABLE "SalesAnalysisReport" ALTER COLUMN "product_category" TYPE VARCHAR(200);
+ALTER TABLE "SalesAnalysisReport" ALTER COLUMN "lead_stage" TYPE VARCHAR(100);
+ALTER TABLE "SalesAnalysisReport" ALTER COLUMN "sales_status" TYPE VARCHAR(200);
+ALTER TABLE "SalesAnalysisReport" ALTER COLUMN "budget_range" TYPE VARCHAR(200);
+ALTER TABLE "SalesAnalysisReport" ALTER COLUMN "purchase_timeline" TYPE VARCHAR(200);
+ALTER TABLE "SalesAnalysisReport" ALTER COLUMN "decision_maker_status" TYPE VARCHAR(200);
+ALTER TABLE "SalesAnalysisReport" ALTER COLUMN "lead_source" TYPE VARCHAR(200);
@@ -0,0 +1,2 @@
+-- ai_model_used keeps its width: narrowing it could truncate stored values
+ALTER TABLE "SalesAnalysisReport" DROP COLUMN IF EXISTS "ai_provider";
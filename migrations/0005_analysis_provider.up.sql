@@ -0,0 +1,5 @@
+-- Which LLM provider produced each analysis, next to the model name. Local
+-- model names ("qwen2.5:14b-instruct-q4_K_M") outgrow 50 characters.
+
+ALTER TABLE "SalesAnalysisReport" ADD COLUMN IF NOT EXISTS "ai_provider" VARCHAR(50);
+ALTER TABLE "SalesAnalysisReport" ALTER COLUMN "ai_model_used" TYPE VARCHAR(100);
@@ -0,0 +1,12 @@
+-- Model answers that still failed validation after the repair attempts,
+-- kept with the raw response until a later run analyses the chat cleanly
+
+CREATE TABLE IF NOT EXISTS "SalesAnalysisQuarantine" (
+  "remoteJid" VARCHAR(100) NOT NULL PRIMARY KEY,
+  "raw_response" TEXT,
+  "errors" JSONB NOT NULL,
+  "attempts" INTEGER NOT NULL,
+  "ai_provider" VARCHAR(50),
+  "ai_model_used" VARCHAR(100),
+  "quarantined_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
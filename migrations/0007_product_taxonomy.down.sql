@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS "idx_sales_analysis_taxonomy_version";
+ALTER TABLE "SalesAnalysisReport" DROP COLUMN IF EXISTS "taxonomy_version";
+ALTER TABLE "SalesAnalysisReport" DROP COLUMN IF EXISTS "product_subcategory";
+DROP TABLE IF EXISTS "ProductTaxonomy";
@@ -0,0 +1,14 @@
+-- Published versions of the product taxonomy (config/taxonomy.json), and the
+-- subcategory and taxonomy version behind each report
+
+CREATE TABLE IF NOT EXISTS "ProductTaxonomy" (
+  "version" VARCHAR(50) NOT NULL PRIMARY KEY,
+  "definition" JSONB NOT NULL,
+  "checksum" VARCHAR(64) NOT NULL,
+  "published_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE "SalesAnalysisReport" ADD COLUMN IF NOT EXISTS "product_subcategory" VARCHAR(200);
+ALTER TABLE "SalesAnalysisReport" ADD COLUMN IF NOT EXISTS "taxonomy_version" VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS "idx_sales_analysis_taxonomy_version" ON "SalesAnalysisReport"("taxonomy_version");
@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS sales_analysis_history_append_only ON "SalesAnalysisHistory";
+DROP FUNCTION IF EXISTS reject_sales_analysis_history_change();
+DROP TABLE IF EXISTS "SalesAnalysisHistory";
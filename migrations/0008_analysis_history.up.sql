@@ -0,0 +1,66 @@
+-- One row per analysis of a chat, never updated or deleted, so a lead's
+-- progress survives re-analysis. "SalesAnalysisReport" keeps the latest
+-- verdict per chat.
+
+CREATE TABLE IF NOT EXISTS "SalesAnalysisHistory" (
+  "id" BIGSERIAL PRIMARY KEY,
+  "remoteJid" VARCHAR(100) NOT NULL,
+  "run_id" UUID NOT NULL,
+  "analysed_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  "lead_stage" VARCHAR(100),
+  "product_category" VARCHAR(200),
+  "product_subcategory" VARCHAR(200),
+  "urgency_level" VARCHAR(20),
+  "customer_sentiment" VARCHAR(50),
+  "analysis_confidence" DECIMAL(3,2),
+  "analysis" JSONB NOT NULL,
+  "prompt_version" VARCHAR(50),
+  "taxonomy_version" VARCHAR(50),
+  "ai_provider" VARCHAR(50),
+  "ai_model_used" VARCHAR(100),
+  "processing_time_ms" INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS "idx_sales_analysis_history_chat" ON "SalesAnalysisHistory"("remoteJid", "analysed_at");
+CREATE INDEX IF NOT EXISTS "idx_sales_analysis_history_run" ON "SalesAnalysisHistory"("run_id");
+
+CREATE OR REPLACE FUNCTION reject_sales_analysis_history_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '"SalesAnalysisHistory" is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS sales_analysis_history_append_only ON "SalesAnalysisHistory";
+CREATE TRIGGER sales_analysis_history_append_only
+    BEFORE UPDATE OR DELETE ON "SalesAnalysisHistory"
+    FOR EACH ROW
+    EXECUTE FUNCTION reject_sales_analysis_history_change();
+
+-- The existing reports become the first entry of each chat's history, as one
+-- backfill run
+INSERT INTO "SalesAnalysisHistory" (
+  "remoteJid", "run_id", "analysed_at", "lead_stage", "product_category", "product_subcategory",
+  "urgency_level", "customer_sentiment", "analysis_confidence", "analysis",
+  "taxonomy_version", "ai_provider", "ai_model_used", "processing_time_ms"
+)
+SELECT
+  r."remoteJid", backfill.id, COALESCE(r."analysis_time", NOW()), r."lead_stage", r."product_category", r."product_subcategory",
+  r."urgency_level", r."customer_sentiment", r."analysis_confidence",
+  jsonb_build_object(
+    'product_category', r."product_category", 'product_subcategory', r."product_subcategory", 'specific_products', r."specific_products",
+    'product_models', r."product_models", 'quantity_mentioned', r."quantity_mentioned", 'primary_sales_agent', r."primary_sales_agent",
+    'additional_agents', r."additional_agents", 'agent_handoff_detected', r."agent_handoff_detected", 'lead_stage', r."lead_stage",
+    'next_action_required', r."next_action_required", 'sales_status', r."sales_status", 'customer_objections', r."customer_objections",
+    'urgency_level', r."urgency_level", 'customer_name', r."customer_name", 'customer_location', r."customer_location",
+    'budget_range', r."budget_range", 'purchase_timeline', r."purchase_timeline", 'decision_maker_status', r."decision_maker_status",
+    'product_specifications', r."product_specifications", 'accessories_discussed', r."accessories_discussed", 'warranty_service_needs', r."warranty_service_needs",
+    'color_preferences', r."color_preferences", 'lead_source', r."lead_source", 'competitive_products', r."competitive_products",
+    'upsell_opportunities', r."upsell_opportunities", 'customer_sentiment', r."customer_sentiment", 'pain_points_identified', r."pain_points_identified",
+    'pricing_discussed', r."pricing_discussed", 'demo_scheduled', r."demo_scheduled", 'follow_up_required', r."follow_up_required",
+    'analysis_confidence', r."analysis_confidence"
+  ),
+  r."taxonomy_version", r."ai_provider", r."ai_model_used", r."processing_time_ms"
+FROM "SalesAnalysisReport" r
+CROSS JOIN (SELECT gen_random_uuid() AS id) backfill
+WHERE NOT EXISTS (SELECT 1 FROM "SalesAnalysisHistory" h WHERE h."remoteJid" = r."remoteJid");
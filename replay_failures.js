@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createTargetTransport, getTargetConfig } from './src/db/targetConnection.js';
+import { DeadLetterStore, describeError } from './src/migration/deadLetter.js';
+
+loadEnvironment();
+
+// Retries rows captured by the migrators' dead-letter stores, typically after
+// fixing the target schema (e.g. fix_message_constraints.sql). Rows that go
+// through are removed from the store; the rest keep their latest error.
+export class FailureReplayer {
+  constructor({ stateBackend = 'file', transport, tables = null, dryRun = false } = {}) {
+    const targetConfig = getTargetConfig(
+      transport ? { ...process.env, TARGET_TRANSPORT: transport } : process.env
+    );
+    this.target = createTargetTransport(targetConfig);
+
+    if (stateBackend === 'table' && this.target.kind !== 'pg') {
+      throw new Error('--state=table needs the pg transport');
+    }
+
+    this.store = new DeadLetterStore({
+      migrator: 'FailureReplayer',
+      pool: stateBackend === 'table' ? this.target.pool : null
+    });
+    this.tables = tables;
+    this.dryRun = dryRun;
+
+    console.log('🔧 Failure replayer initialized');
+  }
+
+  async replayTable(tableName) {
+    const entries = await this.store.list(tableName);
+    if (entries.length === 0) {
+      console.log(`📭 No failures recorded for ${tableName}`);
+      return { resolved: 0, failed: 0 };
+    }
+
+    console.log(`\n🔁 Replaying ${entries.length} failed rows for ${tableName}...`);
+
+    if (this.dryRun) {
+      const byError = new Map();
+      for (const entry of entries) {
+        const key = `${entry.errorCode || '-'} ${entry.errorMessage}`;
+        byError.set(key, (byError.get(key) || 0) + 1);
+      }
+      for (const [error, count] of byError) {
+        console.log(`  ${count} × ${error}`);
+      }
+      return { resolved: 0, failed: entries.length };
+    }
+
+    const resolved = [];
+    const stillFailing = [];
+
+    for (const entry of entries) {
+      try {
+        // Rows rejected by an upsert are upserted again, or an existing key would skip them
+        if (entry.writeMode === 'upsert') {
+          await this.target.upsertRows(tableName, [entry.row], entry.conflictColumns);
+        } else {
+          await this.target.insertRows(tableName, [entry.row]);
+        }
+        resolved.push(entry);
+      } catch (error) {
+        const { code, message } = describeError(error);
+        console.error(`❌ Still failing ${JSON.stringify(entry.primaryKey)}:`, message);
+        stillFailing.push({
+          ...entry,
+          errorCode: code,
+          errorMessage: message,
+          attempts: entry.attempts + 1,
+          failedAt: new Date().toISOString()
+        });
+      }
+    }
+
+    await this.store.update(tableName, { resolved, stillFailing });
+
+    console.log(`✅ ${tableName}: ${resolved.length} replayed, ${stillFailing.length} still failing`);
+    return { resolved: resolved.length, failed: stillFailing.length };
+  }
+
+  async replay() {
+    try {
+      console.log(`🚀 Replaying failed rows (target: ${this.target.kind} ${this.target.describe()})`);
+
+      const tables = this.tables || await this.store.tables();
+      if (tables.length === 0) {
+        console.log('📭 No recorded failures');
+        return true;
+      }
+
+      let totalResolved = 0;
+      let totalFailed = 0;
+
+      for (const tableName of tables) {
+        const result = await this.replayTable(tableName);
+        totalResolved += result.resolved;
+        totalFailed += result.failed;
+      }
+
+      console.log('\n📊 Replay Summary');
+      console.log('='.repeat(50));
+      console.log(`📈 Replayed: ${totalResolved} rows`);
+      console.log(`📉 Still failing: ${totalFailed} rows`);
+
+      return totalFailed === 0;
+
+    } finally {
+      await this.target.end();
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const transportArg = args.find(arg => arg.startsWith('--transport='));
+  const tableArg = args.find(arg => arg.startsWith('--table='));
+
+  let replayer;
+  try {
+    replayer = new FailureReplayer({
+      stateBackend: args.includes('--state=table') ? 'table' : 'file',
+      transport: transportArg ? transportArg.split('=')[1] : undefined,
+      tables: tableArg ? tableArg.split('=')[1].split(',') : null,
+      dryRun: args.includes('--dry-run')
+    });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(1);
+  }
+
+  try {
+    const complete = await replayer.replay();
+    process.exit(complete ? 0 : 1);
+  } catch (error) {
+    console.error('💥 Replay failed:', error.message);
+    process.exit(2);
+  }
+}
+
+if (isEntryPoint(import.meta.url)) main();
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSourcePool } from './src/db/sourceConnection.js';
+import { createTargetTransport, getTargetConfig } from './src/db/targetConnection.js';
+import { diffSchemas, readSchemaSnapshot, renderAlterScript } from './src/schema/diff.js';
+
+loadEnvironment();
+
+// Compares every source table with the target (columns, types, lengths,
+// nullability, defaults, indexes) and writes the ALTER script that brings
+// the target in line, replacing the hand-written fix_*.sql patches.
+export class SchemaDiffer {
+  constructor({ tables = null } = {}) {
+    // Source PostgreSQL connection
+    this.sourcePool = createSourcePool();
+
+    // Catalog queries need a direct connection to the target
+    this.target = createTargetTransport(getTargetConfig({ ...process.env, TARGET_TRANSPORT: 'pg' }));
+
+    this.tables = tables;
+  }
+
+  async diff() {
+    try {
+      console.log(`🔍 Comparing source with target (${this.target.describe()})...`);
+
+      const source = await readSchemaSnapshot(this.sourcePool, this.tables);
+      const target = await readSchemaSnapshot(this.target.pool, this.tables);
+      const changes = diffSchemas(source, target);
+
+      return {
+        generatedAt: new Date().toISOString(),
+        target: this.target.describe(),
+        tables: Object.keys(source.tables).length,
+        summary: {
+          safe: changes.filter(c => c.severity === 'safe').length,
+          risky: changes.filter(c => c.severity === 'risky').length,
+          destructive: changes.filter(c => c.severity === 'destructive').length
+        },
+        changes
+      };
+
+    } finally {
+      await this.sourcePool.end();
+      await this.target.end();
+    }
+  }
+
+  async writeOutputs(report, { outFile = 'schema_diff.sql', reportFile = 'schema_diff_report.json', allowDestructive = false } = {}) {
+    await fs.writeFile(outFile, renderAlterScript(report.changes, { allowDestructive, generatedAt: report.generatedAt }));
+    await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const tablesArg = args.find(arg => arg.startsWith('--tables='));
+  const outArg = args.find(arg => arg.startsWith('--out='));
+  const reportArg = args.find(arg => arg.startsWith('--report='));
+  const allowDestructive = args.includes('--allow-destructive');
+
+  const outFile = outArg ? outArg.split('=')[1] : 'schema_diff.sql';
+  const reportFile = reportArg ? reportArg.split('=')[1] : 'schema_diff_report.json';
+
+  let differ;
+  try {
+    differ = new SchemaDiffer({
+      tables: tablesArg ? tablesArg.split('=')[1].split(',') : null
+    });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
+  try {
+    const report = await differ.diff();
+
+    if (report.changes.length === 0) {
+      console.log(`✅ No drift across ${report.tables} tables`);
+      process.exit(0);
+    }
+
+    for (const entry of report.changes) {
+      const icon = { safe: '🟢', risky: '🟡', destructive: '🔴' }[entry.severity];
+      console.log(`${icon} ${entry.table}: ${entry.kind} ${entry.object} - ${entry.reason}`);
+    }
+
+    await differ.writeOutputs(report, { outFile, reportFile, allowDestructive });
+
+    console.log('\n📊 Schema Drift Summary');
+    console.log('='.repeat(50));
+    console.log(`🟢 Safe: ${report.summary.safe}`);
+    console.log(`🟡 Risky (may fail on existing rows): ${report.summary.risky}`);
+    console.log(`🔴 Destructive (may lose data): ${report.summary.destructive}${report.summary.destructive > 0 && !allowDestructive ? ' - commented out, rerun with --allow-destructive to include' : ''}`);
+    console.log(`📝 ALTER script: ${outFile}`);
+    console.log(`📝 Report: ${reportFile}`);
+
+    process.exit(1);
+  } catch (error) {
+    console.error('💥 Schema diff failed:', error.message);
+    process.exit(2);
+  }
+}
+
+if (isEntryPoint(import.meta.url)) main();
@@ -0,0 +1,194 @@
+// Rebuilds one-to-one chats from Evolution API "Message" rows (key, message,
+// messageType, messageTimestamp, pushName) into the ConversationCache shape
+// the analyzer reads. Pure functions: the rows come from the database or from
+// fixtures/evolution_messages.json alike.
+
+// Direct chats only: groups (@g.us), status and broadcast lists (@broadcast)
+// and channels (@newsletter) are left out. Used as a Postgres regex too.
+export const DIRECT_CHAT_PATTERN = '@(s\\.whatsapp\\.net|c\\.us|lid)$';
+
+const DIRECT_CHAT = new RegExp(DIRECT_CHAT_PATTERN);
+
+const QUOTE_LENGTH = 80;
+
+// Containers whose payload sits under .message
+const WRAPPERS = [
+  'ephemeralMessage',
+  'viewOnceMessage',
+  'viewOnceMessageV2',
+  'viewOnceMessageV2Extension',
+  'documentWithCaptionMessage',
+  'editedMessage'
+];
+
+// Reactions, revokes/edit notices and key distribution carry no chat text
+const SILENT = new Set([
+  'reactionMessage',
+  'protocolMessage',
+  'senderKeyDistributionMessage',
+  'messageContextInfo'
+]);
+
+export function isDirectChat(remoteJid) {
+  return typeof remoteJid === 'string' && DIRECT_CHAT.test(remoteJid);
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function unwrap(message) {
+  let current = message;
+  for (let depth = 0; current && depth < 5; depth++) {
+    const wrapper = WRAPPERS.find(name => current[name]?.message);
+    if (!wrapper) break;
+    current = current[wrapper].message;
+  }
+  return current;
+}
+
+// The payload key: messageType when it names one, else the first content key
+function contentOf(message, messageType) {
+  const inner = unwrap(message);
+  if (!inner || typeof inner !== 'object') return null;
+
+  const type = messageType && inner[messageType] !== undefined
+    ? messageType
+    : Object.keys(inner).find(key => key !== 'messageContextInfo');
+  return type ? { type, body: inner[type] } : null;
+}
+
+const withCaption = (label, caption) => caption ? `${label} ${caption.trim()}` : label;
+
+function renderContent({ type, body }) {
+  if (SILENT.has(type)) return null;
+
+  switch (type) {
+    case 'conversation':
+      return typeof body === 'string' ? body.trim() || null : null;
+    case 'extendedTextMessage':
+      return body?.text?.trim() || null;
+    case 'imageMessage':
+      return withCaption('[Image]', body?.caption);
+    case 'videoMessage':
+      return withCaption(body?.gifPlayback ? '[GIF]' : '[Video]', body?.caption);
+    case 'audioMessage':
+      return body?.ptt ? '[Voice note]' : '[Audio]';
+    case 'documentMessage':
+      return withCaption(body?.fileName ? `[Document: ${body.fileName}]` : '[Document]', body?.caption);
+    case 'stickerMessage':
+      return '[Sticker]';
+    case 'locationMessage':
+    case 'liveLocationMessage': {
+      const place = [body?.name, body?.address].filter(Boolean).join(', ');
+      return place ? `[Location: ${place}]` : '[Location]';
+    }
+    case 'contactMessage':
+      return body?.displayName ? `[Contact: ${body.displayName}]` : '[Contact]';
+    case 'contactsArrayMessage':
+      return `[Contacts: ${(body?.contacts || []).map(contact => contact.displayName).filter(Boolean).join(', ')}]`;
+    case 'buttonsResponseMessage':
+    case 'templateButtonReplyMessage':
+      return body?.selectedDisplayText?.trim() || null;
+    case 'listResponseMessage':
+      return body?.title?.trim() || null;
+    case 'pollCreationMessage':
+    case 'pollCreationMessageV3':
+      return body?.name ? `[Poll: ${body.name}]` : '[Poll]';
+    default:
+      return `[${type.replace(/Message$/, '')}]`;
+  }
+}
+
+function quotedText(content, contextInfo) {
+  const quoted = content.body?.contextInfo?.quotedMessage || contextInfo?.quotedMessage;
+  if (!quoted) return null;
+
+  const inner = contentOf(quoted, null);
+  const text = inner && renderContent(inner);
+  if (!text) return null;
+  const line = text.replace(/\s+/g, ' ');
+  return line.length > QUOTE_LENGTH ? `${line.slice(0, QUOTE_LENGTH - 1)}…` : line;
+}
+
+// One row -> { at, fromMe, pushName, text }, or null when it has nothing to show
+export function renderMessage(row) {
+  const key = parseJson(row.key) || {};
+  const content = contentOf(parseJson(row.message), row.messageType);
+  if (!content) return null;
+
+  const text = renderContent(content);
+  if (!text) return null;
+
+  const quote = quotedText(content, parseJson(row.contextInfo));
+  return {
+    at: new Date(Number(row.messageTimestamp) * 1000),
+    fromMe: key.fromMe === true || key.fromMe === 'true',
+    pushName: row.pushName || null,
+    text: quote ? `[reply to "${quote}"] ${text}` : text
+  };
+}
+
+const formatTime = date => date.toISOString().slice(0, 16).replace('T', ' ');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Messages deleted for everyone ("REVOKE", or 0 in older payloads)
+function revokedIds(rows) {
+  const ids = new Set();
+  for (const row of rows) {
+    const protocol = unwrap(parseJson(row.message))?.protocolMessage;
+    if (protocol && (protocol.type === 'REVOKE' || protocol.type === 0) && protocol.key?.id) {
+      ids.add(protocol.key.id);
+    }
+  }
+  return ids;
+}
+
+// All rows of one chat, in any order -> a ConversationCache row, or null when
+// none of them renders. Only the last maxMessages turns go into the text.
+export function buildConversation(remoteJid, rows, { maxMessages = 200 } = {}) {
+  const revoked = revokedIds(rows);
+  const turns = rows
+    .filter(row => !revoked.has(parseJson(row.key)?.id))
+    .map(renderMessage)
+    .filter(turn => turn && !isNaN(turn.at))
+    .sort((a, b) => a.at - b.at);
+  if (turns.length === 0) return null;
+
+  const customerTurns = turns.filter(turn => !turn.fromMe);
+  const lastCustomer = customerTurns[customerTurns.length - 1] || null;
+  const named = customerTurns.filter(turn => turn.pushName);
+
+  const shown = turns.slice(-maxMessages);
+  const lines = shown.map(turn => `[${formatTime(turn.at)}] ${turn.fromMe ? 'Agent' : 'Customer'}: ${turn.text}`);
+  if (shown.length < turns.length) {
+    lines.unshift(`[${turns.length - shown.length} earlier messages omitted]`);
+  }
+
+  return {
+    remoteJid,
+    conversation_text: lines.join('\n'),
+    total_messages: turns.length,
+    conversation_duration_days: Math.floor((turns[turns.length - 1].at - turns[0].at) / DAY_MS),
+    last_customer_message_time: lastCustomer ? lastCustomer.at : null,
+    chat_name: named.length > 0 ? named[named.length - 1].pushName : null
+  };
+}
+
+// Groups rows by key.remoteJid, dropping everything but direct chats
+export function groupByChat(rows) {
+  const chats = new Map();
+  for (const row of rows) {
+    const remoteJid = parseJson(row.key)?.remoteJid;
+    if (!isDirectChat(remoteJid)) continue;
+    if (!chats.has(remoteJid)) chats.set(remoteJid, []);
+    chats.get(remoteJid).push(row);
+  }
+  return chats;
+}
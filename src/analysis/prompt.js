@@ -0,0 +1,71 @@
+// The instructions sent with every conversation. The JSON keys are the
+// SalesAnalysisReport columns the model fills in (see ANALYSIS_FIELDS); the
+// product categories come from the taxonomy (src/analysis/taxonomy.js).
+
+// Recorded with every SalesAnalysisHistory row; bump it when SYSTEM or SHAPE
+// change so answers from different prompts can be told apart
+export const PROMPT_VERSION = '3';
+
+export const LEAD_STAGES = ['Inquiry', 'Interest', 'Consideration', 'Intent', 'Negotiation', 'Purchase', 'Lost', 'Support'];
+
+export const URGENCY_LEVELS = ['High', 'Medium', 'Low'];
+
+export const SENTIMENTS = ['Positive', 'Neutral', 'Negative'];
+
+const SYSTEM = `You analyse WhatsApp conversations between an electronics retailer's sales agents and a customer.
+Lines are "[time] Agent: ..." (the shop) or "[time] Customer: ...". Placeholders like [Image] or [Voice note] stand for media you cannot see.
+Answer with one JSON object and nothing else. Use null when the conversation does not say, and [] for empty lists.`;
+
+function describeTaxonomy(taxonomy) {
+  const lines = taxonomy.categories.map(category => {
+    const details = [
+      category.description,
+      category.subcategories.length > 0 && `subcategories: ${category.subcategories.map(subcategory => `"${subcategory.name}"`).join(', ')}`,
+      category.keywords.length > 0 && `e.g. ${category.keywords.slice(0, 6).join(', ')}`
+    ].filter(Boolean);
+    return `- "${category.name}"${details.length > 0 ? `: ${details.join('; ')}` : ''}`;
+  });
+  lines.push(`- "${taxonomy.fallback}": no product is discussed`);
+  return lines.join('\n');
+}
+
+const SHAPE = `{
+  "product_category": one of the product categories above,
+  "product_subcategory": one of that category's subcategories, or null,
+  "specific_products": [product names as the customer or agent wrote them],
+  "product_models": [model numbers or variants, e.g. "256GB", "A2849"],
+  "quantity_mentioned": integer or null,
+  "primary_sales_agent": the agent's name if they introduce or sign themselves, else null,
+  "additional_agents": [other agent names],
+  "agent_handoff_detected": true if more than one agent handled the chat,
+  "lead_stage": one of ${LEAD_STAGES.map(stage => `"${stage}"`).join(', ')},
+  "next_action_required": what the shop should do next, one sentence,
+  "sales_status": short free text, e.g. "Awaiting quotation approval",
+  "customer_objections": [price, stock, delivery ... concerns raised],
+  "urgency_level": one of ${URGENCY_LEVELS.map(level => `"${level}"`).join(', ')},
+  "customer_name": string or null,
+  "customer_location": string or null,
+  "budget_range": string or null,
+  "purchase_timeline": string or null,
+  "decision_maker_status": string or null,
+  "product_specifications": object of requested specs, e.g. {"storage": "256GB"},
+  "accessories_discussed": [..],
+  "warranty_service_needs": string or null,
+  "color_preferences": [..],
+  "lead_source": string or null,
+  "competitive_products": [competitor products or shops mentioned],
+  "upsell_opportunities": [..],
+  "customer_sentiment": one of ${SENTIMENTS.map(sentiment => `"${sentiment}"`).join(', ')},
+  "pain_points_identified": [..],
+  "pricing_discussed": boolean,
+  "demo_scheduled": boolean,
+  "follow_up_required": boolean,
+  "analysis_confidence": number between 0 and 1
+}`;
+
+export function buildPrompt(conversation, taxonomy) {
+  return {
+    system: SYSTEM,
+    prompt: `Product categories (taxonomy ${taxonomy.version}):\n${describeTaxonomy(taxonomy)}\n\nReturn this JSON object:\n${SHAPE}\n\nConversation${conversation.chat_name ? ` with ${conversation.chat_name}` : ''}:\n${conversation.conversation_text}`
+  };
+}
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import { ConfigError, requireSettings } from '../config/settings.js';
+
+// LLM providers for the analyzer. Every provider exposes the same shape:
+//   { name, model, complete({ remoteJid, system, prompt, attempt }) -> { text, model } }
+// where text is the raw model answer (expected to be one JSON object) and
+// model the model that actually answered, as the provider reports it.
+//   openai             api.openai.com with OPENAI_API_KEY
+//   openai-compatible  any /chat/completions endpoint (Ollama, vLLM, LM Studio...)
+//   mock               canned answers from a fixture file, no network at all
+
+export const DEFAULT_OPENAI_MODEL = 'gpt-3.5-turbo';
+export const DEFAULT_MOCK_FIXTURE = 'fixtures/mock_analyses.json';
+
+const OPENAI_URL = 'https://api.openai.com/v1';
+const RETRIES = 3;
+
+export class ProviderError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export function getProviderConfig(env = process.env) {
+  requireSettings(['analysis'], env);
+
+  const provider = env.ANALYSIS_PROVIDER || 'openai';
+  const problems = [];
+  if (provider === 'openai' && !env.OPENAI_API_KEY) {
+    problems.push('OPENAI_API_KEY is not set (needed for ANALYSIS_PROVIDER=openai; use ANALYSIS_PROVIDER=mock to run offline)');
+  }
+  if (provider === 'openai-compatible') {
+    if (!env.ANALYSIS_BASE_URL) problems.push('ANALYSIS_BASE_URL is not set (needed for ANALYSIS_PROVIDER=openai-compatible)');
+    if (!env.ANALYSIS_MODEL) problems.push('ANALYSIS_MODEL is not set (needed for ANALYSIS_PROVIDER=openai-compatible)');
+  }
+  if (provider === 'mock' && !env.ANALYSIS_MOCK_FIXTURE && !fs.existsSync(DEFAULT_MOCK_FIXTURE)) {
+    problems.push(`ANALYSIS_MOCK_FIXTURE is not set and ${DEFAULT_MOCK_FIXTURE} does not exist`);
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return {
+    provider,
+    model: provider === 'mock'
+      ? env.ANALYSIS_MODEL || 'mock'
+      : env.ANALYSIS_MODEL || env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL,
+    baseUrl: provider === 'openai' ? OPENAI_URL : env.ANALYSIS_BASE_URL || null,
+    apiKey: provider === 'openai' ? env.OPENAI_API_KEY : env.ANALYSIS_API_KEY || null,
+    fixture: env.ANALYSIS_MOCK_FIXTURE || DEFAULT_MOCK_FIXTURE,
+    timeoutMs: env.ANALYSIS_TIMEOUT_MS ? parseInt(env.ANALYSIS_TIMEOUT_MS) : 60000
+  };
+}
+
+export function createProvider(config = getProviderConfig()) {
+  switch (config.provider) {
+    case 'mock':
+      return new MockProvider(config);
+    case 'openai':
+      return new ChatCompletionsProvider({ ...config, name: 'openai', jsonMode: true });
+    default:
+      // Not every compatible server understands response_format
+      return new ChatCompletionsProvider({ ...config, name: 'openai-compatible', jsonMode: false });
+  }
+}
+
+export class ChatCompletionsProvider {
+  constructor({ name, model, baseUrl, apiKey = null, timeoutMs = 60000, jsonMode = false }) {
+    this.name = name;
+    this.model = model;
+    this.url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.jsonMode = jsonMode;
+  }
+
+  describe() {
+    return `${this.name} ${this.model} (${new URL(this.url).host})`;
+  }
+
+  async complete({ system, prompt }) {
+    const body = {
+      model: this.model,
+      temperature: 0,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      ...(this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+    };
+
+    // 429 and 5xx are retried with a growing delay (or the server's Retry-After)
+    for (let retry = 1; ; retry++) {
+      try {
+        return await this.request(body);
+      } catch (error) {
+        if (!(error instanceof ProviderError) || !error.retryable || retry >= RETRIES) throw error;
+        const delay = error.retryAfterMs || 1000 * 2 ** retry;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async request(body) {
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new ProviderError(`${this.name} request failed: ${error.message}`, { retryable: true });
+    }
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, 200);
+      const error = new ProviderError(`${this.name} answered ${response.status}: ${detail}`, {
+        status: response.status,
+        retryable: response.status === 429 || response.status >= 500
+      });
+      const retryAfter = parseInt(response.headers.get('retry-after'));
+      if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+      throw error;
+    }
+
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new ProviderError(`${this.name} returned no message content`);
+    }
+    return { text, model: data.model || this.model };
+  }
+}
+
+// Answers from a JSON file keyed by remoteJid, with an optional "default"
+// entry for every other chat. Same input, same output - for offline runs,
+// demos and checking the pipeline end to end. An array holds one answer per
+// attempt (the first answer, then the repairs); the last one repeats.
+export class MockProvider {
+  constructor({ model = 'mock', fixture = DEFAULT_MOCK_FIXTURE }) {
+    this.name = 'mock';
+    this.model = model;
+    this.fixture = fixture;
+    this.answers = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+  }
+
+  describe() {
+    return `mock (${this.fixture})`;
+  }
+
+  async complete({ remoteJid, attempt = 1 }) {
+    const entry = this.answers[remoteJid] ?? this.answers.default;
+    if (entry === undefined) {
+      throw new ProviderError(`${this.fixture} has no answer for ${remoteJid} and no "default" entry`);
+    }
+    const answer = Array.isArray(entry) ? entry[Math.min(attempt, entry.length) - 1] : entry;
+    // Strings are passed through as-is, so a fixture can also hold malformed answers
+    return { text: typeof answer === 'string' ? answer : JSON.stringify(answer), model: this.model };
+  }
+}
@@ -0,0 +1,112 @@
+import { LEAD_STAGES, SENTIMENTS, URGENCY_LEVELS } from './prompt.js';
+
+// Turns a validated model answer into a SalesAnalysisReport row, and that row
+// into its SalesAnalysisHistory entry. The analysis fields come from the
+// model; the conversation counters from ConversationCache; the provider,
+// model, timing and taxonomy version from the analyzer. maxLength and the
+// enumerations follow the column definitions in migrations/; the category
+// values are filled in from the taxonomy.
+
+export const ANALYSIS_FIELDS = {
+  product_category: { type: 'enum', values: [], required: true },
+  product_subcategory: { type: 'enum', values: [] },
+  specific_products: { type: 'list' },
+  product_models: { type: 'list' },
+  quantity_mentioned: { type: 'integer' },
+  primary_sales_agent: { type: 'text', maxLength: 255 },
+  additional_agents: { type: 'list' },
+  agent_handoff_detected: { type: 'boolean', default: false },
+  lead_stage: { type: 'enum', values: LEAD_STAGES, required: true },
+  next_action_required: { type: 'text' },
+  sales_status: { type: 'text', maxLength: 200 },
+  customer_objections: { type: 'list' },
+  urgency_level: { type: 'enum', values: URGENCY_LEVELS, required: true },
+  customer_name: { type: 'text', maxLength: 255 },
+  customer_location: { type: 'text', maxLength: 255 },
+  budget_range: { type: 'text', maxLength: 200 },
+  purchase_timeline: { type: 'text', maxLength: 200 },
+  decision_maker_status: { type: 'text', maxLength: 200 },
+  product_specifications: { type: 'object' },
+  accessories_discussed: { type: 'list' },
+  warranty_service_needs: { type: 'text' },
+  color_preferences: { type: 'list' },
+  lead_source: { type: 'text', maxLength: 200 },
+  competitive_products: { type: 'list' },
+  upsell_opportunities: { type: 'list' },
+  customer_sentiment: { type: 'enum', values: SENTIMENTS, required: true },
+  pain_points_identified: { type: 'list' },
+  pricing_discussed: { type: 'boolean', default: false },
+  demo_scheduled: { type: 'boolean', default: false },
+  follow_up_required: { type: 'boolean', default: true },
+  analysis_confidence: { type: 'confidence', required: true }
+};
+
+export function analysisFields(taxonomy) {
+  return {
+    ...ANALYSIS_FIELDS,
+    product_category: { ...ANALYSIS_FIELDS.product_category, values: taxonomy.categoryNames() },
+    product_subcategory: { ...ANALYSIS_FIELDS.product_subcategory, values: taxonomy.subcategoryNames() }
+  };
+}
+
+export const JSONB_FIELDS = new Set(
+  Object.entries(ANALYSIS_FIELDS).filter(([, field]) => field.type === 'list' || field.type === 'object').map(([name]) => name)
+);
+
+const CONVERSATION_FIELDS = ['total_messages', 'conversation_duration_days', 'last_customer_message_time'];
+
+export const REPORT_COLUMNS = [
+  'remoteJid',
+  ...Object.keys(ANALYSIS_FIELDS),
+  ...CONVERSATION_FIELDS,
+  'ai_provider',
+  'ai_model_used',
+  'processing_time_ms',
+  'taxonomy_version'
+];
+
+export function toReportRow(analysis, conversation, { provider, model, processingTimeMs, taxonomyVersion }) {
+  const row = { remoteJid: conversation.remoteJid };
+  for (const field of Object.keys(ANALYSIS_FIELDS)) {
+    row[field] = analysis[field] ?? null;
+  }
+  for (const field of CONVERSATION_FIELDS) {
+    row[field] = conversation[field] ?? null;
+  }
+  row.ai_provider = provider;
+  row.ai_model_used = model;
+  row.processing_time_ms = processingTimeMs;
+  row.taxonomy_version = taxonomyVersion;
+  return row;
+}
+
+// The history keeps the whole answer in "analysis" and copies out the columns
+// lead_history.js filters and compares on
+const HISTORY_FIELDS = ['lead_stage', 'product_category', 'product_subcategory', 'urgency_level', 'customer_sentiment', 'analysis_confidence'];
+
+export const HISTORY_COLUMNS = [
+  'remoteJid',
+  'run_id',
+  ...HISTORY_FIELDS,
+  'analysis',
+  'prompt_version',
+  'taxonomy_version',
+  'ai_provider',
+  'ai_model_used',
+  'processing_time_ms'
+];
+
+export function toHistoryRow(row, { runId, promptVersion }) {
+  const entry = { remoteJid: row.remoteJid, run_id: runId, analysis: {} };
+  for (const field of Object.keys(ANALYSIS_FIELDS)) {
+    entry.analysis[field] = row[field];
+  }
+  for (const field of HISTORY_FIELDS) {
+    entry[field] = row[field];
+  }
+  entry.prompt_version = promptVersion;
+  for (const field of ['taxonomy_version', 'ai_provider', 'ai_model_used', 'processing_time_ms']) {
+    entry[field] = row[field];
+  }
+  return entry;
+}
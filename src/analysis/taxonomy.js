@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { ConfigError } from '../config/settings.js';
+
+// The product taxonomy the analyzer classifies into: categories with
+// subcategories, models (and the aliases customers and agents write them
+// as) and keywords. It is read from a versioned JSON file (config/taxonomy.json
+// by default) or, with ANALYSIS_TAXONOMY=table, from the most recently
+// published version in the "ProductTaxonomy" table. The prompt, the validation
+// of the model's answer and `manage_taxonomy.js reclassify` are all generated
+// from it.
+
+export const DEFAULT_TAXONOMY_FILE = 'config/taxonomy.json';
+
+const normalize = value => value.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+export class Taxonomy {
+  constructor(definition, source) {
+    this.version = definition.version;
+    this.fallback = definition.fallback;
+    this.categories = definition.categories.map(category => ({
+      name: category.name,
+      description: category.description || null,
+      aliases: category.aliases || [],
+      keywords: category.keywords || [],
+      subcategories: (category.subcategories || []).map(subcategory => ({
+        name: subcategory.name,
+        keywords: subcategory.keywords || [],
+        models: (subcategory.models || []).map(model => ({ name: model.name, aliases: model.aliases || [] }))
+      }))
+    }));
+    this.definition = definition;
+    this.source = source;
+
+    // Longest alias first, so "15 pro max" wins over "15 pro"
+    this.modelAliases = this.categories
+      .flatMap(category => category.subcategories.flatMap(subcategory => subcategory.models.flatMap(model =>
+        [model.name, ...model.aliases].map(alias => ({ alias: normalize(alias), model: model.name, category: category.name, subcategory: subcategory.name }))
+      )))
+      .sort((a, b) => b.alias.length - a.alias.length);
+  }
+
+  get checksum() {
+    return crypto.createHash('sha256').update(JSON.stringify(this.definition)).digest('hex');
+  }
+
+  categoryNames() {
+    return [...this.categories.map(category => category.name), this.fallback];
+  }
+
+  subcategoryNames() {
+    return this.categories.flatMap(category => category.subcategories.map(subcategory => subcategory.name));
+  }
+
+  // By current name, or by one of its earlier names (aliases)
+  findCategory(name) {
+    if (!name) return null;
+    const wanted = normalize(name);
+    return this.categories.find(category => normalize(category.name) === wanted)
+      || this.categories.find(category => category.aliases.some(alias => normalize(alias) === wanted))
+      || null;
+  }
+
+  isFallback(name) {
+    return Boolean(name) && normalize(name) === normalize(this.fallback);
+  }
+
+  findSubcategory(categoryName, name) {
+    if (!name) return null;
+    const category = this.findCategory(categoryName);
+    return category?.subcategories.find(subcategory => normalize(subcategory.name) === normalize(name)) || null;
+  }
+
+  // "ip15 pro" -> "iPhone 15 Pro"; unknown names come back unchanged
+  canonicalModel(text) {
+    const wanted = normalize(text);
+    return this.modelAliases.find(entry => entry.alias === wanted)?.model || text;
+  }
+
+  // Keyword and model-alias matches over free text (product names, models).
+  // The category whose matches cover the most characters wins; null when
+  // nothing matches.
+  classify(texts) {
+    const haystack = ` ${texts.filter(Boolean).map(normalize).join(' | ')} `;
+    const contains = term => term && haystack.includes(` ${normalize(term)} `);
+
+    let best = null;
+    for (const category of this.categories) {
+      let score = category.keywords.filter(contains).reduce((sum, keyword) => sum + keyword.length, 0);
+      let subcategory = null;
+      let subcategoryScore = 0;
+
+      for (const candidate of category.subcategories) {
+        const terms = [...candidate.keywords, ...candidate.models.flatMap(model => [model.name, ...model.aliases])];
+        const candidateScore = terms.filter(contains).reduce((sum, term) => sum + term.length, 0);
+        if (candidateScore > subcategoryScore) {
+          subcategory = candidate.name;
+          subcategoryScore = candidateScore;
+        }
+      }
+      score += subcategoryScore;
+
+      if (score > 0 && (!best || score > best.score)) {
+        best = { category: category.name, subcategory, score };
+      }
+    }
+    return best;
+  }
+}
+
+export function parseTaxonomy(definition, source = 'taxonomy') {
+  const problems = [];
+  if (typeof definition?.version !== 'string' || !definition.version) problems.push('"version" must be a non-empty string');
+  if (typeof definition?.fallback !== 'string' || !definition.fallback) problems.push('"fallback" must name the category for chats without a product');
+  if (!Array.isArray(definition?.categories) || definition.categories.length === 0) problems.push('"categories" must be a non-empty list');
+
+  const seen = new Set(definition?.fallback ? [normalize(definition.fallback)] : []);
+  for (const [index, category] of (Array.isArray(definition?.categories) ? definition.categories : []).entries()) {
+    const label = category?.name ? `category "${category.name}"` : `categories[${index}]`;
+    if (typeof category?.name !== 'string' || !category.name) {
+      problems.push(`${label} needs a "name"`);
+      continue;
+    }
+    for (const name of [category.name, ...(category.aliases || [])]) {
+      if (seen.has(normalize(name))) problems.push(`${label}: "${name}" is used twice (names and aliases must be unique)`);
+      seen.add(normalize(name));
+    }
+    for (const list of ['aliases', 'keywords', 'subcategories']) {
+      if (category[list] !== undefined && !Array.isArray(category[list])) problems.push(`${label}: "${list}" must be a list`);
+    }
+
+    const subcategories = new Set();
+    for (const subcategory of Array.isArray(category.subcategories) ? category.subcategories : []) {
+      if (typeof subcategory?.name !== 'string' || !subcategory.name) {
+        problems.push(`${label}: every subcategory needs a "name"`);
+        continue;
+      }
+      if (subcategories.has(normalize(subcategory.name))) problems.push(`${label}: subcategory "${subcategory.name}" is listed twice`);
+      subcategories.add(normalize(subcategory.name));
+      for (const model of subcategory.models || []) {
+        if (typeof model?.name !== 'string' || !model.name) problems.push(`${label} / ${subcategory.name}: every model needs a "name"`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems.map(problem => `${source}: ${problem}`));
+  }
+  return new Taxonomy(definition, source);
+}
+
+export async function readTaxonomyFile(file = DEFAULT_TAXONOMY_FILE) {
+  let definition;
+  try {
+    definition = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigError([`Cannot read the taxonomy ${file}: ${error.message}`]);
+  }
+  return parseTaxonomy(definition, file);
+}
+
+// ANALYSIS_TAXONOMY=table reads the most recently published version
+export async function loadTaxonomy({ pool = null, env = process.env } = {}) {
+  const setting = env.ANALYSIS_TAXONOMY || DEFAULT_TAXONOMY_FILE;
+  if (setting !== 'table') {
+    return readTaxonomyFile(setting);
+  }
+
+  if (!pool) {
+    throw new ConfigError(['ANALYSIS_TAXONOMY=table needs a database connection']);
+  }
+  const result = await pool.query('SELECT version, definition FROM "ProductTaxonomy" ORDER BY published_at DESC LIMIT 1');
+  if (result.rows.length === 0) {
+    throw new ConfigError(['ANALYSIS_TAXONOMY=table but "ProductTaxonomy" is empty (run: node manage_taxonomy.js publish)']);
+  }
+  return parseTaxonomy(result.rows[0].definition, `ProductTaxonomy ${result.rows[0].version}`);
+}
+
+// Versions are immutable: publishing different content under an existing
+// version is refused, publishing the same content again is a no-op
+export async function publishTaxonomy(pool, taxonomy) {
+  const existing = await pool.query('SELECT checksum FROM "ProductTaxonomy" WHERE version = $1', [taxonomy.version]);
+  if (existing.rows.length > 0) {
+    if (existing.rows[0].checksum !== taxonomy.checksum) {
+      throw new Error(`Taxonomy version ${taxonomy.version} is already published with different content - bump "version"`);
+    }
+    return false;
+  }
+
+  await pool.query(
+    'INSERT INTO "ProductTaxonomy" (version, definition, checksum) VALUES ($1, $2, $3)',
+    [taxonomy.version, JSON.stringify(taxonomy.definition), taxonomy.checksum]
+  );
+  return true;
+}
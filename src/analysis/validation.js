@@ -0,0 +1,155 @@
+import { analysisFields } from './report.js';
+
+// Checks a model answer against ANALYSIS_FIELDS and the taxonomy before it
+// reaches SalesAnalysisReport. Harmless differences are coerced ("high" ->
+// "High", "yes" -> true, "85%" -> 0.85, a single string -> a one-item list,
+// overlong text cut to the column width, a category's earlier name -> its
+// current one, a model alias -> the model name); anything else is reported as
+// an error so the analyzer can ask the model for a repaired answer.
+
+const EMPTY_TEXT = new Set(['', 'null', 'none', 'n/a', 'na', 'unknown', 'not mentioned', 'not specified']);
+const TRUE_VALUES = new Set(['true', 'yes', 'y', '1']);
+const FALSE_VALUES = new Set(['false', 'no', 'n', '0']);
+
+const normalize = value => value.toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+class FieldError extends Error {}
+
+// Models wrap JSON in ```json fences or a sentence of prose
+export function parseAnswer(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('the answer contains no JSON object');
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`the answer is not valid JSON (${error.message})`);
+  }
+}
+
+const describe = value => JSON.stringify(value)?.slice(0, 60);
+
+function coerceField(value, field) {
+  switch (field.type) {
+    case 'enum': {
+      if (typeof value !== 'string') throw new FieldError(`must be one of ${field.values.join(', ')}`);
+      const match = field.values.find(allowed => normalize(allowed) === normalize(value));
+      if (!match) throw new FieldError(`${describe(value)} is not one of ${field.values.join(', ')}`);
+      return match;
+    }
+
+    case 'text': {
+      if (typeof value === 'number') value = String(value);
+      if (typeof value !== 'string') throw new FieldError(`must be a string, got ${describe(value)}`);
+      const text = value.trim();
+      if (EMPTY_TEXT.has(text.toLowerCase())) return null;
+      return field.maxLength && text.length > field.maxLength ? text.slice(0, field.maxLength) : text;
+    }
+
+    case 'list': {
+      const items = Array.isArray(value) ? value : [value];
+      const list = [];
+      for (const item of items) {
+        if (item === null || item === undefined) continue;
+        if (typeof item === 'object') throw new FieldError(`must be a list of strings, got ${describe(item)}`);
+        const text = String(item).trim();
+        if (text && !EMPTY_TEXT.has(text.toLowerCase()) && !list.includes(text)) list.push(text);
+      }
+      return list;
+    }
+
+    case 'object': {
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch {
+          throw new FieldError(`must be an object, got ${describe(value)}`);
+        }
+      }
+      if (typeof value !== 'object' || Array.isArray(value)) throw new FieldError(`must be an object, got ${describe(value)}`);
+      return value;
+    }
+
+    case 'integer': {
+      const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+      if (!Number.isFinite(number) || number < 0) throw new FieldError(`must be a whole number >= 0, got ${describe(value)}`);
+      return Math.round(number);
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.has(text)) return true;
+      if (FALSE_VALUES.has(text)) return false;
+      throw new FieldError(`must be true or false, got ${describe(value)}`);
+    }
+
+    // DECIMAL(3,2): two decimals between 0 and 1
+    case 'confidence': {
+      const percent = typeof value === 'string' && value.trim().endsWith('%');
+      const number = typeof value === 'number' ? value : parseFloat(String(value));
+      if (!Number.isFinite(number)) throw new FieldError(`must be a number between 0 and 1, got ${describe(value)}`);
+      // "85%", and bare 85 or "85" too: above 1 a confidence can only be a percentage
+      const fraction = percent || (number > 1 && number <= 100) ? number / 100 : number;
+      return Math.round(Math.min(Math.max(fraction, 0), 1) * 100) / 100;
+    }
+
+    default:
+      throw new Error(`Unknown field type ${field.type}`);
+  }
+}
+
+// -> { analysis, errors }: analysis holds every field (coerced, or null / the
+// column default), errors one line per field that could not be used
+export function validateAnalysis(answer, taxonomy) {
+  if (typeof answer !== 'object' || answer === null || Array.isArray(answer)) {
+    return { analysis: null, errors: ['the answer must be a JSON object'] };
+  }
+
+  const renamed = taxonomy.findCategory(answer.product_category);
+  if (renamed) answer = { ...answer, product_category: renamed.name };
+
+  const analysis = {};
+  const errors = [];
+  for (const [name, field] of Object.entries(analysisFields(taxonomy))) {
+    const value = answer[name];
+    if (value === null || value === undefined) {
+      if (field.required) errors.push(`${name}: is missing`);
+      analysis[name] = field.default ?? (field.type === 'list' ? [] : field.type === 'object' ? {} : null);
+      continue;
+    }
+
+    try {
+      analysis[name] = coerceField(value, field);
+    } catch (error) {
+      if (!(error instanceof FieldError)) throw error;
+      errors.push(`${name}: ${error.message}`);
+      analysis[name] = null;
+    }
+  }
+
+  if (analysis.product_subcategory && analysis.product_category
+    && !taxonomy.findSubcategory(analysis.product_category, analysis.product_subcategory)) {
+    errors.push(`product_subcategory: "${analysis.product_subcategory}" is not a subcategory of ${analysis.product_category}`);
+  }
+  for (const name of ['specific_products', 'product_models']) {
+    if (Array.isArray(analysis[name])) analysis[name] = [...new Set(analysis[name].map(item => taxonomy.canonicalModel(item)))];
+  }
+
+  return { analysis, errors };
+}
+
+// The follow-up message asking the model to fix its own answer
+export function repairPrompt(prompt, answer, errors) {
+  return `${prompt}
+
+Your previous answer was:
+${answer}
+
+It cannot be stored because:
+- ${errors.join('\n- ')}
+
+Return the corrected JSON object only, with every key from the shape above.`;
+}
@@ -0,0 +1,35 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// True when the module was started directly (`node script.js`), so the
+// scripts can also be imported by wsi.js without running their own main()
+export function isEntryPoint(moduleUrl) {
+  return Boolean(process.argv[1]) && pathToFileURL(path.resolve(process.argv[1])).href === moduleUrl;
+}
+
+// "data migrate --mode=copy --resume" ->
+//   { positionals: ['data', 'migrate'], flags: { mode: 'copy', resume: true } }
+export function parseArgs(args) {
+  const positionals = [];
+  const flags = {};
+
+  for (const arg of args) {
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const separator = arg.indexOf('=');
+    if (separator === -1) {
+      flags[arg.slice(2)] = true;
+    } else {
+      flags[arg.slice(2, separator)] = arg.slice(separator + 1);
+    }
+  }
+
+  return { positionals, flags };
+}
+
+export function listFlag(value) {
+  return typeof value === 'string' ? value.split(',').filter(Boolean) : null;
+}
@@ -0,0 +1,255 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Every setting the scripts read, validated in one place. Values are taken
+// from, in order of precedence:
+//   1. the shell environment
+//   2. config/profiles/<profile>.env  (git-ignored: the profile's secrets)
+//   3. config/profiles/<profile>.json (committed: hosts and options only)
+//   4. .env
+// The profile is chosen with --profile=<name> on any command or WSI_PROFILE.
+
+export const PROFILE_DIR = fileURLToPath(new URL('../../config/profiles/', import.meta.url));
+
+const MASK = '********';
+
+export const SETTINGS = {
+  DB_HOST: { group: 'source', required: true, description: 'source database host' },
+  DB_PORT: { group: 'source', type: 'port', description: 'source database port' },
+  DB_NAME: { group: 'source', required: true, description: 'source database name' },
+  DB_USER: { group: 'source', required: true, description: 'source database user' },
+  DB_PASSWORD: { group: 'source', secret: true, description: 'source database password' },
+
+  TARGET_TRANSPORT: { group: 'target', type: 'enum', values: ['pg', 'rest'], description: 'pg or rest' },
+  TARGET_DATABASE_URL: { group: 'target', type: 'postgres-url', secret: true, description: 'target connection URL' },
+  TARGET_DB_HOST: { group: 'target', description: 'target database host' },
+  TARGET_DB_PORT: { group: 'target', type: 'port', description: 'target database port' },
+  TARGET_DB_USER: { group: 'target', description: 'target database user' },
+  TARGET_DB_PASSWORD: { group: 'target', secret: true, description: 'target database password' },
+  TARGET_DB_NAME: { group: 'target', description: 'target database name' },
+  TARGET_DB_SSL: { group: 'target', type: 'enum', values: ['disable', 'require', 'verify-full'], description: 'target TLS mode' },
+  TARGET_DB_SSL_CA: { group: 'target', type: 'file', description: 'CA bundle for verify-full' },
+  TARGET_DB_POOL_SIZE: { group: 'target', type: 'integer', description: 'target connection pool size' },
+
+  SUPABASE_PROJECT_URL: { group: 'supabase', type: 'url', required: true, description: 'Supabase project URL' },
+  SUPABASE_SERVICE_ROLE_KEY: { group: 'supabase', secret: true, required: true, description: 'Supabase service role key' },
+
+  ANALYSIS_PROVIDER: { group: 'analysis', type: 'enum', values: ['openai', 'openai-compatible', 'mock'], description: 'LLM provider for the analyzer' },
+  ANALYSIS_MODEL: { group: 'analysis', description: 'model name sent to the provider' },
+  ANALYSIS_BASE_URL: { group: 'analysis', type: 'url', description: 'OpenAI-compatible endpoint, e.g. http://localhost:11434/v1' },
+  ANALYSIS_API_KEY: { group: 'analysis', secret: true, description: 'API key for the OpenAI-compatible endpoint' },
+  ANALYSIS_MOCK_FIXTURE: { group: 'analysis', type: 'file', description: 'canned analyses for the mock provider' },
+  ANALYSIS_TIMEOUT_MS: { group: 'analysis', type: 'integer', description: 'per-request timeout for the provider' },
+  ANALYSIS_REPAIR_ATTEMPTS: { group: 'analysis', type: 'integer', description: 'repair requests for an invalid answer before quarantine' },
+  ANALYSIS_TAXONOMY: { group: 'analysis', description: 'product taxonomy file, or "table" for the most recently published ProductTaxonomy version' },
+  OPENAI_API_KEY: { group: 'analysis', secret: true, description: 'OpenAI API key' },
+  OPENAI_MODEL: { group: 'analysis', description: 'OpenAI model (when ANALYSIS_MODEL is not set)' },
+  CONCURRENT_CHATS: { group: 'analysis', type: 'integer', description: 'conversations analysed in parallel' },
+  BATCH_SIZE: { group: 'analysis', type: 'integer', description: 'reports written per database batch' },
+  MAX_CONVERSATION_LENGTH: { group: 'analysis', type: 'integer', description: 'messages per chat kept in ConversationCache' },
+
+  EXPORT_DIR: { group: 'export', description: 'directory for report exports' }
+};
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    const profile = loaded?.profile ? ` (profile ${loaded.profile})` : '';
+    super(problems.length === 1
+      ? `${problems[0]}${profile}`
+      : `${problems.length} configuration problems${profile}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function checkValue(name, value, setting) {
+  switch (setting.type) {
+    case 'port': {
+      const port = Number(value);
+      return Number.isInteger(port) && port > 0 && port < 65536 ? null : `${name} must be a port number, got "${value}"`;
+    }
+    case 'integer':
+      return /^[1-9]\d*$/.test(value) ? null : `${name} must be a positive integer, got "${value}"`;
+    case 'enum':
+      return setting.values.includes(value) ? null : `${name} must be one of ${setting.values.join(', ')}, got "${value}"`;
+    case 'url':
+      return /^https?:$/.test(parseUrl(value)?.protocol) ? null : `${name} must be an http(s) URL, got "${value}"`;
+    case 'postgres-url':
+      // Don't echo the value: it usually carries the password
+      return /^postgres(ql)?:$/.test(parseUrl(value)?.protocol) ? null : `${name} must be a postgres:// or postgresql:// URL`;
+    case 'file':
+      return fs.existsSync(value) ? null : `${name} points to a missing file (${value})`;
+    default:
+      return null;
+  }
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+export function checkSettings(groups, env = process.env) {
+  const problems = [];
+
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    if (!groups.includes(setting.group)) continue;
+
+    const value = env[name];
+    if (value === undefined || value === '') {
+      if (setting.required) problems.push(`${name} is not set (${setting.description})`);
+      continue;
+    }
+
+    const problem = checkValue(name, value, setting);
+    if (problem) problems.push(problem);
+  }
+
+  return problems;
+}
+
+export function requireSettings(groups, env = process.env) {
+  const problems = checkSettings(groups, env);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+}
+
+export function maskUrl(value) {
+  const url = parseUrl(value);
+  if (!url) return MASK;
+  if (url.password) url.password = MASK;
+  return url.toString();
+}
+
+export function redact(name, value) {
+  if (value === undefined || value === '') return value;
+  if (SETTINGS[name]?.type === 'postgres-url') return maskUrl(value);
+  return SETTINGS[name]?.secret ? MASK : value;
+}
+
+function secretValues(env) {
+  const values = [];
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    const value = env[name];
+    if (!setting.secret || !value) continue;
+
+    values.push(value);
+    const password = setting.type === 'postgres-url' ? parseUrl(value)?.password : null;
+    if (password) values.push(password, decodeURIComponent(password));
+  }
+  // Very short values would mask ordinary words
+  return values.filter(value => value.length >= 4);
+}
+
+export function redactSecrets(text, env = process.env) {
+  let result = String(text);
+  for (const value of secretValues(env)) {
+    result = result.split(value).join(MASK);
+  }
+  return result;
+}
+
+export function listProfiles() {
+  if (!fs.existsSync(PROFILE_DIR)) return [];
+  return fs.readdirSync(PROFILE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+function readProfile(profile) {
+  const file = path.join(PROFILE_DIR, `${profile}.json`);
+  if (!fs.existsSync(file)) {
+    throw new ConfigError([`Unknown profile "${profile}" (available: ${listProfiles().join(', ') || 'none'})`]);
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(file, 'utf8')).settings || {};
+  } catch (error) {
+    throw new ConfigError([`config/profiles/${profile}.json is not valid JSON: ${error.message}`]);
+  }
+
+  const secrets = Object.keys(settings).filter(name => SETTINGS[name]?.secret && settings[name]);
+  if (secrets.length > 0) {
+    throw new ConfigError(secrets.map(name =>
+      `${name} is a secret - keep it in config/profiles/${profile}.env or the environment, not ${profile}.json`));
+  }
+  return settings;
+}
+
+let loaded = null;
+
+// Fills process.env from the profile and .env once per process; every
+// script calls this at import time, so --profile works for all of them
+export function loadEnvironment({ argv = process.argv.slice(2), env = process.env } = {}) {
+  if (loaded) return loaded;
+
+  const profileArg = argv.find(arg => arg.startsWith('--profile='));
+  const profile = profileArg ? profileArg.split('=')[1] : env.WSI_PROFILE || null;
+
+  const origins = {};
+  for (const name of Object.keys(SETTINGS)) {
+    if (env[name] !== undefined) origins[name] = 'environment';
+  }
+  const fill = (values, origin) => {
+    for (const [name, value] of Object.entries(values)) {
+      if (env[name] !== undefined) continue;
+      env[name] = String(value);
+      origins[name] = origin;
+    }
+  };
+
+  try {
+    if (profile) {
+      const secretsFile = path.join(PROFILE_DIR, `${profile}.env`);
+      const settings = readProfile(profile);
+      if (fs.existsSync(secretsFile)) {
+        fill(dotenv.parse(fs.readFileSync(secretsFile)), `config/profiles/${profile}.env`);
+      }
+      fill(settings, `config/profiles/${profile}.json`);
+    }
+    if (fs.existsSync('.env')) {
+      fill(dotenv.parse(fs.readFileSync('.env')), '.env');
+    }
+  } catch (error) {
+    // Runs before any main() could catch it
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
+  loaded = { profile, origins };
+  redactConsole(env);
+  return loaded;
+}
+
+export function activeProfile() {
+  return loaded?.profile || null;
+}
+
+export function describeSettings(env = process.env) {
+  return Object.entries(SETTINGS).map(([name, setting]) => ({
+    name,
+    group: setting.group,
+    value: env[name] === undefined || env[name] === '' ? null : redact(name, env[name]),
+    origin: loaded?.origins[name] || (env[name] !== undefined ? 'environment' : null)
+  }));
+}
+
+// Secrets never reach the terminal, whichever script logs them
+function redactConsole(env) {
+  for (const method of ['log', 'error', 'warn', 'info']) {
+    const original = console[method];
+    console[method] = (...args) => original(...args.map(arg => {
+      if (typeof arg === 'string') return redactSecrets(arg, env);
+      if (arg instanceof Error) return redactSecrets(arg.stack || arg.message, env);
+      return arg;
+    }));
+  }
+}
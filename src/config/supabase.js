@@ -0,0 +1,10 @@
+import { createClient } from '@supabase/supabase-js';
+import { requireSettings } from './settings.js';
+
+// Supabase REST client for the scripts that talk to the project API
+// directly; fails with a ConfigError instead of a TypeError inside
+// createClient when the project URL or key is missing
+export function createSupabaseClient(env = process.env) {
+  requireSettings(['supabase'], env);
+  return createClient(env.SUPABASE_PROJECT_URL, env.SUPABASE_SERVICE_ROLE_KEY);
+}
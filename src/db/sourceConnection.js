@@ -0,0 +1,27 @@
+import pkg from 'pg';
+import { requireSettings } from '../config/settings.js';
+
+const { Pool } = pkg;
+
+// Source connection for the migrators and exporters: the Evolution API
+// database, configured through DB_HOST / DB_PORT / DB_NAME / DB_USER / DB_PASSWORD
+
+export function getSourceConfig(env = process.env) {
+  requireSettings(['source'], env);
+
+  return {
+    user: env.DB_USER,
+    host: env.DB_HOST,
+    database: env.DB_NAME,
+    password: env.DB_PASSWORD,
+    port: env.DB_PORT ? parseInt(env.DB_PORT) : 5432
+  };
+}
+
+export function describeSource(config = getSourceConfig()) {
+  return `${config.host || 'localhost'}/${config.database || ''}`;
+}
+
+export function createSourcePool(config = getSourceConfig()) {
+  return new Pool(config);
+}
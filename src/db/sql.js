@@ -0,0 +1,9 @@
+// Identifier and literal quoting for SQL built from catalog names
+
+export function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+export function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
@@ -0,0 +1,209 @@
+// Runs SQL scripts over a direct pg connection. Scripts are split into
+// statements with a small lexer that understands quotes, comments and
+// dollar-quoted bodies, so semicolons inside functions, DO blocks and string
+// literals don't break statements apart. By default the whole script runs in
+// one transaction and stops at the first failure; every statement is
+// reported either way.
+
+const DOLLAR_TAG = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/;
+
+export function splitStatements(sql) {
+  const statements = [];
+  let start = 0;
+  let line = 1;
+  let startLine = null;
+  let i = 0;
+
+  const push = end => {
+    const text = sql.slice(start, end).trim();
+    if (startLine !== null && text && text !== ';') {
+      statements.push({ text, line: startLine });
+    }
+    startLine = null;
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (char === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+
+    // Comments don't start a statement
+    if (char === '-' && next === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      continue;
+    }
+    if (char === '/' && next === '*') {
+      let depth = 1;
+      i += 2;
+      while (i < sql.length && depth > 0) {
+        if (sql[i] === '\n') line++;
+        if (sql[i] === '/' && sql[i + 1] === '*') { depth++; i += 2; continue; }
+        if (sql[i] === '*' && sql[i + 1] === '/') { depth--; i += 2; continue; }
+        i++;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (startLine === null) {
+      if (char === '\\') {
+        const command = sql.slice(i, sql.indexOf('\n', i) === -1 ? sql.length : sql.indexOf('\n', i));
+        throw new Error(`psql meta-command on line ${line} (${command}) - run this file with psql instead`);
+      }
+      startLine = line;
+      start = i;
+    }
+
+    if (char === ';') {
+      push(i + 1);
+      start = i + 1;
+      i++;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      // E'...' strings allow backslash escapes
+      const backslashEscapes = char === "'" && /[eE]/.test(sql[i - 1] || '') && !/[A-Za-z0-9_]/.test(sql[i - 2] || '');
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === '\n') line++;
+        if (backslashEscapes && sql[i] === '\\') { i += 2; continue; }
+        if (sql[i] === char) {
+          if (sql[i + 1] === char) { i += 2; continue; }
+          break;
+        }
+        i++;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '$' && !/[A-Za-z0-9_]/.test(sql[i - 1] || '')) {
+      const tag = sql.slice(i).match(DOLLAR_TAG);
+      if (tag) {
+        const close = sql.indexOf(tag[0], i + tag[0].length);
+        if (close === -1) {
+          throw new Error(`Unterminated ${tag[0]} body starting on line ${line}`);
+        }
+        const end = close + tag[0].length;
+        line += (sql.slice(i, end).match(/\n/g) || []).length;
+        i = end;
+        continue;
+      }
+    }
+
+    i++;
+  }
+
+  push(sql.length);
+  return statements;
+}
+
+export function summarizeStatement(text, maxLength = 80) {
+  const summary = text.replace(/\s+/g, ' ');
+  return summary.length > maxLength ? `${summary.slice(0, maxLength - 3)}...` : summary;
+}
+
+function describeFailure(error) {
+  return {
+    message: error.message,
+    code: error.code || null,
+    detail: error.detail || null,
+    hint: error.hint || null,
+    position: error.position ? parseInt(error.position) : null
+  };
+}
+
+export async function runSql(pool, sql, { transaction = true } = {}) {
+  const statements = splitStatements(sql).map((statement, index) => ({
+    index: index + 1,
+    line: statement.line,
+    summary: summarizeStatement(statement.text),
+    text: statement.text,
+    status: 'pending'
+  }));
+
+  const client = await pool.connect();
+  let failed = null;
+
+  try {
+    if (transaction) await client.query('BEGIN');
+
+    for (const statement of statements) {
+      const started = Date.now();
+      try {
+        const result = await client.query(statement.text);
+        statement.status = 'ok';
+        statement.rowCount = result.rowCount ?? null;
+      } catch (error) {
+        statement.status = 'failed';
+        statement.error = describeFailure(error);
+        failed = statement;
+      }
+      statement.ms = Date.now() - started;
+      if (failed) break;
+    }
+
+    if (transaction) {
+      if (failed) {
+        await client.query('ROLLBACK');
+        for (const statement of statements.filter(s => s.status === 'ok')) {
+          statement.status = 'rolled back';
+        }
+      } else {
+        await client.query('COMMIT');
+      }
+    }
+
+    for (const statement of statements.filter(s => s.status === 'pending')) {
+      statement.status = 'skipped';
+    }
+
+  } catch (error) {
+    // BEGIN/COMMIT itself failed: the connection is unusable
+    if (transaction) await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return {
+    ok: !failed,
+    transaction,
+    total: statements.length,
+    executed: statements.filter(s => s.status === 'ok').length,
+    failed: failed ? { index: failed.index, line: failed.line, ...failed.error } : null,
+    statements: statements.map(({ text, ...statement }) => statement)
+  };
+}
+
+const STATUS_ICONS = { ok: '✅', failed: '❌', 'rolled back': '↩️', skipped: '⏭️' };
+
+export function printSqlReport(report, { verbose = false } = {}) {
+  for (const statement of report.statements) {
+    if (!verbose && statement.status !== 'failed') continue;
+    console.log(`  ${STATUS_ICONS[statement.status]} #${statement.index} (line ${statement.line}) ${statement.summary}`);
+    if (statement.error) {
+      console.log(`     ${statement.error.code ? `[${statement.error.code}] ` : ''}${statement.error.message}`);
+      if (statement.error.detail) console.log(`     Detail: ${statement.error.detail}`);
+      if (statement.error.hint) console.log(`     Hint: ${statement.error.hint}`);
+    }
+  }
+
+  if (report.ok) {
+    console.log(`✅ ${report.executed}/${report.total} statements executed${report.transaction ? ' and committed' : ''}`);
+  } else if (report.transaction) {
+    console.log(`❌ Statement #${report.failed.index} (line ${report.failed.line}) failed - transaction rolled back, nothing was applied`);
+  } else {
+    console.log(`❌ Statement #${report.failed.index} (line ${report.failed.line}) failed after ${report.executed}/${report.total} statements were applied`);
+  }
+}
@@ -0,0 +1,267 @@
+import fs from 'fs';
+import pkg from 'pg';
+import { createClient } from '@supabase/supabase-js';
+import { ConfigError, requireSettings } from '../config/settings.js';
+import { getColumns } from '../schema/ddl.js';
+
+const { Pool } = pkg;
+
+// Target connection for the migrators. Two transports share one interface:
+//   pg   - direct PostgreSQL (local container, Supabase direct host or pooler)
+//   rest - Supabase REST API via the service role key (data only, no DDL)
+
+const PG_MAX_PARAMS = 65535;
+
+export function getTargetConfig(env = process.env) {
+  requireSettings(['target'], env);
+
+  const connectionString = env.TARGET_DATABASE_URL || null;
+  const host = env.TARGET_DB_HOST || null;
+  const hasPg = Boolean(connectionString || host);
+
+  const transport = env.TARGET_TRANSPORT || (hasPg ? 'pg' : 'rest');
+
+  if (transport === 'pg' && !hasPg) {
+    throw new ConfigError(['pg transport requires TARGET_DATABASE_URL or TARGET_DB_HOST']);
+  }
+
+  if (transport === 'rest' && !env.TARGET_TRANSPORT && !env.SUPABASE_PROJECT_URL && !env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new ConfigError(['No target configured: set TARGET_DATABASE_URL or TARGET_DB_HOST (pg), or SUPABASE_PROJECT_URL and SUPABASE_SERVICE_ROLE_KEY (rest)']);
+  }
+  if (transport === 'rest') {
+    requireSettings(['supabase'], env);
+  }
+
+  return {
+    transport,
+    pg: {
+      connectionString,
+      host,
+      port: env.TARGET_DB_PORT ? parseInt(env.TARGET_DB_PORT) : 5432,
+      user: env.TARGET_DB_USER,
+      password: env.TARGET_DB_PASSWORD,
+      database: env.TARGET_DB_NAME,
+      sslMode: env.TARGET_DB_SSL || defaultSslMode(connectionString || host),
+      sslCaFile: env.TARGET_DB_SSL_CA || null,
+      max: env.TARGET_DB_POOL_SIZE ? parseInt(env.TARGET_DB_POOL_SIZE) : 5
+    },
+    rest: {
+      url: env.SUPABASE_PROJECT_URL,
+      serviceKey: env.SUPABASE_SERVICE_ROLE_KEY
+    }
+  };
+}
+
+// Supabase only accepts TLS; plain local containers usually don't offer it
+function defaultSslMode(hostOrUrl) {
+  return /supabase\.(co|com)/.test(hostOrUrl || '') ? 'require' : 'disable';
+}
+
+export function buildSslOptions({ sslMode, sslCaFile }) {
+  switch (sslMode) {
+    case 'disable':
+      return false;
+    case 'require':
+      // Encrypted, but the Supabase pooler certificate is not verified
+      return { rejectUnauthorized: false };
+    case 'verify-full':
+      return {
+        rejectUnauthorized: true,
+        ...(sslCaFile ? { ca: fs.readFileSync(sslCaFile, 'utf8') } : {})
+      };
+    default:
+      throw new Error(`Unknown TARGET_DB_SSL "${sslMode}" (expected disable, require or verify-full)`);
+  }
+}
+
+export function createTargetTransport(config = getTargetConfig()) {
+  return config.transport === 'pg'
+    ? new PgTargetTransport(config.pg)
+    : new RestTargetTransport(config.rest);
+}
+
+export class PgTargetTransport {
+  constructor(options) {
+    this.kind = 'pg';
+    this.supportsDDL = true;
+
+    const poolOptions = options.connectionString
+      ? { connectionString: options.connectionString }
+      : {
+        host: options.host,
+        port: options.port,
+        user: options.user,
+        password: options.password,
+        database: options.database
+      };
+
+    this.pool = new Pool({
+      ...poolOptions,
+      ssl: buildSslOptions(options),
+      max: options.max
+    });
+
+    this.columns = new Map();
+  }
+
+  describe() {
+    const { connectionString, host, port, database } = this.pool.options;
+    if (connectionString) {
+      // Never echo credentials embedded in the URL
+      const url = new URL(connectionString);
+      return `postgres://${url.host}${url.pathname}`;
+    }
+    return `postgres://${host || 'localhost'}:${port || 5432}/${database || ''}`;
+  }
+
+  async testConnection() {
+    const result = await this.pool.query('SELECT NOW(), current_database()');
+    return result.rows[0];
+  }
+
+  async query(sql, params) {
+    return this.pool.query(sql, params);
+  }
+
+  async count(tableName) {
+    const result = await this.pool.query(`SELECT COUNT(*) as count FROM "${tableName}"`);
+    return parseInt(result.rows[0].count);
+  }
+
+  // The target's own catalog: types, identity and generated columns
+  async getTargetColumns(tableName) {
+    if (!this.columns.has(tableName)) {
+      const columns = await getColumns(this.pool, tableName);
+      this.columns.set(tableName, new Map(columns.map(col => [col.name, col])));
+    }
+    return this.columns.get(tableName);
+  }
+
+  // node-pg sends JS arrays as Postgres arrays, which breaks JSON/JSONB
+  // columns holding JSON arrays, so those values are serialized explicitly
+  async serializeRow(tableName, columns, row) {
+    const targetColumns = await this.getTargetColumns(tableName);
+    return columns.map(col => {
+      const value = row[col];
+      const type = targetColumns.get(col)?.type;
+      if (value !== null && value !== undefined && (type === 'jsonb' || type === 'json')) {
+        return JSON.stringify(value);
+      }
+      return value;
+    });
+  }
+
+  async insertRows(tableName, rows) {
+    await this.writeRows(tableName, rows, () => 'ON CONFLICT DO NOTHING');
+  }
+
+  // Inserts new rows and overwrites existing ones matched on keyColumns
+  async upsertRows(tableName, rows, keyColumns) {
+    await this.writeRows(tableName, rows, (columns, targetColumns) => {
+      // Identity ALWAYS columns can only be set to DEFAULT by an UPDATE
+      const updates = columns
+        .filter(col => !keyColumns.includes(col) && targetColumns.get(col)?.identity !== 'a')
+        .map(col => `"${col}" = EXCLUDED."${col}"`);
+      const target = keyColumns.map(col => `"${col}"`).join(', ');
+      return updates.length > 0
+        ? `ON CONFLICT (${target}) DO UPDATE SET ${updates.join(', ')}`
+        : `ON CONFLICT (${target}) DO NOTHING`;
+    });
+  }
+
+  async writeRows(tableName, rows, conflictClause) {
+    if (rows.length === 0) return;
+
+    // Generated columns can't be inserted; identity ALWAYS columns need an override
+    const targetColumns = await this.getTargetColumns(tableName);
+    const columns = Object.keys(rows[0]).filter(col => targetColumns.get(col)?.generated !== 's');
+    const columnList = columns.map(col => `"${col}"`).join(', ');
+    const overriding = columns.some(col => targetColumns.get(col)?.identity === 'a') ? ' OVERRIDING SYSTEM VALUE' : '';
+    const rowsPerStatement = Math.max(1, Math.floor(PG_MAX_PARAMS / columns.length));
+
+    for (let start = 0; start < rows.length; start += rowsPerStatement) {
+      const chunk = rows.slice(start, start + rowsPerStatement);
+
+      // Build values placeholder
+      const valuePlaceholders = chunk.map((_, rowIndex) => {
+        const rowPlaceholders = columns.map((_, colIndex) =>
+          `$${rowIndex * columns.length + colIndex + 1}`
+        ).join(', ');
+        return `(${rowPlaceholders})`;
+      }).join(', ');
+
+      // Flatten all values
+      const values = [];
+      for (const row of chunk) {
+        values.push(...await this.serializeRow(tableName, columns, row));
+      }
+
+      await this.pool.query(`
+        INSERT INTO "${tableName}" (${columnList})${overriding}
+        VALUES ${valuePlaceholders}
+        ${conflictClause(columns, targetColumns)}
+      `, values);
+    }
+  }
+
+  async end() {
+    await this.pool.end();
+  }
+}
+
+export class RestTargetTransport {
+  constructor({ url, serviceKey }) {
+    this.kind = 'rest';
+    this.supportsDDL = false;
+    this.url = url;
+    this.supabase = createClient(url, serviceKey);
+  }
+
+  describe() {
+    return this.url;
+  }
+
+  async testConnection() {
+    const { error } = await this.supabase.from('Instance').select('count').limit(1);
+    if (error && !error.message.includes('does not exist')) {
+      throw error;
+    }
+    return { now: new Date(), current_database: this.url };
+  }
+
+  async query() {
+    throw new Error('Raw SQL needs the pg transport (set TARGET_DATABASE_URL or TARGET_DB_HOST)');
+  }
+
+  async count(tableName) {
+    const { count, error } = await this.supabase
+      .from(tableName)
+      .select('*', { count: 'exact', head: true });
+
+    if (error) throw new Error(error.message);
+    return count || 0;
+  }
+
+  async insertRows(tableName, rows) {
+    if (rows.length === 0) return;
+
+    const { error } = await this.supabase
+      .from(tableName)
+      .upsert(rows, { ignoreDuplicates: true });
+
+    // Keep the Postgres error code for dead-letter entries
+    if (error) throw Object.assign(new Error(error.message), { code: error.code });
+  }
+
+  async upsertRows(tableName, rows, keyColumns) {
+    if (rows.length === 0) return;
+
+    const { error } = await this.supabase
+      .from(tableName)
+      .upsert(rows, { onConflict: keyColumns.join(','), ignoreDuplicates: false });
+
+    if (error) throw Object.assign(new Error(error.message), { code: error.code });
+  }
+
+  async end() {}
+}
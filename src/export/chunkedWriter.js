@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Writes a stream of text records across numbered chunk files
+// (`<base>_0001<ext>`, `<base>_0002<ext>`, ...), rolling over once a file
+// reaches maxRows or maxBytes. Honours stream backpressure so memory stays
+// bounded regardless of table size. Each finished chunk is described by
+// { file, rows, bytes, sha256 } for the export manifest.
+
+export class ChunkedFileWriter {
+  constructor({ dir, baseName, extension, header = '', footer = '', maxRows = 50000, maxBytes = 64 * 1024 * 1024 }) {
+    this.dir = dir;
+    this.baseName = baseName;
+    this.extension = extension;
+    this.header = header;
+    this.footer = footer;
+    this.maxRows = maxRows;
+    this.maxBytes = maxBytes;
+
+    this.chunks = [];
+    this.current = null;
+  }
+
+  async open() {
+    const file = `${this.baseName}_${String(this.chunks.length + 1).padStart(4, '0')}${this.extension}`;
+    this.current = {
+      file,
+      rows: 0,
+      bytes: 0,
+      hash: crypto.createHash('sha256'),
+      stream: fs.createWriteStream(path.join(this.dir, file))
+    };
+    await this.write(typeof this.header === 'function' ? this.header(this.chunks.length + 1) : this.header);
+  }
+
+  async write(text) {
+    if (!text) return;
+    const { stream, hash } = this.current;
+    hash.update(text);
+    this.current.bytes += Buffer.byteLength(text);
+    if (!stream.write(text)) {
+      await new Promise((resolve, reject) => {
+        stream.once('drain', resolve);
+        stream.once('error', reject);
+      });
+    }
+  }
+
+  // Returns true when this record started a new chunk file
+  async writeRecord(text) {
+    let started = false;
+    if (this.current && (this.current.rows >= this.maxRows || this.current.bytes >= this.maxBytes)) {
+      await this.close();
+    }
+    if (!this.current) {
+      await this.open();
+      started = true;
+    }
+    await this.write(text);
+    this.current.rows++;
+    return started;
+  }
+
+  async close() {
+    if (!this.current) return;
+    await this.write(this.footer);
+
+    const { file, rows, bytes, hash, stream } = this.current;
+    await new Promise((resolve, reject) => {
+      stream.once('error', reject);
+      stream.end(resolve);
+    });
+
+    this.chunks.push({ file, rows, bytes, sha256: hash.digest('hex') });
+    this.current = null;
+  }
+
+  get fileCount() {
+    return this.chunks.length + (this.current ? 1 : 0);
+  }
+}
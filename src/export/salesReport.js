@@ -0,0 +1,151 @@
+import { quoteLiteral } from '../db/sql.js';
+
+// The SalesAnalysisReport export formats (formerly the export_sales_data.sh
+// menu). The CSV variants are produced by Postgres itself with COPY ... TO
+// STDOUT, so quoting and JSONB text match what psql's \COPY wrote.
+
+const JSONB_LISTS = [
+  'specific_products',
+  'product_models',
+  'additional_agents',
+  'customer_objections',
+  'accessories_discussed',
+  'color_preferences',
+  'competitive_products',
+  'upsell_opportunities',
+  'pain_points_identified'
+];
+
+const REPORT_COLUMNS = [
+  '"remoteJid"', 'analysis_time', 'product_category', 'product_subcategory', 'specific_products', 'product_models',
+  'quantity_mentioned', 'primary_sales_agent', 'additional_agents', 'agent_handoff_detected',
+  'lead_stage', 'next_action_required', 'sales_status', 'customer_objections', 'urgency_level',
+  'customer_name', 'customer_location', 'budget_range', 'purchase_timeline', 'decision_maker_status',
+  'product_specifications', 'accessories_discussed', 'warranty_service_needs', 'color_preferences',
+  'lead_source', 'competitive_products', 'upsell_opportunities', 'customer_sentiment',
+  'pain_points_identified', 'pricing_discussed', 'demo_scheduled', 'follow_up_required',
+  'total_messages', 'conversation_duration_days', 'last_customer_message_time',
+  'analysis_confidence', 'ai_provider', 'ai_model_used', 'processing_time_ms', 'taxonomy_version'
+];
+
+const joinList = (column, separator) =>
+  `array_to_string(ARRAY(SELECT jsonb_array_elements_text(${column})), '${separator}')`;
+
+const yesNo = column => `CASE WHEN ${column} THEN 'Yes' ELSE 'No' END`;
+
+export const REPORT_FORMATS = {
+  // INSERT statements, like pg_dump --data-only --inserts
+  sql: { extension: '.sql', suffix: '' },
+
+  // One JSON array with every column
+  json: { extension: '.json', suffix: '' },
+
+  // JSONB columns as JSON text
+  csv: {
+    extension: '.csv',
+    suffix: '',
+    select: REPORT_COLUMNS.map(column => JSONB_LISTS.includes(column) || column === 'product_specifications'
+      ? `${column}::text AS ${column}_json`
+      : column)
+  },
+
+  // JSONB lists joined with "; "
+  'csv-expanded': {
+    extension: '.csv',
+    suffix: '_expanded',
+    select: REPORT_COLUMNS.map(column => {
+      if (column === 'pain_points_identified') return `${joinList(column, '; ')} AS pain_points`;
+      if (JSONB_LISTS.includes(column)) return `${joinList(column, '; ')} AS ${column}`;
+      if (column === 'product_specifications') return `${column}::text AS ${column}`;
+      return column;
+    })
+  },
+
+  // Fewer, friendlier columns; conversations without a product are left out
+  'excel-csv': {
+    extension: '.csv',
+    suffix: '_excel',
+    excludeFallback: true,
+    select: [
+      '"remoteJid" AS whatsapp_number',
+      'analysis_time::date AS date_analyzed',
+      'product_category',
+      'product_subcategory',
+      'COALESCE(jsonb_array_length(specific_products), 0) AS products_discussed_count',
+      `${joinList('specific_products', ', ')} AS products_list`,
+      'quantity_mentioned AS quantity',
+      'primary_sales_agent AS agent',
+      'lead_stage',
+      'urgency_level',
+      `${yesNo('follow_up_required')} AS needs_followup`,
+      'customer_name',
+      'customer_location',
+      'budget_range',
+      'purchase_timeline',
+      'customer_sentiment',
+      `${yesNo('pricing_discussed')} AS price_discussed`,
+      `${yesNo('demo_scheduled')} AS demo_scheduled`,
+      'total_messages',
+      'conversation_duration_days AS days_active',
+      'ROUND(analysis_confidence * 100)::integer AS confidence_percent'
+    ]
+  },
+
+  // Workbook with Summary, Leads and one sheet per list (src/export/salesWorkbook.js)
+  xlsx: { extension: '.xlsx', suffix: '' }
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// COPY takes no bind parameters, so filter values are validated and inlined.
+// fallbackCategory is the taxonomy's "no product" category.
+export function buildReportFilter({ from = null, to = null, categories = null, format = null, fallbackCategory = null } = {}) {
+  const conditions = [];
+
+  for (const [flag, value] of [['--from', from], ['--to', to]]) {
+    if (value && (!DATE.test(value) || isNaN(Date.parse(value)))) {
+      throw new Error(`${flag} must be a date (YYYY-MM-DD), got "${value}"`);
+    }
+  }
+  if (from) conditions.push(`analysis_time >= ${quoteLiteral(from)}::date`);
+  // --to is inclusive: the whole day counts
+  if (to) conditions.push(`analysis_time < ${quoteLiteral(to)}::date + 1`);
+  if (categories && categories.length > 0) {
+    conditions.push(`product_category IN (${categories.map(quoteLiteral).join(', ')})`);
+  }
+  if (format && REPORT_FORMATS[format].excludeFallback && fallbackCategory) {
+    conditions.push(`product_category != ${quoteLiteral(fallbackCategory)}`);
+  }
+
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+export function reportQuery(format, filter) {
+  const { select } = REPORT_FORMATS[format];
+  return `
+    SELECT ${select ? select.join(',\n      ') : '*'}
+    FROM "SalesAnalysisReport"
+    ${filter}
+    ORDER BY analysis_time DESC, "remoteJid"
+  `;
+}
+
+// Totals printed after every export (the old script's "Export Statistics")
+export function summaryQuery(filter, fallbackCategory) {
+  return `
+    SELECT
+      COUNT(*)::integer AS total,
+      MIN(analysis_time)::date::text AS first_date,
+      MAX(analysis_time)::date::text AS last_date,
+      (
+        SELECT product_category || ' (' || COUNT(*) || ' records)'
+        FROM "SalesAnalysisReport"
+        ${filter ? `${filter} AND` : 'WHERE'} product_category != ${quoteLiteral(fallbackCategory)}
+        GROUP BY product_category
+        ORDER BY COUNT(*) DESC
+        LIMIT 1
+      ) AS top_category
+    FROM "SalesAnalysisReport"
+    ${filter}
+  `;
+}
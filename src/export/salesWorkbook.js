@@ -0,0 +1,201 @@
+import Cursor from 'pg-cursor';
+import ExcelJS from 'exceljs';
+
+// The sales intelligence workbook: a Summary sheet with the totals and the
+// category / urgency breakdowns of the console report, a Leads sheet with one
+// typed row per conversation, and one sheet per JSONB list keyed by
+// remoteJid. Sheets are written one after another through ExcelJS' streaming
+// writer, each from its own cursor, so only one batch of rows is in memory.
+
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+const PERCENT_FORMAT = '0%';
+
+export const LEAD_COLUMNS = [
+  { header: 'WhatsApp', key: 'remoteJid', width: 24 },
+  { header: 'Customer', key: 'customer_name', width: 24 },
+  { header: 'Analysed', key: 'analysis_time', width: 17, type: 'date' },
+  { header: 'Category', key: 'product_category', width: 22 },
+  { header: 'Subcategory', key: 'product_subcategory', width: 20 },
+  { header: 'Lead Stage', key: 'lead_stage', width: 16 },
+  { header: 'Sales Status', key: 'sales_status', width: 20 },
+  { header: 'Urgency', key: 'urgency_level', width: 10 },
+  { header: 'Agent', key: 'primary_sales_agent', width: 20 },
+  { header: 'Agent Handoff', key: 'agent_handoff_detected', width: 14, type: 'boolean' },
+  { header: 'Quantity', key: 'quantity_mentioned', width: 10, type: 'integer' },
+  { header: 'Location', key: 'customer_location', width: 20 },
+  { header: 'Budget', key: 'budget_range', width: 18 },
+  { header: 'Timeline', key: 'purchase_timeline', width: 18 },
+  { header: 'Decision Maker', key: 'decision_maker_status', width: 18 },
+  { header: 'Next Action', key: 'next_action_required', width: 40 },
+  { header: 'Sentiment', key: 'customer_sentiment', width: 12 },
+  { header: 'Lead Source', key: 'lead_source', width: 16 },
+  { header: 'Warranty / Service', key: 'warranty_service_needs', width: 24 },
+  { header: 'Price Discussed', key: 'pricing_discussed', width: 15, type: 'boolean' },
+  { header: 'Demo Scheduled', key: 'demo_scheduled', width: 15, type: 'boolean' },
+  { header: 'Follow-up', key: 'follow_up_required', width: 11, type: 'boolean' },
+  { header: 'Messages', key: 'total_messages', width: 10, type: 'integer' },
+  { header: 'Days Active', key: 'conversation_duration_days', width: 12, type: 'integer' },
+  { header: 'Last Customer Message', key: 'last_customer_message_time', width: 21, type: 'date' },
+  { header: 'Confidence', key: 'analysis_confidence', width: 11, type: 'percent' },
+  { header: 'Provider', key: 'ai_provider', width: 16 },
+  { header: 'Model', key: 'ai_model_used', width: 20 },
+  { header: 'Taxonomy', key: 'taxonomy_version', width: 11 }
+];
+
+export const LIST_SHEETS = [
+  { column: 'specific_products', name: 'Specific Products', header: 'Product' },
+  { column: 'customer_objections', name: 'Customer Objections', header: 'Objection' },
+  { column: 'upsell_opportunities', name: 'Upsell Opportunities', header: 'Opportunity' }
+];
+
+const NUMBER_FORMATS = { date: DATE_FORMAT, percent: PERCENT_FORMAT, integer: '0' };
+
+function cellValue(value, type) {
+  if (value === null || value === undefined) return null;
+  switch (type) {
+    case 'date':
+      return value instanceof Date ? value : new Date(value);
+    case 'integer':
+      return Number(value);
+    // DECIMAL arrives as a string
+    case 'percent':
+      return parseFloat(value);
+    case 'boolean':
+      return Boolean(value);
+    default:
+      return String(value);
+  }
+}
+
+function addTableSheet(workbook, name, columns) {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width,
+    style: NUMBER_FORMATS[column.type] ? { numFmt: NUMBER_FORMATS[column.type] } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  return sheet;
+}
+
+async function streamRows(client, sql, batchSize, onRows) {
+  const cursor = client.query(new Cursor(sql));
+  let rows = 0;
+  try {
+    while (true) {
+      const batch = await cursor.read(batchSize);
+      if (batch.length === 0) break;
+      onRows(batch);
+      rows += batch.length;
+    }
+  } finally {
+    await cursor.close();
+  }
+  return rows;
+}
+
+// Header row plus every data row; the filter range is only known at the end
+function finishTableSheet(sheet, rows, columnCount) {
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: rows + 1, column: columnCount } };
+  sheet.commit();
+}
+
+async function writeSummarySheet(workbook, client, filter, filters) {
+  const totals = (await client.query(`
+    SELECT
+      COUNT(*)::integer AS total,
+      COUNT(*) FILTER (WHERE lower(urgency_level) = 'high')::integer AS high_urgency,
+      AVG(analysis_confidence)::float AS average_confidence
+    FROM "SalesAnalysisReport"
+    ${filter}
+  `)).rows[0];
+
+  const breakdown = async column => (await client.query(`
+    SELECT COALESCE(${column}, '(not set)') AS label, COUNT(*)::integer AS count
+    FROM "SalesAnalysisReport"
+    ${filter}
+    GROUP BY 1
+    ORDER BY 2 DESC, 1
+  `)).rows;
+
+  const sheet = workbook.addWorksheet('Summary');
+  sheet.columns = [{ width: 32 }, { width: 16 }, { width: 10 }];
+
+  const title = sheet.addRow(['Sales Intelligence Summary']);
+  title.font = { bold: true, size: 14 };
+  sheet.addRow(['Generated', new Date()]).getCell(2).numFmt = DATE_FORMAT;
+  const scope = [
+    filters.from && `from ${filters.from}`,
+    filters.to && `to ${filters.to}`,
+    filters.categories?.length > 0 && `categories ${filters.categories.join(', ')}`
+  ].filter(Boolean);
+  sheet.addRow(['Filters', scope.length > 0 ? scope.join(', ') : 'none']);
+  sheet.addRow([]);
+
+  sheet.addRow(['Total Conversations Analyzed', totals.total]);
+  sheet.addRow(['High Urgency Leads', totals.high_urgency]);
+  const confidence = sheet.addRow(['Average AI Confidence', totals.average_confidence]);
+  confidence.getCell(2).numFmt = PERCENT_FORMAT;
+
+  for (const [heading, column] of [['Product Category', 'product_category'], ['Urgency', 'urgency_level']]) {
+    sheet.addRow([]);
+    const header = sheet.addRow([heading, 'Conversations', 'Share']);
+    header.font = { bold: true };
+    for (const { label, count } of await breakdown(column)) {
+      const row = sheet.addRow([label, count, totals.total > 0 ? count / totals.total : 0]);
+      row.getCell(3).numFmt = '0.0%';
+    }
+  }
+
+  sheet.commit();
+  return totals.total;
+}
+
+export async function writeSalesWorkbook(client, file, { filter = '', filters = {}, batchSize = 500 } = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: file, useStyles: true });
+  workbook.creator = 'WhatsApp Sales Intelligence';
+
+  await writeSummarySheet(workbook, client, filter, filters);
+
+  const leads = addTableSheet(workbook, 'Leads', LEAD_COLUMNS);
+  const leadRows = await streamRows(client, `
+    SELECT ${LEAD_COLUMNS.map(column => `"${column.key}"`).join(', ')}
+    FROM "SalesAnalysisReport"
+    ${filter}
+    ORDER BY analysis_time DESC, "remoteJid"
+  `, batchSize, rows => {
+    for (const row of rows) {
+      leads.addRow(LEAD_COLUMNS.map(column => cellValue(row[column.key], column.type))).commit();
+    }
+  });
+  finishTableSheet(leads, leadRows, LEAD_COLUMNS.length);
+
+  // Non-array values (null, or an object from an older analysis) yield no rows
+  for (const list of LIST_SHEETS) {
+    const columns = [
+      { header: 'WhatsApp', key: 'remoteJid', width: 24 },
+      { header: 'Customer', key: 'customer_name', width: 24 },
+      { header: '#', key: 'position', width: 5, type: 'integer' },
+      { header: list.header, key: 'item', width: 48 }
+    ];
+    const sheet = addTableSheet(workbook, list.name, columns);
+    const rows = await streamRows(client, `
+      SELECT r."remoteJid", r.customer_name, entry.position, entry.item
+      FROM "SalesAnalysisReport" r
+      CROSS JOIN LATERAL jsonb_array_elements_text(
+        CASE WHEN jsonb_typeof(r.${list.column}) = 'array' THEN r.${list.column} ELSE '[]'::jsonb END
+      ) WITH ORDINALITY AS entry(item, position)
+      ${filter}
+      ORDER BY r.analysis_time DESC, r."remoteJid", entry.position
+    `, batchSize, batch => {
+      for (const row of batch) {
+        sheet.addRow(columns.map(column => cellValue(row[column.key], column.type))).commit();
+      }
+    });
+    finishTableSheet(sheet, rows, columns.length);
+  }
+
+  await workbook.commit();
+  return leadRows;
+}
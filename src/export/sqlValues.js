@@ -0,0 +1,26 @@
+import { quoteIdent, quoteLiteral } from '../db/sql.js';
+
+// Renders source values as SQL literals. Values are read as ::text from the
+// source, so every type (timestamps without time zone, numerics, arrays,
+// bytea, enums, json) round-trips exactly through Postgres' own text format
+// instead of being re-encoded by JavaScript.
+
+const UNQUOTED_TYPES = /^(smallint|integer|bigint|real|double precision|numeric(\(.*\))?)$/;
+const PLAIN_TEXT_TYPES = /^(text|character varying(\(\d+\))?)$/;
+
+export function selectAsText(columns) {
+  return columns.map(col => `${quoteIdent(col.name)}::text AS ${quoteIdent(col.name)}`).join(', ');
+}
+
+export function renderLiteral(value, type) {
+  if (value === null || value === undefined) return 'NULL';
+
+  if (type === 'boolean') return value === 't' || value === 'true' ? 'TRUE' : 'FALSE';
+
+  // NaN and Infinity need quoting even for numeric types
+  if (UNQUOTED_TYPES.test(type) && /^-?[\d.]+(e[+-]?\d+)?$/i.test(value)) return value;
+
+  if (PLAIN_TEXT_TYPES.test(type)) return quoteLiteral(value);
+
+  return `${quoteLiteral(value)}::${type}`;
+}
@@ -0,0 +1,78 @@
+// Catalog helpers shared by the migrators
+
+// Read-only check, for commands that must not create their state tables
+export async function tableExists(pool, tableName) {
+  const result = await pool.query("SELECT to_regclass(format('public.%I', $1::text)) IS NOT NULL AS exists", [tableName]);
+  return result.rows[0].exists;
+}
+
+export async function getPrimaryKey(pool, tableName) {
+  const result = await pool.query(`
+    SELECT a.attname AS column_name
+    FROM pg_index i
+    JOIN pg_class c ON c.oid = i.indrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    JOIN LATERAL unnest(i.indkey) WITH ORDINALITY AS k(attnum, position) ON true
+    JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = k.attnum
+    WHERE n.nspname = 'public'
+    AND c.relname = $1
+    AND i.indisprimary
+    ORDER BY k.position
+  `, [tableName]);
+
+  return result.rows.map(row => row.column_name);
+}
+
+export async function getForeignKeys(pool) {
+  const result = await pool.query(`
+    SELECT
+      tc.constraint_name,
+      tc.table_name AS child_table,
+      ptc.table_name AS parent_table,
+      pg_get_constraintdef(c.oid) AS definition
+    FROM information_schema.table_constraints tc
+    JOIN information_schema.referential_constraints rc
+      ON rc.constraint_schema = tc.table_schema
+      AND rc.constraint_name = tc.constraint_name
+    JOIN information_schema.table_constraints ptc
+      ON ptc.constraint_schema = rc.unique_constraint_schema
+      AND ptc.constraint_name = rc.unique_constraint_name
+    JOIN pg_constraint c
+      ON c.conname = tc.constraint_name
+      AND c.conrelid = format('%I.%I', tc.table_schema, tc.table_name)::regclass
+    WHERE tc.table_schema = 'public'
+    AND tc.constraint_type = 'FOREIGN KEY'
+    ORDER BY tc.table_name, tc.constraint_name
+  `);
+
+  return result.rows.map(row => ({
+    name: row.constraint_name,
+    table: row.child_table,
+    references: row.parent_table,
+    definition: row.definition
+  }));
+}
+
+// Non-partial unique constraints and indexes on plain columns, each as its
+// column list (the primary key is not included)
+export async function getUniqueKeys(pool, tableName) {
+  const result = await pool.query(`
+    SELECT ic.relname AS index_name, array_agg(a.attname::text ORDER BY k.position) AS columns
+    FROM pg_index i
+    JOIN pg_class c ON c.oid = i.indrelid
+    JOIN pg_class ic ON ic.oid = i.indexrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    JOIN LATERAL unnest(i.indkey) WITH ORDINALITY AS k(attnum, position) ON true
+    JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = k.attnum
+    WHERE n.nspname = 'public'
+    AND c.relname = $1
+    AND i.indisunique
+    AND NOT i.indisprimary
+    AND i.indpred IS NULL
+    AND NOT (0 = ANY(i.indkey))
+    GROUP BY ic.relname
+    ORDER BY ic.relname
+  `, [tableName]);
+
+  return result.rows.map(row => ({ name: row.index_name, columns: row.columns }));
+}
@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+
+// Records the last primary key committed per table so an interrupted
+// migration can pick up where it stopped instead of starting at row 0.
+// State lives in a local JSON file by default, or in a `_migration_state`
+// table when a pg pool is supplied.
+
+export const DEFAULT_STATE_FILE = './.migration_state.json';
+
+export class CheckpointStore {
+  constructor({ scope, file = DEFAULT_STATE_FILE, pool = null }) {
+    this.scope = scope;
+    this.file = file;
+    this.pool = pool;
+    this.state = null;
+  }
+
+  async load() {
+    if (this.pool) {
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS "_migration_state" (
+          "scope" TEXT NOT NULL,
+          "table_name" TEXT NOT NULL,
+          "last_key" JSONB,
+          "rows_committed" BIGINT NOT NULL DEFAULT 0,
+          "completed" BOOLEAN NOT NULL DEFAULT FALSE,
+          "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          PRIMARY KEY ("scope", "table_name")
+        )
+      `);
+
+      const result = await this.pool.query(
+        'SELECT * FROM "_migration_state" WHERE "scope" = $1',
+        [this.scope]
+      );
+
+      this.state = {};
+      for (const row of result.rows) {
+        this.state[row.table_name] = {
+          lastKey: row.last_key,
+          rowsCommitted: Number(row.rows_committed),
+          completed: row.completed,
+          updatedAt: row.updated_at
+        };
+      }
+      return this.state;
+    }
+
+    try {
+      const content = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      this.state = content[this.scope] || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.state = {};
+    }
+    return this.state;
+  }
+
+  async get(tableName) {
+    if (!this.state) await this.load();
+    return this.state[tableName] || null;
+  }
+
+  async save(tableName, checkpoint) {
+    if (!this.state) await this.load();
+
+    const entry = {
+      ...this.state[tableName],
+      ...checkpoint,
+      updatedAt: new Date().toISOString()
+    };
+    this.state[tableName] = entry;
+
+    if (this.pool) {
+      await this.pool.query(`
+        INSERT INTO "_migration_state" ("scope", "table_name", "last_key", "rows_committed", "completed", "updated_at")
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        ON CONFLICT ("scope", "table_name") DO UPDATE SET
+          "last_key" = EXCLUDED."last_key",
+          "rows_committed" = EXCLUDED."rows_committed",
+          "completed" = EXCLUDED."completed",
+          "updated_at" = NOW()
+      `, [
+        this.scope,
+        tableName,
+        JSON.stringify(entry.lastKey ?? null),
+        entry.rowsCommitted || 0,
+        entry.completed || false
+      ]);
+      return entry;
+    }
+
+    await this.writeFile();
+    return entry;
+  }
+
+  async clear(tableName) {
+    if (!this.state) await this.load();
+    delete this.state[tableName];
+
+    if (this.pool) {
+      await this.pool.query(
+        'DELETE FROM "_migration_state" WHERE "scope" = $1 AND "table_name" = $2',
+        [this.scope, tableName]
+      );
+      return;
+    }
+
+    await this.writeFile();
+  }
+
+  async writeFile() {
+    let content = {};
+    try {
+      content = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    content[this.scope] = this.state;
+
+    // Write-then-rename so a crash mid-write never leaves a truncated file
+    const tmpFile = `${this.file}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(content, null, 2));
+    await fs.rename(tmpFile, this.file);
+  }
+}
@@ -0,0 +1,72 @@
+// What to do when a migrated row already exists on the target:
+//   skip               - keep the target row (ON CONFLICT DO NOTHING)
+//   overwrite          - replace it with the source row
+//   overwrite-if-newer - replace it only when the source row's change-tracking
+//                        column (see deltaSync.js) is later
+
+import { getPrimaryKey, getUniqueKeys } from './catalog.js';
+
+export const CONFLICT_POLICIES = ['skip', 'overwrite', 'overwrite-if-newer'];
+
+// "--conflict=overwrite,SalesAnalysisReport:overwrite-if-newer" sets the
+// default to overwrite and one table to overwrite-if-newer
+export function parseConflictPolicies(spec, defaultPolicy = 'skip') {
+  const policies = { default: defaultPolicy, tables: {} };
+
+  for (const entry of (spec || '').split(',').filter(Boolean)) {
+    const separator = entry.lastIndexOf(':');
+    const table = separator === -1 ? null : entry.slice(0, separator);
+    const policy = separator === -1 ? entry : entry.slice(separator + 1);
+
+    if (!CONFLICT_POLICIES.includes(policy)) {
+      throw new Error(`Unknown conflict policy "${policy}" (expected ${CONFLICT_POLICIES.join(', ')})`);
+    }
+
+    if (table) {
+      policies.tables[table] = policy;
+    } else {
+      policies.default = policy;
+    }
+  }
+
+  return policies;
+}
+
+export function policyFor(policies, tableName) {
+  return policies.tables[tableName] || policies.default;
+}
+
+// The primary key when there is one, otherwise the first unique key
+export async function getConflictTarget(pool, tableName) {
+  const primaryKey = await getPrimaryKey(pool, tableName);
+  if (primaryKey.length > 0) {
+    return { columns: primaryKey, source: 'primary key' };
+  }
+
+  const [uniqueKey] = await getUniqueKeys(pool, tableName);
+  return uniqueKey ? { columns: uniqueKey.columns, source: `unique ${uniqueKey.name}` } : null;
+}
+
+function compareValue(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && isNaN(Number(value))) return new Date(value).getTime();
+  return Number(value);
+}
+
+// Keeps rows that are new, or newer than the target's copy. `existing` are
+// target rows holding the key columns and `column`; a target row with no
+// value is always overwritten.
+export function keepNewer(rows, existing, keyColumns, column) {
+  const keyText = row => JSON.stringify(keyColumns.map(col => String(row[col])));
+  const targetValues = new Map(existing.map(row => [keyText(row), row[column]]));
+
+  return rows.filter(row => {
+    const key = keyText(row);
+    if (!targetValues.has(key)) return true;
+
+    const targetValue = targetValues.get(key);
+    if (targetValue === null || targetValue === undefined) return true;
+    if (row[column] === null || row[column] === undefined) return false;
+    return compareValue(row[column]) > compareValue(targetValue);
+  });
+}
@@ -0,0 +1,114 @@
+import { pipeline } from 'stream/promises';
+import copyStreams from 'pg-copy-streams';
+import { quoteIdent, quoteLiteral } from '../db/sql.js';
+import { getColumns } from '../schema/ddl.js';
+
+const { to: copyTo, from: copyFrom } = copyStreams;
+
+// Bulk transfer for --mode=copy. The source's `COPY ... TO STDOUT (FORMAT
+// binary)` is piped straight into `COPY ... FROM STDIN` on the target, so
+// rows never pass through JavaScript. Rows land in a temporary staging
+// table first and are merged with ON CONFLICT DO NOTHING (or DO UPDATE with
+// `overwrite`, limited to rows newer by `newerColumn` when given), which
+// keeps the transfer idempotent when the target already holds some of them.
+// The whole table commits or rolls back as one transaction; callers fall
+// back to the batched INSERT path when it fails (type drift, constraint
+// violations).
+
+const STAGE_TABLE = '_copy_stage';
+
+function keysetWhere(keyColumns, after) {
+  if (!after || keyColumns.length === 0) return '';
+  const keys = keyColumns.map(quoteIdent).join(', ');
+  const values = after.map(value => quoteLiteral(value instanceof Date ? value.toISOString() : value)).join(', ');
+  return ` WHERE (${keys}) > (${values})`;
+}
+
+function conflictClause(tableName, conflictColumns, columns, overwrite, newerColumn) {
+  if (!overwrite) return 'ON CONFLICT DO NOTHING';
+  if (conflictColumns.length === 0) throw new Error('overwrite needs a primary or unique key');
+
+  // Identity ALWAYS columns can only be set to DEFAULT by an UPDATE
+  const updates = columns
+    .filter(col => !conflictColumns.includes(col.name) && col.identity !== 'a')
+    .map(col => `${quoteIdent(col.name)} = EXCLUDED.${quoteIdent(col.name)}`);
+  const target = conflictColumns.map(quoteIdent).join(', ');
+  if (updates.length === 0) return `ON CONFLICT (${target}) DO NOTHING`;
+
+  const clause = `ON CONFLICT (${target}) DO UPDATE SET ${updates.join(', ')}`;
+
+  // overwrite-if-newer: only replace rows the source changed more recently
+  if (!newerColumn) return clause;
+  const current = `${quoteIdent(tableName)}.${quoteIdent(newerColumn)}`;
+  return `${clause} WHERE ${current} IS NULL OR ${current} < EXCLUDED.${quoteIdent(newerColumn)}`;
+}
+
+export async function copyTable({
+  sourcePool,
+  targetPool,
+  tableName,
+  keyColumns = [],
+  after = null,
+  overwrite = false,
+  conflictColumns = keyColumns,
+  newerColumn = null
+}) {
+  // Binary format requires matching column order and types on both sides.
+  // Generated columns can't be inserted; identity ALWAYS columns need an override.
+  const sourceColumns = (await getColumns(sourcePool, tableName)).filter(col => col.generated !== 's');
+  const columns = sourceColumns.map(col => quoteIdent(col.name)).join(', ');
+  const overriding = sourceColumns.some(col => col.identity === 'a') ? ' OVERRIDING SYSTEM VALUE' : '';
+
+  const source = await sourcePool.connect();
+  const target = await targetPool.connect();
+  const started = Date.now();
+  let failure = null;
+
+  try {
+    await target.query('BEGIN');
+    await target.query(
+      `CREATE TEMP TABLE ${quoteIdent(STAGE_TABLE)} (LIKE ${quoteIdent(tableName)} INCLUDING DEFAULTS) ON COMMIT DROP`
+    );
+
+    const sourceStream = source.query(copyTo(
+      `COPY (SELECT ${columns} FROM ${quoteIdent(tableName)}${keysetWhere(keyColumns, after)}) TO STDOUT (FORMAT binary)`
+    ));
+    const targetStream = target.query(copyFrom(
+      `COPY ${quoteIdent(STAGE_TABLE)} (${columns}) FROM STDIN (FORMAT binary)`
+    ));
+
+    await pipeline(sourceStream, targetStream);
+
+    const merged = await target.query(`
+      INSERT INTO ${quoteIdent(tableName)} (${columns})${overriding}
+      SELECT ${columns} FROM ${quoteIdent(STAGE_TABLE)}
+      ${conflictClause(tableName, conflictColumns, sourceColumns, overwrite, newerColumn)}
+    `);
+
+    await target.query('COMMIT');
+
+    const seconds = Math.max((Date.now() - started) / 1000, 0.001);
+    const copied = Number(targetStream.rowCount);
+
+    return {
+      copied,
+      inserted: merged.rowCount,
+      skipped: copied - merged.rowCount,
+      seconds,
+      rowsPerSecond: Math.round(copied / seconds)
+    };
+
+  } catch (error) {
+    failure = error;
+    await target.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    // A connection that failed mid-COPY is in an unknown protocol state
+    source.release(failure || undefined);
+    target.release(failure || undefined);
+  }
+}
+
+export function formatRate(rows, seconds) {
+  return `${Math.round(rows / Math.max(seconds, 0.001)).toLocaleString()} rows/s`;
+}
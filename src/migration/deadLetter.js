@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Keeps rows the target rejected so they can be replayed once the cause is
+// fixed (e.g. after applying fix_message_constraints.sql). Entries go to one
+// JSONL file per table under ./migration_failures by default, or to a
+// `_migration_failures` table when a pg pool is supplied. Each entry keeps how
+// the row was written (plain insert, or upsert on its conflict columns) so a
+// replay overwrites the target row again instead of skipping it.
+
+export const DEFAULT_DEAD_LETTER_DIR = './migration_failures';
+
+// Buffers (bytea) are stored as Postgres hex literals so replays insert them as-is
+function serializeValue(key, value) {
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return `\\x${Buffer.from(value.data).toString('hex')}`;
+  }
+  return value;
+}
+
+export function describeError(error) {
+  return {
+    code: error.code || null,
+    message: error.message || String(error)
+  };
+}
+
+export class DeadLetterStore {
+  constructor({ migrator, dir = DEFAULT_DEAD_LETTER_DIR, pool = null }) {
+    this.migrator = migrator;
+    this.dir = dir;
+    this.pool = pool;
+    this.ready = null;
+    this.recorded = 0;
+  }
+
+  async init() {
+    if (!this.ready) {
+      this.ready = this.pool
+        ? this.createTable()
+        : fs.mkdir(this.dir, { recursive: true });
+    }
+    await this.ready;
+  }
+
+  async createTable() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS "_migration_failures" (
+        "id" TEXT NOT NULL PRIMARY KEY,
+        "migrator" TEXT NOT NULL,
+        "table_name" TEXT NOT NULL,
+        "primary_key" JSONB,
+        "error_code" TEXT,
+        "error_message" TEXT,
+        "batch_number" INTEGER,
+        "row_data" JSONB NOT NULL,
+        "attempts" INTEGER NOT NULL DEFAULT 1,
+        "failed_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        "write_mode" TEXT NOT NULL DEFAULT 'insert',
+        "conflict_columns" JSONB
+      )
+    `);
+
+    // Tables created before write modes were recorded
+    await this.pool.query(`
+      ALTER TABLE "_migration_failures"
+        ADD COLUMN IF NOT EXISTS "write_mode" TEXT NOT NULL DEFAULT 'insert',
+        ADD COLUMN IF NOT EXISTS "conflict_columns" JSONB
+    `);
+  }
+
+  fileFor(tableName) {
+    return path.join(this.dir, `${tableName}.jsonl`);
+  }
+
+  async record(tableName, { row, keyColumns = [], error, batchNumber = null, writeMode = 'insert', conflictColumns = null }) {
+    await this.init();
+
+    const { code, message } = describeError(error);
+    const entry = {
+      id: crypto.randomUUID(),
+      migrator: this.migrator,
+      table: tableName,
+      primaryKey: keyColumns.length > 0
+        ? Object.fromEntries(keyColumns.map(col => [col, row[col]]))
+        : null,
+      errorCode: code,
+      errorMessage: message,
+      batchNumber,
+      writeMode,
+      conflictColumns: writeMode === 'upsert' ? conflictColumns || keyColumns : null,
+      attempts: 1,
+      failedAt: new Date().toISOString(),
+      row: JSON.parse(JSON.stringify(row, serializeValue))
+    };
+
+    if (this.pool) {
+      await this.pool.query(`
+        INSERT INTO "_migration_failures"
+          ("id", "migrator", "table_name", "primary_key", "error_code", "error_message", "batch_number", "row_data", "write_mode", "conflict_columns")
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [
+        entry.id, entry.migrator, tableName, JSON.stringify(entry.primaryKey),
+        code, message, batchNumber, JSON.stringify(entry.row),
+        writeMode, JSON.stringify(entry.conflictColumns)
+      ]);
+    } else {
+      await fs.appendFile(this.fileFor(tableName), JSON.stringify(entry) + '\n');
+    }
+
+    this.recorded++;
+    return entry;
+  }
+
+  async tables() {
+    await this.init();
+
+    if (this.pool) {
+      const result = await this.pool.query(
+        'SELECT DISTINCT "table_name" FROM "_migration_failures" ORDER BY 1'
+      );
+      return result.rows.map(row => row.table_name);
+    }
+
+    const files = await fs.readdir(this.dir);
+    return files
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => file.slice(0, -'.jsonl'.length))
+      .sort();
+  }
+
+  async list(tableName) {
+    await this.init();
+
+    if (this.pool) {
+      const result = await this.pool.query(
+        'SELECT * FROM "_migration_failures" WHERE "table_name" = $1 ORDER BY "failed_at"',
+        [tableName]
+      );
+      return result.rows.map(row => ({
+        id: row.id,
+        migrator: row.migrator,
+        table: row.table_name,
+        primaryKey: row.primary_key,
+        errorCode: row.error_code,
+        errorMessage: row.error_message,
+        batchNumber: row.batch_number,
+        writeMode: row.write_mode,
+        conflictColumns: row.conflict_columns,
+        attempts: row.attempts,
+        failedAt: row.failed_at,
+        row: row.row_data
+      }));
+    }
+
+    try {
+      const content = await fs.readFile(this.fileFor(tableName), 'utf8');
+      return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Replaces a table's entries after a replay: resolved ones are dropped,
+  // still-failing ones keep their new error and attempt count
+  async update(tableName, { resolved, stillFailing }) {
+    await this.init();
+
+    if (this.pool) {
+      if (resolved.length > 0) {
+        await this.pool.query(
+          'DELETE FROM "_migration_failures" WHERE "id" = ANY($1::text[])',
+          [resolved.map(entry => entry.id)]
+        );
+      }
+      for (const entry of stillFailing) {
+        await this.pool.query(`
+          UPDATE "_migration_failures"
+          SET "error_code" = $2, "error_message" = $3, "attempts" = $4, "failed_at" = NOW()
+          WHERE "id" = $1
+        `, [entry.id, entry.errorCode, entry.errorMessage, entry.attempts]);
+      }
+      return;
+    }
+
+    const file = this.fileFor(tableName);
+    if (stillFailing.length === 0) {
+      await fs.rm(file, { force: true });
+      return;
+    }
+
+    const tmpFile = `${file}.tmp`;
+    await fs.writeFile(tmpFile, stillFailing.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    await fs.rename(tmpFile, file);
+  }
+}
@@ -0,0 +1,116 @@
+// Incremental sync support: finds each table's change-tracking column and
+// pages through rows changed since a high-water mark. Pages are ordered by
+// (watermark, primary key), so rows sharing a timestamp are never skipped
+// or read twice within a run. The watermark part of the mark is read as text:
+// a JS Date keeps milliseconds, Postgres timestamps keep microseconds, and a
+// truncated mark would sort before the row it came from.
+
+import { quoteIdent } from '../db/sql.js';
+import { keyOf } from './keysetPager.js';
+
+// Checked in order; Evolution tables use updatedAt / messageTimestamp, the
+// analysis tables UPDATED_AT / processed_at
+export const WATERMARK_COLUMNS = ['updatedAt', 'messageTimestamp', 'UPDATED_AT', 'processed_at'];
+
+const NUMERIC_TYPES = ['smallint', 'integer', 'bigint', 'numeric', 'double precision', 'real'];
+
+export function findWatermarkColumn(columns) {
+  for (const name of WATERMARK_COLUMNS) {
+    const column = columns.find(col => col.name === name);
+    if (column) return column;
+  }
+  return null;
+}
+
+// Moves a stored mark back by `seconds` so rows committed late by a long
+// transaction (with an older timestamp) are still picked up on the next run.
+// Values come back from JSON state, so timestamps arrive as ISO strings and
+// bigint epochs as strings.
+export function rewindWatermark(value, type, seconds) {
+  if (value === null || value === undefined) return null;
+
+  if (NUMERIC_TYPES.includes(type)) {
+    return Number(value) - seconds;
+  }
+  if (type.startsWith('timestamp') || type === 'date') {
+    return new Date(new Date(value).getTime() - seconds * 1000);
+  }
+  throw new Error(`Unsupported watermark column type: ${type}`);
+}
+
+// Starting point for a table's first sync, given as an ISO timestamp; epoch
+// columns such as messageTimestamp store seconds
+export function parseSince(value, type) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid --since value "${value}" (expected an ISO timestamp)`);
+  }
+  return NUMERIC_TYPES.includes(type) ? Math.floor(date.getTime() / 1000) : date;
+}
+
+const MARK_COLUMN = '__watermark_mark';
+
+// ISO text with all six fractional digits, which new Date() (rewindWatermark)
+// and Postgres both parse
+function markExpression(column, type) {
+  if (type.startsWith('timestamp') && type.endsWith('with time zone')) {
+    return `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')`;
+  }
+  if (type.startsWith('timestamp')) {
+    return `to_char(${column}, 'YYYY-MM-DD"T"HH24:MI:SS.US')`;
+  }
+  return `${column}::text`;
+}
+
+// Rows come from fetchChangedBatches, which adds the exact watermark
+function markOf(row, keyColumns) {
+  return [row[MARK_COLUMN], ...keyOf(row, keyColumns)];
+}
+
+// Yields { rows, mark } for batches of rows whose watermark is >= `since`,
+// continuing from the composite mark `after` when given. `mark` is the
+// position after the batch, to be stored as the checkpoint's lastKey.
+export async function* fetchChangedBatches(pool, tableName, { watermarkColumn, watermarkType, keyColumns, since = null, after = null, batchSize = 1000 }) {
+  if (!keyColumns || keyColumns.length === 0) {
+    throw new Error(`Table ${tableName} has no primary key; delta sync is not possible`);
+  }
+
+  const watermark = quoteIdent(watermarkColumn);
+  const orderColumns = [watermarkColumn, ...keyColumns].map(quoteIdent).join(', ');
+  let lastMark = after;
+
+  while (true) {
+    const conditions = [`${watermark} IS NOT NULL`];
+    const params = [batchSize];
+
+    if (lastMark) {
+      const placeholders = lastMark.map((_, index) => `$${params.length + index + 1}${index === 0 ? `::${watermarkType}` : ''}`).join(', ');
+      conditions.push(`(${orderColumns}) > (${placeholders})`);
+      params.push(...lastMark);
+    } else if (since !== null) {
+      conditions.push(`${watermark} >= $2::${watermarkType}`);
+      params.push(since);
+    }
+
+    const result = await pool.query(
+      `SELECT *, ${markExpression(watermark, watermarkType)} AS ${quoteIdent(MARK_COLUMN)}
+      FROM ${quoteIdent(tableName)}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${orderColumns}
+      LIMIT $1`,
+      params
+    );
+    if (result.rows.length === 0) return;
+
+    const mark = markOf(result.rows[result.rows.length - 1], keyColumns);
+    // A mark that does not move would return the same page forever
+    if (lastMark && JSON.stringify(mark) === JSON.stringify(lastMark)) {
+      throw new Error(`Delta sync of ${tableName} is not advancing past ${JSON.stringify(mark)}`);
+    }
+
+    yield { rows: result.rows.map(({ [MARK_COLUMN]: _, ...row }) => row), mark };
+
+    if (result.rows.length < batchSize) return;
+    lastMark = mark;
+  }
+}
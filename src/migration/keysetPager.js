@@ -0,0 +1,40 @@
+// Keyset pagination over a table's primary key.
+// Unlike LIMIT/OFFSET, every page is an index range scan and a run can
+// continue from any committed key.
+
+import { quoteIdent } from '../db/sql.js';
+
+export function keyOf(row, keyColumns) {
+  return keyColumns.map(col => row[col]);
+}
+
+export async function* fetchBatches(pool, tableName, { keyColumns, batchSize = 1000, after = null }) {
+  if (!keyColumns || keyColumns.length === 0) {
+    throw new Error(`Table ${tableName} has no primary key; keyset pagination is not possible`);
+  }
+
+  const keyList = keyColumns.map(quoteIdent).join(', ');
+  let lastKey = after;
+
+  while (true) {
+    let sql;
+    let params;
+
+    if (lastKey) {
+      const placeholders = keyColumns.map((_, index) => `$${index + 2}`).join(', ');
+      sql = `SELECT * FROM ${quoteIdent(tableName)} WHERE (${keyList}) > (${placeholders}) ORDER BY ${keyList} LIMIT $1`;
+      params = [batchSize, ...lastKey];
+    } else {
+      sql = `SELECT * FROM ${quoteIdent(tableName)} ORDER BY ${keyList} LIMIT $1`;
+      params = [batchSize];
+    }
+
+    const result = await pool.query(sql, params);
+    if (result.rows.length === 0) return;
+
+    yield result.rows;
+
+    if (result.rows.length < batchSize) return;
+    lastKey = keyOf(result.rows[result.rows.length - 1], keyColumns);
+  }
+}
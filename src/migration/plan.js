@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import { getColumns } from '../schema/ddl.js';
+
+// A plan is everything a migration command would do - DDL, table order,
+// row counts, batches and conflict handling - worked out from the source
+// without writing anywhere. `--dry-run` prints it, `--plan=file.json` also
+// saves it, and `--apply-plan=file.json` runs exactly that plan later.
+
+export const PLAN_VERSION = 1;
+
+export function parsePlanArgs(args) {
+  const planArg = args.find(arg => arg === '--plan' || arg.startsWith('--plan='));
+  const applyArg = args.find(arg => arg.startsWith('--apply-plan='));
+
+  return {
+    dryRun: args.includes('--dry-run') || Boolean(planArg),
+    planFile: planArg?.includes('=') ? planArg.split('=')[1] : null,
+    applyFile: applyArg ? applyArg.split('=')[1] : null
+  };
+}
+
+export function estimateBatches(rows, batchSize) {
+  return Math.ceil(rows / batchSize);
+}
+
+export function createPlan(command, { source = null, target, transport = null, mode = 'insert', statements = [], order = [], deferred = [], tables = [] }) {
+  return {
+    version: PLAN_VERSION,
+    command,
+    createdAt: new Date().toISOString(),
+    source,
+    target,
+    transport,
+    mode,
+    statements,
+    order,
+    deferred,
+    tables
+  };
+}
+
+export async function savePlan(plan, file) {
+  await fs.writeFile(file, JSON.stringify(plan, null, 2));
+}
+
+export async function loadPlan(file, command) {
+  const plan = JSON.parse(await fs.readFile(file, 'utf8'));
+
+  if (plan.version !== PLAN_VERSION) {
+    throw new Error(`${file} is a version ${plan.version} plan, expected version ${PLAN_VERSION}`);
+  }
+  if (plan.command !== command) {
+    throw new Error(`${file} is a plan for ${plan.command}, not ${command}`);
+  }
+  return plan;
+}
+
+// A plan only applies to the target it was made for, and only while the
+// source tables still have the columns it was made from
+export async function checkPlan(plan, { sourcePool = null, target }) {
+  if (plan.target !== target) {
+    throw new Error(`Plan was made for ${plan.target}, not ${target}`);
+  }
+
+  if (!sourcePool) return;
+
+  const changed = [];
+  for (const table of plan.tables) {
+    const columns = (await getColumns(sourcePool, table.name)).map(column => column.name);
+    if (columns.join(',') !== table.columns.join(',')) {
+      changed.push(table.name);
+    }
+  }
+  if (changed.length > 0) {
+    throw new Error(`Source changed since the plan was made (${changed.join(', ')}) - create a new plan`);
+  }
+}
+
+export function printPlan(plan) {
+  console.log(`\n📋 Plan for ${plan.command} (${plan.createdAt})`);
+  console.log('='.repeat(60));
+  if (plan.source) console.log(`📤 Source: ${plan.source}`);
+  console.log(`🎯 Target: ${plan.target}${plan.transport ? ` (${plan.transport})` : ''}`);
+  if (plan.tables.length > 0) console.log(`🚚 Mode: ${plan.mode}`);
+
+  if (plan.statements.length > 0) {
+    console.log(`\n📝 DDL (${plan.statements.length} steps):`);
+    for (const statement of plan.statements) {
+      console.log(`-- [${statement.phase}]${statement.object ? ` ${statement.object}` : ''}`);
+      console.log(statement.sql.trim());
+    }
+  }
+
+  if (plan.order.length > 0) {
+    console.log(`\n🔄 Table order: ${plan.order.join(', ')}`);
+  }
+  if (plan.deferred.length > 0) {
+    console.log(`⏸️ Deferred foreign keys: ${plan.deferred.map(fk => `${fk.table}.${fk.name}`).join(', ')}`);
+  }
+
+  if (plan.tables.length > 0) {
+    console.log('\n📊 Tables:');
+    for (const table of plan.tables) {
+      const paging = table.paging === 'keyset' ? `keyset on (${table.keyColumns.join(', ')})` : 'OFFSET paging';
+      const conflict = table.conflict.columns.length > 0
+        ? `${table.conflict.policy} on (${table.conflict.columns.join(', ')})${table.conflict.newerColumn ? ` by ${table.conflict.newerColumn}` : ''}`
+        : `${table.conflict.policy} (no key)`;
+      console.log(`  📋 ${table.name}: ${table.rows.toLocaleString()} rows, ${table.batches} batches of ${table.batchSize} (${paging}), conflict ${conflict}`);
+    }
+
+    const rows = plan.tables.reduce((sum, table) => sum + table.rows, 0);
+    const batches = plan.tables.reduce((sum, table) => sum + table.batches, 0);
+    console.log(`📈 Total: ${rows.toLocaleString()} rows in ${batches.toLocaleString()} batches`);
+  }
+}
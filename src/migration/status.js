@@ -0,0 +1,44 @@
+import fs from 'fs';
+import { tableExists } from './catalog.js';
+import { CheckpointStore, DEFAULT_STATE_FILE } from './checkpointStore.js';
+import { DEFAULT_DEAD_LETTER_DIR, DeadLetterStore } from './deadLetter.js';
+
+// Progress recorded by the migrators: checkpoints per scope and table, and
+// rejected rows waiting for replay_failures.js. With a pool, both are read
+// from the target's `_migration_state` / `_migration_failures` tables.
+// Reading never creates them: a store nothing has written to yet is
+// reported as not initialised.
+
+export const CHECKPOINT_SCOPES = ['DatabaseMigrator', 'DataMigrator', 'DeltaSync'];
+
+export async function collectMigrationStatus({ pool = null, stateFile = DEFAULT_STATE_FILE, deadLetterDir = DEFAULT_DEAD_LETTER_DIR } = {}) {
+  const initialised = {
+    checkpoints: pool ? await tableExists(pool, '_migration_state') : fs.existsSync(stateFile),
+    failures: pool ? await tableExists(pool, '_migration_failures') : fs.existsSync(deadLetterDir)
+  };
+
+  const checkpoints = {};
+  for (const scope of initialised.checkpoints ? CHECKPOINT_SCOPES : []) {
+    const state = await new CheckpointStore({ scope, file: stateFile, pool }).load();
+    if (Object.keys(state).length > 0) {
+      checkpoints[scope] = state;
+    }
+  }
+
+  const store = new DeadLetterStore({ migrator: 'status', dir: deadLetterDir, pool });
+  const failures = {};
+  for (const tableName of initialised.failures ? await store.tables() : []) {
+    const entries = await store.list(tableName);
+    if (entries.length > 0) {
+      failures[tableName] = entries.length;
+    }
+  }
+
+  // Tables a run stopped in the middle of (resume with --resume)
+  const incomplete = Object.entries(checkpoints)
+    .flatMap(([scope, tables]) => Object.entries(tables)
+      .filter(([, checkpoint]) => !checkpoint.completed)
+      .map(([tableName]) => `${scope}:${tableName}`));
+
+  return { initialised, checkpoints, failures, incomplete };
+}
@@ -0,0 +1,89 @@
+import { quoteIdent } from '../db/sql.js';
+
+// Orders tables so every parent loads before the tables referencing it.
+// Kahn's algorithm with alphabetical tie-breaking keeps the order stable
+// between runs. When only cycles remain, one foreign key in the cycle is
+// deferred (dropped for the load and restored afterwards) and sorting
+// continues. Self-references are always deferred, since keyset order says
+// nothing about parent rows within the same table.
+
+export function orderTables(tables, foreignKeys) {
+  const tableSet = new Set(tables);
+  const deferred = [];
+  let edges = [];
+
+  for (const fk of foreignKeys) {
+    if (!tableSet.has(fk.table) || !tableSet.has(fk.references)) continue;
+    if (fk.table === fk.references) {
+      deferred.push(fk);
+    } else {
+      edges.push(fk);
+    }
+  }
+
+  const order = [];
+  const remaining = new Set(tables);
+
+  while (remaining.size > 0) {
+    const blocked = new Set(
+      edges
+        .filter(fk => remaining.has(fk.references) && remaining.has(fk.table))
+        .map(fk => fk.table)
+    );
+    const ready = [...remaining].filter(table => !blocked.has(table)).sort();
+
+    if (ready.length > 0) {
+      for (const table of ready) {
+        order.push(table);
+        remaining.delete(table);
+      }
+      continue;
+    }
+
+    // Everything left is on or behind a cycle: break the cycle found from
+    // the alphabetically first table by deferring its closing edge
+    const cycle = findCycle([...remaining].sort()[0], edges, remaining);
+    const edge = cycle[cycle.length - 1];
+    deferred.push(edge);
+    edges = edges.filter(fk => fk !== edge);
+  }
+
+  return { order, deferred };
+}
+
+function findCycle(start, edges, remaining) {
+  const path = [];
+  const seen = new Map();
+  let table = start;
+
+  // Every remaining table has at least one unresolved parent, so walking
+  // parent links must eventually revisit a table
+  while (!seen.has(table)) {
+    seen.set(table, path.length);
+    const edge = edges
+      .filter(fk => fk.table === table && remaining.has(fk.references))
+      .sort((a, b) => a.references.localeCompare(b.references) || a.name.localeCompare(b.name))[0];
+    path.push(edge);
+    table = edge.references;
+  }
+
+  return path.slice(seen.get(table));
+}
+
+export async function dropDeferredConstraints(target, deferred) {
+  for (const fk of deferred) {
+    await target.query(`ALTER TABLE ${quoteIdent(fk.table)} DROP CONSTRAINT IF EXISTS ${quoteIdent(fk.name)}`);
+  }
+}
+
+export async function restoreDeferredConstraints(target, deferred) {
+  const failures = [];
+  for (const fk of deferred) {
+    try {
+      await target.query(`ALTER TABLE ${quoteIdent(fk.table)} ADD CONSTRAINT ${quoteIdent(fk.name)} ${fk.definition}`);
+    } catch (error) {
+      failures.push({ constraint: fk.name, table: fk.table, error: error.message });
+    }
+  }
+  return failures;
+}
@@ -0,0 +1,175 @@
+import { getPrimaryKey } from './catalog.js';
+import { quoteIdent } from '../db/sql.js';
+
+// Row-level verification of a migrated table.
+// Rows are spread over buckets of roughly `bucketSize` keys by an md5 of the
+// primary key, so both sides assign every row to the same bucket without
+// relying on collation or sequence order. Each bucket is summarised as
+// (count, md5 of its ordered row hashes); only buckets whose summaries differ
+// are drilled into to list the exact missing, extra and mismatched keys.
+// timestamptz values are hashed in UTC, since their text form follows each
+// connection's TimeZone setting.
+
+export class MigrationVerifier {
+  constructor({ sourcePool, target, bucketSize = 10000 }) {
+    this.sourcePool = sourcePool;
+    this.target = target;
+    this.bucketSize = bucketSize;
+  }
+
+  async getSourceTables() {
+    const result = await this.sourcePool.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_schema = 'public'
+      AND table_type = 'BASE TABLE'
+      AND table_name NOT LIKE '\\_migration\\_%'
+      ORDER BY table_name
+    `);
+    return result.rows.map(row => row.table_name);
+  }
+
+  async getColumns(queryable, tableName) {
+    const result = await queryable.query(`
+      SELECT column_name AS name, data_type AS type
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = $1
+    `, [tableName]);
+    return result.rows;
+  }
+
+  async countRows(queryable, tableName) {
+    const result = await queryable.query(`SELECT COUNT(*) as count FROM ${quoteIdent(tableName)}`);
+    return parseInt(result.rows[0].count);
+  }
+
+  buildExpressions(tableName, keyColumns, columns, bucketCount) {
+    const keyExpr = keyColumns.length === 1
+      ? `t.${quoteIdent(keyColumns[0])}::text`
+      : `concat_ws('|', ${keyColumns.map(col => `t.${quoteIdent(col)}::text`).join(', ')})`;
+
+    // jsonb sorts keys, so column order on either side doesn't affect the hash
+    const selectList = columns.map(col => col.type === 'timestamp with time zone'
+      ? `${quoteIdent(col.name)} AT TIME ZONE 'UTC' AS ${quoteIdent(col.name)}`
+      : quoteIdent(col.name));
+    const fromExpr = `(SELECT ${selectList.join(', ')} FROM ${quoteIdent(tableName)}) t`;
+    const rowExpr = 'md5(to_jsonb(t)::text)';
+    const bucketExpr = `(('x' || substr(md5(${keyExpr}), 1, 7))::bit(28)::int % ${bucketCount})`;
+
+    return { fromExpr, keyExpr, rowExpr, bucketExpr };
+  }
+
+  async bucketSummaries(queryable, expressions) {
+    const { fromExpr, keyExpr, rowExpr, bucketExpr } = expressions;
+    const result = await queryable.query(`
+      SELECT
+        ${bucketExpr} AS bucket,
+        COUNT(*) AS row_count,
+        md5(string_agg(${rowExpr}, '' ORDER BY ${keyExpr} COLLATE "C")) AS checksum
+      FROM ${fromExpr}
+      GROUP BY 1
+    `);
+
+    return new Map(result.rows.map(row => [
+      Number(row.bucket),
+      { rowCount: parseInt(row.row_count), checksum: row.checksum }
+    ]));
+  }
+
+  async bucketRows(queryable, expressions, buckets) {
+    const { fromExpr, keyExpr, rowExpr, bucketExpr } = expressions;
+    const result = await queryable.query(`
+      SELECT ${keyExpr} AS key, ${rowExpr} AS row_hash
+      FROM ${fromExpr}
+      WHERE ${bucketExpr} = ANY($1::int[])
+    `, [buckets]);
+
+    return new Map(result.rows.map(row => [row.key, row.row_hash]));
+  }
+
+  async verifyTable(tableName, { checksums = true } = {}) {
+    const sourceCount = await this.countRows(this.sourcePool, tableName);
+
+    let targetCount;
+    try {
+      targetCount = await this.target.count(tableName);
+    } catch (error) {
+      return { table: tableName, sourceCount, targetCount: null, status: 'error', error: error.message };
+    }
+
+    const report = {
+      table: tableName,
+      sourceCount,
+      targetCount,
+      status: sourceCount === targetCount ? 'ok' : 'count_mismatch',
+      missing: [],
+      extra: [],
+      mismatched: []
+    };
+
+    if (!checksums) return report;
+
+    if (this.target.kind !== 'pg') {
+      report.checksums = 'skipped (needs pg transport)';
+      return report;
+    }
+
+    const keyColumns = await getPrimaryKey(this.sourcePool, tableName);
+    if (keyColumns.length === 0) {
+      report.checksums = 'skipped (no primary key)';
+      return report;
+    }
+
+    // Only compare columns present on both sides; schema drift is reported separately
+    const sourceColumns = await this.getColumns(this.sourcePool, tableName);
+    const targetColumns = new Set((await this.getColumns(this.target, tableName)).map(col => col.name));
+    const columns = sourceColumns.filter(col => targetColumns.has(col.name));
+    report.comparedColumns = columns.length;
+    report.skippedColumns = sourceColumns.filter(col => !targetColumns.has(col.name)).map(col => col.name);
+
+    const bucketCount = Math.max(1, Math.ceil(Math.max(sourceCount, targetCount) / this.bucketSize));
+    const expressions = this.buildExpressions(tableName, keyColumns, columns, bucketCount);
+
+    const [sourceBuckets, targetBuckets] = await Promise.all([
+      this.bucketSummaries(this.sourcePool, expressions),
+      this.bucketSummaries(this.target, expressions)
+    ]);
+
+    const badBuckets = [];
+    for (let bucket = 0; bucket < bucketCount; bucket++) {
+      const source = sourceBuckets.get(bucket);
+      const target = targetBuckets.get(bucket);
+      if (source?.checksum !== target?.checksum || source?.rowCount !== target?.rowCount) {
+        badBuckets.push(bucket);
+      }
+    }
+
+    report.buckets = { total: bucketCount, mismatched: badBuckets.length };
+
+    if (badBuckets.length > 0) {
+      const [sourceRows, targetRows] = await Promise.all([
+        this.bucketRows(this.sourcePool, expressions, badBuckets),
+        this.bucketRows(this.target, expressions, badBuckets)
+      ]);
+
+      for (const [key, hash] of sourceRows) {
+        if (!targetRows.has(key)) {
+          report.missing.push(key);
+        } else if (targetRows.get(key) !== hash) {
+          report.mismatched.push(key);
+        }
+      }
+      for (const key of targetRows.keys()) {
+        if (!sourceRows.has(key)) report.extra.push(key);
+      }
+
+      report.missing.sort();
+      report.extra.sort();
+      report.mismatched.sort();
+      report.status = 'rows_differ';
+    }
+
+    return report;
+  }
+}
@@ -0,0 +1,241 @@
+import { quoteIdent, quoteLiteral } from '../db/sql.js';
+
+// Reads table definitions from pg_catalog and renders them back as DDL.
+// Types come from format_type() and constraints from pg_get_constraintdef(),
+// so enums, arrays, bytea, identity columns and every constraint kind survive
+// exactly as the source defines them.
+
+export async function getEnumTypes(pool) {
+  const result = await pool.query(`
+    SELECT t.typname AS name, array_agg(e.enumlabel::text ORDER BY e.enumsortorder) AS labels
+    FROM pg_type t
+    JOIN pg_namespace n ON n.oid = t.typnamespace
+    JOIN pg_enum e ON e.enumtypid = t.oid
+    WHERE n.nspname = 'public'
+    GROUP BY t.typname
+    ORDER BY t.typname
+  `);
+  return result.rows;
+}
+
+export async function getSequences(pool) {
+  const result = await pool.query(`
+    SELECT
+      s.relname AS name,
+      format_type(seq.seqtypid, NULL) AS data_type,
+      seq.seqstart AS start,
+      seq.seqincrement AS increment,
+      seq.seqmin AS min,
+      seq.seqmax AS max,
+      seq.seqcache AS cache,
+      seq.seqcycle AS cycle,
+      d.deptype AS dependency,
+      owner_table.relname AS owned_table,
+      owner_column.attname AS owned_column
+    FROM pg_class s
+    JOIN pg_namespace n ON n.oid = s.relnamespace
+    JOIN pg_sequence seq ON seq.seqrelid = s.oid
+    LEFT JOIN pg_depend d
+      ON d.objid = s.oid
+      AND d.classid = 'pg_class'::regclass
+      AND d.refclassid = 'pg_class'::regclass
+      AND d.deptype IN ('a', 'i')
+    LEFT JOIN pg_class owner_table ON owner_table.oid = d.refobjid
+    LEFT JOIN pg_attribute owner_column
+      ON owner_column.attrelid = d.refobjid
+      AND owner_column.attnum = d.refobjsubid
+    WHERE s.relkind = 'S'
+    AND n.nspname = 'public'
+    ORDER BY s.relname
+  `);
+
+  const sequences = [];
+  for (const row of result.rows) {
+    const state = await pool.query(`SELECT last_value, is_called FROM ${quoteIdent(row.name)}`);
+    sequences.push({
+      ...row,
+      identity: row.dependency === 'i',
+      lastValue: state.rows[0].last_value,
+      isCalled: state.rows[0].is_called
+    });
+  }
+  return sequences;
+}
+
+export async function getColumns(pool, tableName) {
+  const result = await pool.query(`
+    SELECT
+      a.attname AS name,
+      format_type(a.atttypid, a.atttypmod) AS type,
+      a.attnotnull AS not_null,
+      pg_get_expr(d.adbin, d.adrelid) AS default_expr,
+      a.attidentity AS identity,
+      a.attgenerated AS generated
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+    WHERE n.nspname = 'public'
+    AND c.relname = $1
+    AND a.attnum > 0
+    AND NOT a.attisdropped
+    ORDER BY a.attnum
+  `, [tableName]);
+  return result.rows;
+}
+
+export async function getConstraints(pool, tableName) {
+  const result = await pool.query(`
+    SELECT
+      con.conname AS name,
+      con.contype AS type,
+      pg_get_constraintdef(con.oid) AS definition
+    FROM pg_constraint con
+    JOIN pg_class c ON c.oid = con.conrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = 'public'
+    AND c.relname = $1
+    AND con.contype IN ('p', 'u', 'c', 'f', 'x')
+    ORDER BY
+      CASE con.contype WHEN 'p' THEN 0 WHEN 'u' THEN 1 WHEN 'x' THEN 2 WHEN 'c' THEN 3 ELSE 4 END,
+      con.conname
+  `, [tableName]);
+  return result.rows;
+}
+
+// Indexes that don't back a constraint (those are recreated with the constraint)
+export async function getIndexes(pool, tableName) {
+  const result = await pool.query(`
+    SELECT i.relname AS name, pg_get_indexdef(i.oid) AS definition
+    FROM pg_index x
+    JOIN pg_class i ON i.oid = x.indexrelid
+    JOIN pg_class c ON c.oid = x.indrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = 'public'
+    AND c.relname = $1
+    AND NOT EXISTS (SELECT 1 FROM pg_constraint con WHERE con.conindid = x.indexrelid)
+    ORDER BY i.relname
+  `, [tableName]);
+  return result.rows;
+}
+
+export function renderEnumType(enumType) {
+  const labels = enumType.labels.map(quoteLiteral).join(', ');
+  return `DO $$ BEGIN
+  CREATE TYPE ${quoteIdent(enumType.name)} AS ENUM (${labels});
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;`;
+}
+
+// Identity sequences are created by their column, so only standalone and
+// serial-owned sequences are rendered here
+export function renderSequence(sequence) {
+  return `CREATE SEQUENCE IF NOT EXISTS ${quoteIdent(sequence.name)}
+  AS ${sequence.data_type}
+  INCREMENT BY ${sequence.increment}
+  MINVALUE ${sequence.min}
+  MAXVALUE ${sequence.max}
+  START WITH ${sequence.start}
+  CACHE ${sequence.cache}${sequence.cycle ? '\n  CYCLE' : ''};`;
+}
+
+export function renderSequenceOwnership(sequence) {
+  if (sequence.identity || !sequence.owned_table) return null;
+  return `ALTER SEQUENCE ${quoteIdent(sequence.name)} OWNED BY ${quoteIdent(sequence.owned_table)}.${quoteIdent(sequence.owned_column)};`;
+}
+
+export function renderSequenceValue(sequence) {
+  const name = sequence.identity
+    ? `pg_get_serial_sequence(${quoteLiteral(quoteIdent(sequence.owned_table))}, ${quoteLiteral(sequence.owned_column)})`
+    : quoteLiteral(quoteIdent(sequence.name));
+  return `SELECT setval(${name}, ${sequence.lastValue}, ${sequence.isCalled});`;
+}
+
+export function renderColumn(column) {
+  let definition = `${quoteIdent(column.name)} ${column.type}`;
+
+  if (column.generated === 's') {
+    definition += ` GENERATED ALWAYS AS (${column.default_expr}) STORED`;
+  } else if (column.identity === 'a' || column.identity === 'd') {
+    definition += ` GENERATED ${column.identity === 'a' ? 'ALWAYS' : 'BY DEFAULT'} AS IDENTITY`;
+  } else if (column.default_expr) {
+    definition += ` DEFAULT ${column.default_expr}`;
+  }
+
+  if (column.not_null) {
+    definition += ' NOT NULL';
+  }
+
+  return definition;
+}
+
+// Foreign keys are left out and rendered separately (see renderForeignKey) so
+// tables can be created in any order
+export function renderCreateTable(tableName, columns, constraints) {
+  const definitions = [
+    ...columns.map(renderColumn),
+    ...constraints
+      .filter(con => con.type !== 'f')
+      .map(con => `CONSTRAINT ${quoteIdent(con.name)} ${con.definition}`)
+  ];
+
+  return `CREATE TABLE IF NOT EXISTS ${quoteIdent(tableName)} (
+  ${definitions.join(',\n  ')}
+);`;
+}
+
+export function renderForeignKey(tableName, constraint) {
+  return `DO $$ BEGIN
+  ALTER TABLE ${quoteIdent(tableName)} ADD CONSTRAINT ${quoteIdent(constraint.name)} ${constraint.definition};
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;`;
+}
+
+export function renderIndex(index) {
+  return `${index.definition.replace(/^CREATE (UNIQUE )?INDEX /, 'CREATE $1INDEX IF NOT EXISTS ')};`;
+}
+
+export async function getTriggers(pool) {
+  const result = await pool.query(`
+    SELECT
+      t.tgname AS name,
+      c.relname AS table_name,
+      t.tgfoid AS function_oid,
+      pg_get_triggerdef(t.oid, true) AS definition
+    FROM pg_trigger t
+    JOIN pg_class c ON c.oid = t.tgrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = 'public'
+    AND NOT t.tgisinternal
+    ORDER BY c.relname, t.tgname
+  `);
+  return result.rows;
+}
+
+// Functions called by triggers, each once. Functions outside public
+// (extensions, Supabase internals) are expected to exist on the target.
+export async function getTriggerFunctions(pool) {
+  const result = await pool.query(`
+    SELECT DISTINCT p.oid, p.proname AS name, pg_get_functiondef(p.oid) AS definition
+    FROM pg_trigger t
+    JOIN pg_class c ON c.oid = t.tgrelid
+    JOIN pg_namespace tn ON tn.oid = c.relnamespace
+    JOIN pg_proc p ON p.oid = t.tgfoid
+    JOIN pg_namespace pn ON pn.oid = p.pronamespace
+    WHERE tn.nspname = 'public'
+    AND pn.nspname = 'public'
+    AND NOT t.tgisinternal
+    ORDER BY p.proname
+  `);
+  return result.rows;
+}
+
+export function renderFunction(fn) {
+  // pg_get_functiondef already emits CREATE OR REPLACE FUNCTION, minus the terminator
+  return `${fn.definition.trim()};`;
+}
+
+export function renderTrigger(trigger) {
+  return `DROP TRIGGER IF EXISTS ${quoteIdent(trigger.name)} ON ${quoteIdent(trigger.table_name)};
+${trigger.definition};`;
+}
@@ -0,0 +1,253 @@
+import { quoteIdent } from '../db/sql.js';
+import {
+  getColumns,
+  getConstraints,
+  getIndexes,
+  renderColumn,
+  renderCreateTable,
+  renderForeignKey,
+  renderIndex
+} from './ddl.js';
+
+// Compares source and target catalogs and turns the drift into ordered ALTER
+// statements. Every change carries a severity:
+//   safe        - cannot lose data or fail on existing rows
+//   risky       - may fail on existing rows (NOT NULL, index rebuilds)
+//   destructive - may lose data (drops, narrowing type changes)
+
+export async function readSchemaSnapshot(pool, tableNames = null) {
+  const result = await pool.query(`
+    SELECT table_name
+    FROM information_schema.tables
+    WHERE table_schema = 'public'
+    AND table_type = 'BASE TABLE'
+    AND table_name NOT LIKE '\\_%'
+    ORDER BY table_name
+  `);
+
+  const tables = {};
+  for (const { table_name: tableName } of result.rows) {
+    if (tableNames && !tableNames.includes(tableName)) continue;
+    tables[tableName] = {
+      columns: await getColumns(pool, tableName),
+      constraints: await getConstraints(pool, tableName),
+      indexes: await getIndexes(pool, tableName)
+    };
+  }
+  return { tables };
+}
+
+const INTEGER_WIDTH = { smallint: 1, integer: 2, bigint: 3 };
+const FLOAT_WIDTH = { real: 1, 'double precision': 2 };
+
+function parseType(type) {
+  const match = type.match(/^(.*?)(?:\((\d+)(?:,(\d+))?\))?(\[\])?$/);
+  return {
+    base: match[1],
+    length: match[2] ? parseInt(match[2]) : null,
+    scale: match[3] ? parseInt(match[3]) : null,
+    array: Boolean(match[4])
+  };
+}
+
+// A type change every existing value survives unchanged
+export function isWidening(fromType, toType) {
+  const from = parseType(fromType);
+  const to = parseType(toType);
+  if (from.array !== to.array) return false;
+
+  const textual = ['character varying', 'character', 'text'];
+  if (textual.includes(from.base) && to.base === 'text') return true;
+  if (from.base === 'character varying' && to.base === 'character varying') {
+    return to.length === null || (from.length !== null && to.length >= from.length);
+  }
+
+  if (from.base in INTEGER_WIDTH && to.base in INTEGER_WIDTH) {
+    return INTEGER_WIDTH[to.base] >= INTEGER_WIDTH[from.base];
+  }
+  if (from.base in FLOAT_WIDTH && to.base in FLOAT_WIDTH) {
+    return FLOAT_WIDTH[to.base] >= FLOAT_WIDTH[from.base];
+  }
+  if (from.base === 'numeric' && to.base === 'numeric') {
+    if (to.length === null) return true;
+    if (from.length === null) return false;
+    return to.scale >= from.scale && to.length - to.scale >= from.length - from.scale;
+  }
+  if (from.base === 'json' && to.base === 'jsonb') return true;
+
+  return false;
+}
+
+function change(table, kind, object, severity, sql, reason) {
+  return { table, kind, object, severity, sql, reason };
+}
+
+function diffColumn(tableName, sourceColumn, targetColumn) {
+  const changes = [];
+  const table = quoteIdent(tableName);
+  const column = quoteIdent(sourceColumn.name);
+
+  if (sourceColumn.type !== targetColumn.type) {
+    changes.push(change(
+      tableName, 'alter_type', sourceColumn.name,
+      isWidening(targetColumn.type, sourceColumn.type) ? 'safe' : 'destructive',
+      `ALTER TABLE ${table} ALTER COLUMN ${column} TYPE ${sourceColumn.type} USING ${column}::${sourceColumn.type};`,
+      `type ${targetColumn.type} -> ${sourceColumn.type}`
+    ));
+  }
+
+  // Identity and generated columns own their defaults
+  const plainSource = !sourceColumn.identity && !sourceColumn.generated;
+  const plainTarget = !targetColumn.identity && !targetColumn.generated;
+  if (plainSource && plainTarget && (sourceColumn.default_expr || null) !== (targetColumn.default_expr || null)) {
+    changes.push(sourceColumn.default_expr
+      ? change(tableName, 'set_default', sourceColumn.name, 'safe',
+        `ALTER TABLE ${table} ALTER COLUMN ${column} SET DEFAULT ${sourceColumn.default_expr};`,
+        `default ${targetColumn.default_expr || 'none'} -> ${sourceColumn.default_expr}`)
+      : change(tableName, 'drop_default', sourceColumn.name, 'safe',
+        `ALTER TABLE ${table} ALTER COLUMN ${column} DROP DEFAULT;`,
+        `default ${targetColumn.default_expr} -> none`));
+  } else if (sourceColumn.identity !== targetColumn.identity || sourceColumn.generated !== targetColumn.generated) {
+    changes.push(change(tableName, 'identity', sourceColumn.name, 'risky', null,
+      'identity or generated definition differs - recreate the column by hand'));
+  }
+
+  if (sourceColumn.not_null !== targetColumn.not_null) {
+    changes.push(sourceColumn.not_null
+      ? change(tableName, 'set_not_null', sourceColumn.name, 'risky',
+        `ALTER TABLE ${table} ALTER COLUMN ${column} SET NOT NULL;`,
+        'fails if the target holds NULLs')
+      : change(tableName, 'drop_not_null', sourceColumn.name, 'safe',
+        `ALTER TABLE ${table} ALTER COLUMN ${column} DROP NOT NULL;`,
+        'nullable on source'));
+  }
+
+  return changes;
+}
+
+function diffTable(tableName, source, target) {
+  const changes = [];
+  const targetColumns = new Map(target.columns.map(col => [col.name, col]));
+  const sourceNames = new Set(source.columns.map(col => col.name));
+
+  for (const column of source.columns) {
+    const existing = targetColumns.get(column.name);
+    if (!existing) {
+      changes.push(change(
+        tableName, 'add_column', column.name,
+        column.not_null && !column.default_expr && !column.identity ? 'risky' : 'safe',
+        `ALTER TABLE ${quoteIdent(tableName)} ADD COLUMN IF NOT EXISTS ${renderColumn(column)};`,
+        column.not_null && !column.default_expr ? 'NOT NULL without a default fails on a non-empty table' : 'missing on target'
+      ));
+    } else {
+      changes.push(...diffColumn(tableName, column, existing));
+    }
+  }
+
+  for (const column of target.columns) {
+    if (!sourceNames.has(column.name)) {
+      changes.push(change(
+        tableName, 'drop_column', column.name, 'destructive',
+        `ALTER TABLE ${quoteIdent(tableName)} DROP COLUMN ${quoteIdent(column.name)};`,
+        'only on target - its data is lost'
+      ));
+    }
+  }
+
+  const targetIndexes = new Map(target.indexes.map(index => [index.name, index]));
+  const sourceIndexNames = new Set(source.indexes.map(index => index.name));
+
+  for (const index of source.indexes) {
+    const existing = targetIndexes.get(index.name);
+    if (!existing) {
+      changes.push(change(tableName, 'create_index', index.name, 'safe', renderIndex(index), 'missing on target'));
+    } else if (existing.definition !== index.definition) {
+      changes.push(change(
+        tableName, 'recreate_index', index.name, 'risky',
+        `DROP INDEX IF EXISTS ${quoteIdent(index.name)};\n${renderIndex(index)}`,
+        `definition differs (target: ${existing.definition})`
+      ));
+    }
+  }
+
+  for (const index of target.indexes) {
+    if (!sourceIndexNames.has(index.name)) {
+      changes.push(change(
+        tableName, 'drop_index', index.name, 'destructive',
+        `DROP INDEX IF EXISTS ${quoteIdent(index.name)};`,
+        'only on target'
+      ));
+    }
+  }
+
+  return changes;
+}
+
+// Statement order: new tables, column additions and changes, indexes,
+// foreign keys of new tables, and destructive drops last
+const KIND_ORDER = [
+  'create_table', 'create_table_index', 'add_column', 'alter_type', 'drop_default', 'set_default',
+  'drop_not_null', 'set_not_null', 'identity', 'recreate_index', 'create_index', 'add_foreign_key',
+  'drop_index', 'drop_column', 'drop_table'
+];
+
+export function diffSchemas(source, target) {
+  const changes = [];
+
+  for (const [tableName, sourceTable] of Object.entries(source.tables)) {
+    const targetTable = target.tables[tableName];
+
+    if (!targetTable) {
+      changes.push(change(
+        tableName, 'create_table', tableName, 'safe',
+        renderCreateTable(tableName, sourceTable.columns, sourceTable.constraints),
+        'missing on target'
+      ));
+      for (const index of sourceTable.indexes) {
+        changes.push(change(tableName, 'create_table_index', index.name, 'safe', renderIndex(index), 'index of new table'));
+      }
+      for (const constraint of sourceTable.constraints.filter(con => con.type === 'f')) {
+        changes.push(change(tableName, 'add_foreign_key', constraint.name, 'risky',
+          renderForeignKey(tableName, constraint), 'foreign key of new table'));
+      }
+      continue;
+    }
+
+    changes.push(...diffTable(tableName, sourceTable, targetTable));
+  }
+
+  for (const tableName of Object.keys(target.tables)) {
+    if (!source.tables[tableName]) {
+      changes.push(change(
+        tableName, 'drop_table', tableName, 'destructive',
+        `DROP TABLE ${quoteIdent(tableName)};`,
+        'only on target - its data is lost'
+      ));
+    }
+  }
+
+  // Array sort is stable, so tables keep their order within each kind
+  return changes.sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind));
+}
+
+// Destructive statements are commented out unless explicitly allowed
+export function renderAlterScript(changes, { allowDestructive = false, generatedAt = new Date().toISOString() } = {}) {
+  let script = '-- Schema drift: source -> target\n';
+  script += `-- Generated: ${generatedAt}\n`;
+  script += `-- ${changes.length} change(s)${allowDestructive ? '' : '; destructive statements are commented out'}\n\n`;
+
+  for (const entry of changes) {
+    script += `-- [${entry.severity}] ${entry.table}: ${entry.kind} ${entry.object} (${entry.reason})\n`;
+    if (!entry.sql) {
+      script += '-- (no automatic statement)\n\n';
+    } else if (entry.severity === 'destructive' && !allowDestructive) {
+      script += entry.sql.split('\n').map(line => `-- ${line}`).join('\n') + '\n\n';
+    } else {
+      script += `${entry.sql}\n\n`;
+    }
+  }
+
+  // Let PostgREST pick up the new columns
+  script += "SELECT pg_notify('pgrst', 'reload schema');\n";
+  return script;
+}
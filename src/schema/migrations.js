@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { tableExists } from '../migration/catalog.js';
+
+// Numbered up/down SQL migrations for the analysis tables, recorded in an
+// `_analysis_migrations` table. Files are named NNNN_name.up.sql and
+// NNNN_name.down.sql; each migration runs in its own transaction.
+
+export const DEFAULT_MIGRATIONS_DIR = './migrations';
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Guards against two runners applying migrations at the same time
+const LOCK_ID = 727364;
+
+export async function loadMigrations(dir = DEFAULT_MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith('.sql')).sort();
+  const byVersion = new Map();
+
+  for (const file of files) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) {
+      throw new Error(`Unexpected file in ${dir}: ${file} (expected NNNN_name.up.sql / NNNN_name.down.sql)`);
+    }
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has two names: ${migration.name} and ${name}`);
+    }
+
+    migration[direction] = await fs.readFile(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()];
+  for (const migration of migrations) {
+    if (migration.up === undefined || migration.down === undefined) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down script`);
+    }
+    migration.checksum = crypto.createHash('sha256').update(migration.up).digest('hex');
+  }
+  return migrations;
+}
+
+export class MigrationRunner {
+  constructor({ pool, dir = DEFAULT_MIGRATIONS_DIR }) {
+    this.pool = pool;
+    this.dir = dir;
+  }
+
+  async ensureTable() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS "_analysis_migrations" (
+        "version" TEXT NOT NULL PRIMARY KEY,
+        "name" TEXT NOT NULL,
+        "checksum" TEXT NOT NULL,
+        "applied_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+  }
+
+  // Whether any migration ever ran here, without creating the table
+  async initialised() {
+    return tableExists(this.pool, '_analysis_migrations');
+  }
+
+  async status() {
+    await this.ensureTable();
+    const migrations = await loadMigrations(this.dir);
+    const result = await this.pool.query('SELECT * FROM "_analysis_migrations" ORDER BY "version"');
+    const applied = new Map(result.rows.map(row => [row.version, row]));
+
+    const entries = migrations.map(migration => {
+      const record = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        state: !record ? 'pending' : record.checksum === migration.checksum ? 'applied' : 'modified',
+        appliedAt: record?.applied_at || null
+      };
+    });
+
+    // Applied on this database but no longer on disk
+    for (const record of result.rows) {
+      if (!migrations.some(migration => migration.version === record.version)) {
+        entries.push({ version: record.version, name: record.name, state: 'missing', appliedAt: record.applied_at });
+      }
+    }
+
+    return { migrations, entries: entries.sort((a, b) => a.version.localeCompare(b.version)) };
+  }
+
+  async run(migration, direction) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_ID]);
+
+      // Simple query protocol, so a script may hold several statements
+      await client.query(migration[direction]);
+
+      if (direction === 'up') {
+        await client.query(
+          'INSERT INTO "_analysis_migrations" ("version", "name", "checksum") VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      } else {
+        await client.query('DELETE FROM "_analysis_migrations" WHERE "version" = $1', [migration.version]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw new Error(`${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Applies pending migrations in order, up to and including `to`
+  async up({ to = null } = {}) {
+    const { migrations, entries } = await this.status();
+
+    const drifted = entries.filter(entry => entry.state === 'modified' || entry.state === 'missing');
+    if (drifted.length > 0) {
+      throw new Error(`Applied migrations differ from ${this.dir}: ${drifted.map(e => `${e.version} (${e.state})`).join(', ')}`);
+    }
+
+    const pending = migrations.filter(migration =>
+      entries.find(entry => entry.version === migration.version).state === 'pending' &&
+      (!to || migration.version <= to)
+    );
+
+    for (const migration of pending) {
+      await this.run(migration, 'up');
+    }
+    return pending;
+  }
+
+  // Reverts the latest `steps` applied migrations, or every one after `to`
+  async down({ steps = 1, to = null } = {}) {
+    const { migrations, entries } = await this.status();
+
+    const applied = entries
+      .filter(entry => entry.state !== 'pending')
+      .reverse();
+    const targets = to ? applied.filter(entry => entry.version > to) : applied.slice(0, steps);
+
+    const reverted = [];
+    for (const entry of targets) {
+      const migration = migrations.find(m => m.version === entry.version);
+      if (!migration) {
+        throw new Error(`Cannot revert ${entry.version}_${entry.name}: its scripts are no longer in ${this.dir}`);
+      }
+      await this.run(migration, 'down');
+      reverted.push(migration);
+    }
+    return reverted;
+  }
+}
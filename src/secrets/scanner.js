@@ -0,0 +1,126 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+// Looks for credentials committed into deployment manifests and scripts:
+// Postgres URIs with a password, JWTs (Supabase service-role and anon keys),
+// OpenAI keys and literal values assigned to *_PASSWORD / *_API_KEY / *_TOKEN
+// style settings. `${VAR}` references, `<placeholders>`, code expressions and
+// the stock local passwords are not findings; neither is a line ending in
+// `secrets-check: allow`.
+
+const SCANNED_FILES = /(\.(ya?ml|toml|sh|js|json|md|sql|tmpl)|^Dockerfile.*|\.env\.example)$/;
+const SKIPPED_DIRS = new Set(['node_modules', '.git']);
+
+const SECRET_NAME = /(PASSWORD|PASSWD|SECRET|API_KEY|ROLE_KEY|ACCESS_KEY|PRIVATE_KEY|TOKEN)$/;
+const PLACEHOLDER = /^(\$|[{[(]|process\.env|env\.|<.*>$|\*+$|\.\.\.$|your[_-]|.*_here$|changeme$|password$|postgres$)/i;
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '::1']);
+
+const POSTGRES_URI = /postgres(?:ql)?:\/\/([^:/\s@'"]+):([^@\s'"]+)@([^/:\s?'"]+)/g;
+const JWT = /eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g;
+const OPENAI_KEY = /\bsk-[A-Za-z0-9_-]{20,}/g;
+const ASSIGNMENT = /\b([A-Z][A-Z0-9_]*)\s*[=:]\s*(.*)$/;
+const YAML_KEY = /^\s*-?\s*key:\s*([A-Za-z0-9_]+)\s*$/;
+const YAML_VALUE = /^\s*value:\s*(.*)$/;
+
+function cleanValue(raw) {
+  const value = raw.trim();
+  // An empty value followed by a trailing comment (KEY=   # hint)
+  if (value.startsWith('#')) return '';
+  const quoted = value.match(/^(["'])(.*?)\1/);
+  return quoted ? quoted[2] : value.split(/\s/)[0].replace(/["'\\]+$/, '');
+}
+
+export function isPlaceholder(value) {
+  return value === '' || PLACEHOLDER.test(value);
+}
+
+// Enough to recognise the finding, never the whole secret
+export function maskSecret(value) {
+  return value.length <= 8 ? '****' : `${value.slice(0, 4)}****`;
+}
+
+export function scanText(text, file = '') {
+  const findings = [];
+  let yamlKey = null;
+
+  text.split('\n').forEach((line, index) => {
+    const report = (rule, secret, excerpt) => findings.push({ file, line: index + 1, rule, excerpt: excerpt.replace(secret, maskSecret(secret)) });
+
+    if (/secrets-check:\s*allow\s*$/.test(line)) {
+      yamlKey = null;
+      return;
+    }
+
+    for (const [match, , password, host] of line.matchAll(POSTGRES_URI)) {
+      if (!isPlaceholder(password) && !LOCAL_HOSTS.has(host)) {
+        report('postgres-uri', password, match);
+      }
+    }
+    for (const [match] of line.matchAll(JWT)) {
+      report('jwt', match, match);
+    }
+    for (const [match] of line.matchAll(OPENAI_KEY)) {
+      report('openai-key', match, match);
+    }
+
+    // NAME=value, NAME: value, NAME = "value", and render.yaml's key:/value: pairs
+    let name = null;
+    let value = null;
+    const yamlValue = yamlKey ? line.match(YAML_VALUE) : null;
+    if (yamlValue) {
+      name = yamlKey;
+      value = cleanValue(yamlValue[1]);
+    } else {
+      const assignment = line.match(ASSIGNMENT);
+      if (assignment) {
+        name = assignment[1];
+        value = cleanValue(assignment[2]);
+      }
+    }
+    yamlKey = line.match(YAML_KEY)?.[1] || null;
+
+    const alreadyReported = findings.some(finding => finding.line === index + 1 && finding.file === file);
+    if (name && SECRET_NAME.test(name) && !isPlaceholder(value) && !alreadyReported) {
+      report('secret-value', value, `${name}=${value}`);
+    }
+  });
+
+  return findings;
+}
+
+// Tracked and untracked-but-not-ignored files, so .env and other ignored
+// secrets files are never reported; outside a git checkout, walk the tree
+export function listScannedFiles(root = '.') {
+  let files;
+  try {
+    files = execFileSync('git', ['ls-files', '--cached', '--others', '--exclude-standard'], { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] })
+      .split('\n')
+      .filter(Boolean);
+  } catch {
+    files = walk(root, '');
+  }
+  return files.filter(file => SCANNED_FILES.test(path.basename(file)) && fs.existsSync(path.join(root, file)));
+}
+
+function walk(root, dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(root, dir), { withFileTypes: true })) {
+    if (SKIPPED_DIRS.has(entry.name)) continue;
+    const relative = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walk(root, relative));
+    } else {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+export function scanFiles({ root = '.', files = listScannedFiles(root) } = {}) {
+  const findings = [];
+  for (const file of files) {
+    findings.push(...scanText(fs.readFileSync(path.join(root, file), 'utf8'), file));
+  }
+  return { scanned: files.length, findings };
+}
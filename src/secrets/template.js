@@ -0,0 +1,63 @@
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import { ConfigError } from '../config/settings.js';
+
+// Renders deployment manifests at deploy time. Templates reference values
+// the way docker-compose does - ${NAME}, ${NAME:-default}, ${NAME:?message} -
+// and get them from a secrets file in .env format (deploy/secrets.env,
+// git-ignored), falling back to the environment.
+
+export const DEFAULT_SECRETS_FILE = 'deploy/secrets.env';
+
+const REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-?])([^}]*))?\}/g;
+
+export async function loadSecrets(file = null, env = process.env) {
+  let secrets = {};
+  try {
+    secrets = dotenv.parse(await fs.readFile(file || DEFAULT_SECRETS_FILE));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    // Without the default file, everything has to come from the environment
+    if (file) {
+      throw new ConfigError([`Secrets file ${file} not found (start from ${DEFAULT_SECRETS_FILE}.example)`]);
+    }
+  }
+  return { ...env, ...secrets };
+}
+
+export function renderTemplate(text, values, { name = 'template' } = {}) {
+  const missing = [];
+  const used = new Set();
+
+  const rendered = text.replace(REFERENCE, (reference, key, operator, argument) => {
+    const value = values[key];
+    // Empty counts as unset except for ${NAME-default} / ${NAME?message}:
+    // a deploy never wants an empty secret
+    const isSet = operator && !operator.startsWith(':') ? value !== undefined : Boolean(value);
+
+    if (isSet) {
+      used.add(key);
+      return value;
+    }
+    if (operator?.endsWith('-')) {
+      return argument;
+    }
+    missing.push(operator?.endsWith('?') && argument ? `${key} is not set: ${argument}` : `${key} is not set`);
+    return reference;
+  });
+
+  if (missing.length > 0) {
+    throw new ConfigError([...new Set(missing)].map(problem => `${problem} (${name})`));
+  }
+  return { text: rendered, variables: [...used].sort() };
+}
+
+export async function renderFile(template, { secretsFile = null, out = null, env = process.env } = {}) {
+  const values = await loadSecrets(secretsFile, env);
+  const { text, variables } = renderTemplate(await fs.readFile(template, 'utf8'), values, { name: template });
+
+  if (out) {
+    await fs.writeFile(out, text, { mode: 0o600 });
+  }
+  return { template, out, variables, text };
+}
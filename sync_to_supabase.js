@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSourcePool } from './src/db/sourceConnection.js';
+import { createTargetTransport, getTargetConfig } from './src/db/targetConnection.js';
+import { quoteIdent } from './src/db/sql.js';
+import { getForeignKeys, getPrimaryKey } from './src/migration/catalog.js';
+import { CheckpointStore } from './src/migration/checkpointStore.js';
+import { DeadLetterStore } from './src/migration/deadLetter.js';
+import {
+  fetchChangedBatches,
+  findWatermarkColumn,
+  parseSince,
+  rewindWatermark
+} from './src/migration/deltaSync.js';
+import { orderTables } from './src/migration/tableOrder.js';
+import { getColumns } from './src/schema/ddl.js';
+
+loadEnvironment();
+
+const LOCK_FILE = './.delta_sync.lock';
+
+// Copies rows changed since the previous run, per table, and upserts them on
+// the table's primary key. Meant to run on a schedule (e.g. every few minutes)
+// between the full migration and final cutover. Deletes are not propagated.
+export class DeltaSyncer {
+  constructor({ stateBackend = 'file', transport, tables = null, overlapSeconds = 300, since = null, batchSize = 1000 } = {}) {
+    // Source PostgreSQL connection
+    this.sourcePool = createSourcePool();
+
+    const targetConfig = getTargetConfig(
+      transport ? { ...process.env, TARGET_TRANSPORT: transport } : process.env
+    );
+    this.target = createTargetTransport(targetConfig);
+
+    if (stateBackend === 'table' && this.target.kind !== 'pg') {
+      throw new Error('--state=table needs the pg transport');
+    }
+    const statePool = stateBackend === 'table' ? this.target.pool : null;
+
+    this.checkpoints = new CheckpointStore({ scope: 'DeltaSync', pool: statePool });
+    this.deadLetters = new DeadLetterStore({ migrator: 'DeltaSyncer', pool: statePool });
+
+    this.tables = tables;
+    this.overlapSeconds = overlapSeconds;
+    this.since = since;
+    this.batchSize = batchSize;
+
+    console.log('🔧 Delta syncer initialized');
+  }
+
+  // Scheduled runs must not overlap: two runs would race on the same marks
+  async acquireLock() {
+    try {
+      await fs.writeFile(LOCK_FILE, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const pid = parseInt(await fs.readFile(LOCK_FILE, 'utf8'));
+      try {
+        process.kill(pid, 0);
+        throw new Error(`Another sync is running (pid ${pid}, ${LOCK_FILE})`);
+      } catch (checkError) {
+        if (checkError.code !== 'ESRCH') throw checkError;
+      }
+
+      console.warn(`⚠️ Removing stale lock left by pid ${pid}`);
+      await fs.writeFile(LOCK_FILE, String(process.pid));
+    }
+  }
+
+  async releaseLock() {
+    await fs.rm(LOCK_FILE, { force: true });
+  }
+
+  async getSyncableTables() {
+    const result = await this.sourcePool.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_schema = 'public'
+      AND table_type = 'BASE TABLE'
+      ORDER BY table_name
+    `);
+    const names = this.tables || result.rows.map(row => row.table_name);
+
+    const syncable = [];
+    for (const tableName of names) {
+      const watermark = findWatermarkColumn(await getColumns(this.sourcePool, tableName));
+      const keyColumns = await getPrimaryKey(this.sourcePool, tableName);
+
+      if (!watermark) {
+        console.log(`⏭️ ${tableName}: no change-tracking column, left to the full migration`);
+      } else if (keyColumns.length === 0) {
+        console.log(`⏭️ ${tableName}: no primary key to upsert on, left to the full migration`);
+      } else {
+        syncable.push({ name: tableName, watermark, keyColumns });
+      }
+    }
+
+    const { order } = orderTables(syncable.map(table => table.name), await getForeignKeys(this.sourcePool));
+    return order.map(name => syncable.find(table => table.name === name));
+  }
+
+  async upsertBatch(tableName, rows, keyColumns, batchNumber) {
+    try {
+      await this.target.upsertRows(tableName, rows, keyColumns);
+      return { success: rows.length, failed: 0 };
+
+    } catch (error) {
+      console.error(`❌ Batch upsert failed for ${tableName}:`, error.message);
+
+      let success = 0;
+      let failed = 0;
+      for (const row of rows) {
+        try {
+          await this.target.upsertRows(tableName, [row], keyColumns);
+          success++;
+        } catch (singleError) {
+          console.error(`❌ Failed to upsert row:`, singleError.message);
+          await this.deadLetters.record(tableName, { row, keyColumns, error: singleError, batchNumber, writeMode: 'upsert' });
+          failed++;
+        }
+      }
+      return { success, failed };
+    }
+  }
+
+  async syncTable({ name: tableName, watermark, keyColumns }) {
+    const checkpoint = await this.checkpoints.get(tableName);
+    const storedMark = checkpoint?.lastKey?.[0] ?? null;
+
+    let since = null;
+    if (storedMark !== null) {
+      since = rewindWatermark(storedMark, watermark.type, this.overlapSeconds);
+    } else if (this.since) {
+      since = parseSince(this.since, watermark.type);
+    }
+
+    const nullCount = await this.sourcePool.query(
+      `SELECT COUNT(*) AS count FROM ${quoteIdent(tableName)} WHERE ${quoteIdent(watermark.name)} IS NULL`
+    );
+    if (parseInt(nullCount.rows[0].count) > 0) {
+      console.warn(`⚠️ ${tableName}: ${nullCount.rows[0].count} rows have no ${watermark.name} and are only copied by a full migration`);
+    }
+
+    console.log(`\n🔄 ${tableName}: changes by "${watermark.name}" since ${since === null ? 'the beginning' : since instanceof Date ? since.toISOString() : since}`);
+
+    const started = Date.now();
+    let batchNumber = 0;
+    let success = 0;
+    let failed = 0;
+
+    for await (const { rows, mark } of fetchChangedBatches(this.sourcePool, tableName, {
+      watermarkColumn: watermark.name,
+      watermarkType: watermark.type,
+      keyColumns,
+      since,
+      batchSize: this.batchSize
+    })) {
+      batchNumber++;
+      const result = await this.upsertBatch(tableName, rows, keyColumns, batchNumber);
+      success += result.success;
+      failed += result.failed;
+
+      // Advance the mark only after the batch is on the target
+      await this.checkpoints.save(tableName, {
+        lastKey: mark,
+        rowsCommitted: success,
+        completed: false
+      });
+    }
+
+    await this.checkpoints.save(tableName, { rowsCommitted: success, completed: true });
+
+    const seconds = (Date.now() - started) / 1000;
+    console.log(`✅ ${tableName}: ${success} upserted, ${failed} failed in ${seconds.toFixed(1)}s`);
+    return { success, failed };
+  }
+
+  async sync() {
+    await this.acquireLock();
+
+    try {
+      console.log(`🚀 Starting delta sync (target: ${this.target.kind} ${this.target.describe()}, overlap ${this.overlapSeconds}s)`);
+      await this.checkpoints.load();
+
+      const tables = await this.getSyncableTables();
+      const results = {};
+
+      for (const table of tables) {
+        try {
+          results[table.name] = await this.syncTable(table);
+        } catch (error) {
+          console.error(`❌ Error syncing ${table.name}:`, error.message);
+          results[table.name] = { success: 0, failed: 0, error: error.message };
+        }
+      }
+
+      console.log('\n📊 Delta Sync Summary');
+      console.log('='.repeat(50));
+      for (const [tableName, result] of Object.entries(results)) {
+        const status = result.error || result.failed > 0 ? '❌' : '✅';
+        console.log(`${status} ${tableName}: ${result.error ? result.error : `${result.success} upserted, ${result.failed} failed`}`);
+      }
+      if (this.deadLetters.recorded > 0) {
+        console.log(`🪦 ${this.deadLetters.recorded} rejected rows saved for replay (node replay_failures.js)`);
+      }
+
+      return {
+        clean: Object.values(results).every(result => !result.error && result.failed === 0),
+        tables: results
+      };
+
+    } finally {
+      await this.releaseLock();
+      await this.sourcePool.end();
+      await this.target.end();
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const transportArg = args.find(arg => arg.startsWith('--transport='));
+  const tablesArg = args.find(arg => arg.startsWith('--tables='));
+  const overlapArg = args.find(arg => arg.startsWith('--overlap='));
+  const sinceArg = args.find(arg => arg.startsWith('--since='));
+
+  let syncer;
+  try {
+    syncer = new DeltaSyncer({
+      stateBackend: args.includes('--state=table') ? 'table' : 'file',
+      transport: transportArg ? transportArg.split('=')[1] : undefined,
+      tables: tablesArg ? tablesArg.split('=')[1].split(',') : null,
+      overlapSeconds: overlapArg ? parseInt(overlapArg.split('=')[1]) : 300,
+      since: sinceArg ? sinceArg.split('=')[1] : null
+    });
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(1);
+  }
+
+  try {
+    const { clean } = await syncer.sync();
+    process.exit(clean ? 0 : 1);
+  } catch (error) {
+    console.error('💥 Sync failed:', error.message);
+    process.exit(2);
+  }
+}
+
+if (isEntryPoint(import.meta.url)) main();
@@ -1,50 +1,50 @@
 #!/usr/bin/env node
 
-import dotenv from 'dotenv';
-import { createClient } from '@supabase/supabase-js';
+import { isEntryPoint } from './src/cli/args.js';
+import { loadEnvironment } from './src/config/settings.js';
+import { createSupabaseClient } from './src/config/supabase.js';
 
-dotenv.config();
+loadEnvironment();
 
-async function verifySchema() {
-  try {
-    const supabase = createClient(
-      process.env.SUPABASE_PROJECT_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
-
-    console.log('🔍 Verifying Supabase schema...');
+const CRITICAL_TABLES = [
+  'Instance', 'Chat', 'Contact', 'Message',
+  'SalesAnalysisReport', 'ConversationCache'
+];
 
-    // Test each critical table
-    const criticalTables = [
-      'Instance', 'Chat', 'Contact', 'Message',
-      'SalesAnalysisReport', 'ConversationCache'
-    ];
+// Checks over the Supabase REST API that the tables the data migration
+// writes to exist and are readable with the service role key
+export class SchemaVerifier {
+  constructor({ tables = null } = {}) {
+    this.supabase = createSupabaseClient();
+    this.tables = tables || CRITICAL_TABLES;
+  }
 
-    let allTablesExist = true;
+  async verify() {
+    console.log('🔍 Verifying Supabase schema...');
 
-    for (const tableName of criticalTables) {
+    const missing = [];
+    for (const tableName of this.tables) {
       try {
-        const { data, error } = await supabase
+        const { error } = await this.supabase
           .from(tableName)
           .select('*')
           .limit(1);
 
         if (error) {
           console.error(`❌ Table ${tableName} not found or accessible:`, error.message);
-          allTablesExist = false;
+          missing.push({ table: tableName, error: error.message });
         } else {
           console.log(`✅ Table ${tableName} exists and accessible`);
         }
       } catch (err) {
         console.error(`❌ Error checking ${tableName}: ${err.message}`);
-        allTablesExist = false;
+        missing.push({ table: tableName, error: err.message });
       }
     }
 
-    if (allTablesExist) {
+    if (missing.length === 0) {
       console.log('\n🎉 All critical tables verified!');
       console.log('✅ Ready to run data migration: node migrate_data_to_supabase.js');
-      return true;
     } else {
       console.log('\n❌ Some tables are missing. Please import the schema first.');
       console.log('📋 Manual steps:');
@@ -52,13 +52,28 @@ async function verifySchema() {
       console.log('2. Open SQL Editor');
       console.log('3. Copy content from: supabase_export/supabase_schema.sql');
       console.log('4. Paste and run in SQL Editor');
-      return false;
     }
 
+    return { tables: this.tables, missing, complete: missing.length === 0 };
+  }
+}
+
+async function main() {
+  let verifier;
+  try {
+    verifier = new SchemaVerifier();
+  } catch (error) {
+    console.error('💥 Configuration error:', error.message);
+    process.exit(2);
+  }
+
+  try {
+    const { complete } = await verifier.verify();
+    process.exit(complete ? 0 : 1);
   } catch (error) {
     console.error('❌ Verification failed:', error.message);
-    return false;
+    process.exit(2);
   }
 }
 
-verifySchema();
\ No newline at end of file
+if (isEntryPoint(import.meta.url)) main();
@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import { SalesAnalyzer } from './analyze_conversations.js';
+import { ConversationCacheBuilder } from './build_conversations.js';
+import { MigrationStatusChecker } from './check_migration_status.js';
+import { SalesAnalysisSchemaChecker } from './check_sales_analysis_schema.js';
+import { SchemaCleaner } from './clean_schema_for_supabase.js';
+import { SqlScriptExecutor } from './execute_sql_supabase.js';
+import { SupabaseExporter } from './export_for_supabase.js';
+import { SalesReportExporter } from './export_sales_report.js';
+import { TaxonomyManager } from './manage_taxonomy.js';
+import { LeadHistoryReporter } from './lead_history.js';
+import { DatabaseMigrator } from './migrate_to_supabase.js';
+import { SchemaDiffer } from './schema_diff.js';
+import { DeltaSyncer } from './sync_to_supabase.js';
+import { SchemaVerifier } from './verify_schema.js';
+import { listFlag, parseArgs } from './src/cli/args.js';
+import {
+  ConfigError,
+  activeProfile,
+  describeSettings,
+  loadEnvironment,
+  redactSecrets,
+  requireSettings
+} from './src/config/settings.js';
+import { getProviderConfig } from './src/analysis/providers.js';
+import { getSourceConfig } from './src/db/sourceConnection.js';
+import { createTargetTransport, getTargetConfig } from './src/db/targetConnection.js';
+import { loadPlan, printPlan, savePlan } from './src/migration/plan.js';
+import { collectMigrationStatus } from './src/migration/status.js';
+import { MigrationRunner } from './src/schema/migrations.js';
+import { scanFiles } from './src/secrets/scanner.js';
+import { renderFile } from './src/secrets/template.js';
+
+loadEnvironment();
+
+const USAGE = `Usage: node wsi.js <command> [flags]
+
+Commands:
+  schema export                 Export schema.sql and data files to supabase_export/
+  schema diff                   Write the ALTER script that brings the target in line with the source
+  schema apply [--file=<sql>]   Run a SQL script on the target in one transaction
+  schema clean                  Tidy supabase_export/schema.sql into supabase_schema.sql for the SQL Editor
+  schema verify                 Check over the REST API that the tables the data migration needs exist
+  data migrate                  Create the schema on the target and copy every table
+  data verify                   Compare row counts and checksums between source and target
+  data sync                     Upsert rows changed since the last sync
+  conversations build           Rebuild ConversationCache from the Evolution Message table
+  analysis run                  Analyse cached conversations into SalesAnalysisReport (ANALYSIS_PROVIDER)
+  analysis schema               Source SalesAnalysisReport columns and overlong sample values
+  analysis history              Lead stage timeline of --chats, or stage transitions over all chats
+  taxonomy show                 Show the product taxonomy and how many reports use each version
+  taxonomy publish              Publish the taxonomy file to ProductTaxonomy (ANALYSIS_TAXONOMY=table)
+  taxonomy reclassify           Move reports from older taxonomy versions onto the current one
+  report export [--format=<f>]  Export SalesAnalysisReport as sql, json, csv, csv-expanded, excel-csv or xlsx
+  status                        Checkpoints, rejected rows and analysis migrations
+  config [--check=<groups>]     Show the effective settings (secrets masked) and validate them
+  secrets check                 Fail when manifests or scripts embed passwords, JWTs or API keys
+  secrets render --template=<f> Fill \${NAME} references from deploy/secrets.env (or --secrets=<file>)
+
+Flags:
+  --profile=<name>              Use config/profiles/<name>.json (local, staging, supabase-prod)
+  --json                        Print the result as JSON on stdout; logs go to stderr
+  --tables=<a,b>                Only these tables (schema diff, data verify, data sync)
+  --transport=pg|rest           Target transport (data migrate, data sync)
+  --state=table                 Keep checkpoints and rejected rows on the target (data migrate, data sync, status)
+  --dry-run, --plan[=<file>]    Print (and save) the plan instead of migrating (data migrate);
+                                print instead of writing (conversations build, analysis run, taxonomy reclassify)
+  --apply-plan=<file>           Run a saved plan (data migrate)
+  --since=<YYYY-MM-DD>          Only chats active since this day (conversations build)
+  --chats=<jid,jid>             Only these chats (conversations build, analysis run, analysis history)
+  --fixture=<file>              Read Message rows from a JSON file instead (conversations build, analysis run)
+  --reanalyze, --limit=<n>      Also chats that already have a report; at most n chats (analysis run);
+                                re-analyse the chats reclassify could not place (taxonomy reclassify)
+  --file=<json>                 Use this taxonomy file instead of ANALYSIS_TAXONOMY (taxonomy)
+  --all                         Also reports already on the current version (taxonomy reclassify)
+  --repair-attempts=<n>         Repair requests for an invalid answer before quarantine (analysis run)
+  --from=, --to=<YYYY-MM-DD>    Only reports analysed in this date range (report export, analysis history)
+  --category=<a,b>              Only these product categories (report export)
+
+Exit codes:
+  0  Success, nothing left to do
+  1  The command ran but found problems: drift, differences, rejected rows, a failed statement
+  2  The command could not run: usage, configuration or connection error`;
+
+class UsageError extends Error {}
+
+const COMMANDS = {
+  async 'schema export'() {
+    const manifest = await new SupabaseExporter().exportComplete();
+    return { result: manifest, exitCode: 0 };
+  },
+
+  async 'schema diff'(flags) {
+    const differ = new SchemaDiffer({ tables: listFlag(flags.tables) });
+    const report = await differ.diff();
+
+    if (report.changes.length > 0) {
+      await differ.writeOutputs(report, {
+        outFile: flags.out || 'schema_diff.sql',
+        reportFile: flags.report || 'schema_diff_report.json',
+        allowDestructive: Boolean(flags['allow-destructive'])
+      });
+    }
+    console.log(report.changes.length > 0
+      ? `🟡 ${report.changes.length} change(s) written to ${flags.out || 'schema_diff.sql'}`
+      : `✅ No drift across ${report.tables} tables`);
+
+    return { result: report, exitCode: report.changes.length > 0 ? 1 : 0 };
+  },
+
+  async 'schema apply'(flags) {
+    const executor = new SqlScriptExecutor({
+      file: flags.file,
+      transaction: !flags['no-transaction'],
+      verbose: Boolean(flags.verbose)
+    });
+    const report = await executor.execute();
+    return { result: report, exitCode: report.ok ? 0 : 1 };
+  },
+
+  async 'schema clean'() {
+    const result = await new SchemaCleaner().clean();
+    return { result, exitCode: 0 };
+  },
+
+  async 'schema verify'() {
+    const result = await new SchemaVerifier().verify();
+    return { result, exitCode: result.complete ? 0 : 1 };
+  },
+
+  async 'data migrate'(flags) {
+    const plan = flags['apply-plan'] ? await loadPlan(flags['apply-plan'], 'migrate_to_supabase') : null;
+    const migrator = new DatabaseMigrator({
+      resume: Boolean(flags.resume),
+      stateBackend: flags.state === 'table' ? 'table' : 'file',
+      transport: plan ? plan.transport : flags.transport,
+      mode: plan ? plan.mode : flags.mode || 'insert'
+    });
+
+    if (flags['dry-run'] || flags.plan) {
+      const built = plan || await migrator.dryRun();
+      printPlan(built);
+      if (typeof flags.plan === 'string') {
+        await savePlan(built, flags.plan);
+        console.log(`\n📝 Plan saved to ${flags.plan}`);
+      }
+      return { result: built, exitCode: 0 };
+    }
+
+    const results = await migrator.migrateDatabase({ plan });
+    const problems = Object.values(results).some(result => !result.schemaCreated || result.error || result.failed > 0);
+    return { result: results, exitCode: problems ? 1 : 0 };
+  },
+
+  async 'data verify'(flags) {
+    const checker = new MigrationStatusChecker({
+      tables: listFlag(flags.tables),
+      countsOnly: Boolean(flags['counts-only'])
+    });
+    const result = await checker.check();
+
+    if (flags.report) {
+      await fs.writeFile(flags.report, JSON.stringify(result, null, 2));
+      console.log(`📝 Full report written to ${flags.report}`);
+    }
+    return { result, exitCode: result.complete ? 0 : 1 };
+  },
+
+  async 'data sync'(flags) {
+    const syncer = new DeltaSyncer({
+      stateBackend: flags.state === 'table' ? 'table' : 'file',
+      transport: flags.transport,
+      tables: listFlag(flags.tables),
+      overlapSeconds: flags.overlap ? parseInt(flags.overlap) : 300,
+      since: flags.since || null
+    });
+    const result = await syncer.sync();
+    return { result, exitCode: result.clean ? 0 : 1 };
+  },
+
+  async 'conversations build'(flags) {
+    const builder = new ConversationCacheBuilder({
+      since: flags.since || null,
+      chats: listFlag(flags.chats),
+      maxMessages: flags['max-messages'] ? parseInt(flags['max-messages']) : null,
+      fixture: typeof flags.fixture === 'string' ? flags.fixture : null,
+      dryRun: Boolean(flags['dry-run'])
+    });
+    const result = await builder.build();
+    return { result, exitCode: 0 };
+  },
+
+  async 'analysis run'(flags) {
+    const analyzer = new SalesAnalyzer({
+      chats: listFlag(flags.chats),
+      reanalyze: Boolean(flags.reanalyze),
+      limit: flags.limit ? parseInt(flags.limit) : null,
+      fixture: typeof flags.fixture === 'string' ? flags.fixture : null,
+      dryRun: Boolean(flags['dry-run']),
+      concurrency: flags.concurrency ? parseInt(flags.concurrency) : null,
+      repairAttempts: flags['repair-attempts'] !== undefined ? parseInt(flags['repair-attempts']) : null
+    });
+    const result = await analyzer.analyze();
+    return { result, exitCode: result.failed + result.quarantined > 0 ? 1 : 0 };
+  },
+
+  async 'analysis schema'() {
+    const result = await new SalesAnalysisSchemaChecker().check();
+    return { result, exitCode: 0 };
+  },
+
+  async 'analysis history'(flags) {
+    const reporter = new LeadHistoryReporter({
+      chats: listFlag(flags.chats),
+      from: flags.from || null,
+      to: flags.to || null
+    });
+    const result = await reporter.report();
+    return { result, exitCode: result.missing?.length > 0 ? 1 : 0 };
+  },
+
+  async 'taxonomy show'(flags) {
+    const manager = new TaxonomyManager({ file: typeof flags.file === 'string' ? flags.file : null });
+    try {
+      const result = await manager.show();
+      return { result, exitCode: result.stale > 0 ? 1 : 0 };
+    } finally {
+      await manager.end();
+    }
+  },
+
+  async 'taxonomy publish'(flags) {
+    const manager = new TaxonomyManager({ file: typeof flags.file === 'string' ? flags.file : null });
+    try {
+      return { result: await manager.publish(), exitCode: 0 };
+    } finally {
+      await manager.end();
+    }
+  },
+
+  async 'taxonomy reclassify'(flags) {
+    const manager = new TaxonomyManager({ file: typeof flags.file === 'string' ? flags.file : null });
+    try {
+      const result = await manager.reclassify({
+        all: Boolean(flags.all),
+        dryRun: Boolean(flags['dry-run']),
+        reanalyze: Boolean(flags.reanalyze)
+      });
+      const { reanalysed } = result;
+      const problems = reanalysed ? reanalysed.quarantined + reanalysed.failed : result.unresolved.length;
+      return { result, exitCode: problems > 0 ? 1 : 0 };
+    } finally {
+      await manager.end();
+    }
+  },
+
+  async 'report export'(flags) {
+    const exporter = new SalesReportExporter({
+      format: flags.format || 'json',
+      out: flags.out || null,
+      from: flags.from || null,
+      to: flags.to || null,
+      categories: listFlag(flags.category)
+    });
+    const result = await exporter.export();
+    return { result, exitCode: 0 };
+  },
+
+  async config(flags) {
+    const groups = listFlag(flags.check) || ['source', 'target'];
+    const checks = {
+      source: () => getSourceConfig(),
+      target: () => getTargetConfig(),
+      supabase: () => requireSettings(['supabase']),
+      analysis: () => getProviderConfig()
+    };
+
+    const problems = [];
+    for (const group of groups) {
+      if (!checks[group]) {
+        throw new UsageError(`Unknown --check group "${group}" (expected ${Object.keys(checks).join(', ')})`);
+      }
+      try {
+        checks[group]();
+      } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        problems.push(...error.problems);
+      }
+    }
+
+    const settings = describeSettings();
+    console.log(`⚙️ Profile: ${activeProfile() || 'none (.env and environment only)'}`);
+    for (const setting of settings.filter(setting => setting.value !== null)) {
+      console.log(`  ${setting.name}=${setting.value}  (${setting.origin})`);
+    }
+    console.log(problems.length > 0
+      ? `❌ ${problems.length} problem(s) for ${groups.join(', ')}:\n  - ${problems.join('\n  - ')}`
+      : `✅ Settings for ${groups.join(', ')} are valid`);
+
+    return { result: { profile: activeProfile(), settings, problems }, exitCode: problems.length > 0 ? 1 : 0 };
+  },
+
+  async 'secrets check'() {
+    const { scanned, findings } = scanFiles();
+
+    for (const finding of findings) {
+      console.log(`  ❌ ${finding.file}:${finding.line} ${finding.rule}: ${finding.excerpt}`);
+    }
+    const files = new Set(findings.map(finding => finding.file)).size;
+    console.log(findings.length > 0
+      ? `🔐 ${findings.length} embedded credential(s) in ${files} file(s) - move them to deploy/secrets.env and reference them as \${NAME}`
+      : `✅ No embedded credentials in ${scanned} files`);
+
+    return { result: { scanned, findings }, exitCode: findings.length > 0 ? 1 : 0 };
+  },
+
+  async 'secrets render'(flags) {
+    if (typeof flags.template !== 'string') {
+      throw new UsageError('secrets render needs --template=<file>');
+    }
+    if (flags.json && !flags.out) {
+      throw new UsageError('secrets render --json needs --out=<file>: stdout carries the JSON result');
+    }
+
+    const rendered = await renderFile(flags.template, { secretsFile: flags.secrets || null, out: flags.out || null });
+    if (flags.out) {
+      console.log(`✅ ${flags.template} rendered to ${flags.out} (${rendered.variables.join(', ') || 'no references'})`);
+    } else {
+      process.stdout.write(rendered.text);
+    }
+
+    // The rendered text holds the secrets, so it stays out of the result
+    return { result: { template: rendered.template, out: rendered.out, variables: rendered.variables }, exitCode: 0 };
+  },
+
+  async status(flags) {
+    // Analysis migrations can only be read over a direct connection
+    const config = getTargetConfig(process.env);
+    const target = config.transport === 'pg' ? createTargetTransport(config) : null;
+    if (flags.state === 'table' && !target) {
+      throw new Error('--state=table needs the pg transport');
+    }
+
+    try {
+      const progress = await collectMigrationStatus({ pool: flags.state === 'table' ? target.pool : null });
+      const runner = target ? new MigrationRunner({ pool: target.pool }) : null;
+      const analysisInitialised = runner ? await runner.initialised() : false;
+      const analysis = analysisInitialised ? (await runner.status()).entries : null;
+
+      console.log('📋 Checkpoints');
+      if (!progress.initialised.checkpoints) {
+        console.log('  📭 Not initialised: no migration has run yet');
+      } else if (Object.keys(progress.checkpoints).length === 0) {
+        console.log('  📭 No migration has run yet');
+      }
+      for (const [scope, tables] of Object.entries(progress.checkpoints)) {
+        const entries = Object.entries(tables);
+        const complete = entries.filter(([, checkpoint]) => checkpoint.completed).length;
+        console.log(`  ${complete === entries.length ? '✅' : '⏯️'} ${scope}: ${complete}/${entries.length} tables complete`);
+        for (const [tableName, checkpoint] of entries.filter(([, checkpoint]) => !checkpoint.completed)) {
+          console.log(`    ⏸️ ${tableName}: ${(checkpoint.rowsCommitted || 0).toLocaleString()} rows committed`);
+        }
+      }
+
+      const failures = Object.entries(progress.failures);
+      console.log(!progress.initialised.failures
+        ? '🪦 Rejected rows: not initialised'
+        : failures.length > 0
+          ? `🪦 Rejected rows: ${failures.map(([tableName, count]) => `${tableName} ${count}`).join(', ')}`
+          : '🪦 No rejected rows');
+
+      const notApplied = analysis ? analysis.filter(entry => entry.state !== 'applied') : [];
+      if (analysis) {
+        console.log(`📐 Analysis migrations: ${analysis.length - notApplied.length} applied${notApplied.length > 0 ? `, ${notApplied.map(entry => `${entry.version} ${entry.state}`).join(', ')}` : ''}`);
+      } else if (runner) {
+        console.log('📐 Analysis migrations: not initialised (node migrate_analysis.js up)');
+      } else {
+        console.log('📐 Analysis migrations: not checked (needs TARGET_DATABASE_URL or TARGET_DB_*)');
+      }
+
+      // A database no migration ran on has every analysis migration pending
+      const problems = progress.incomplete.length > 0 || failures.length > 0 || notApplied.length > 0 || (runner !== null && !analysisInitialised);
+      return { result: { ...progress, analysisMigrations: analysis }, exitCode: problems ? 1 : 0 };
+
+    } finally {
+      if (target) await target.end();
+    }
+  }
+};
+
+async function main() {
+  const { positionals, flags } = parseArgs(process.argv.slice(2));
+  const command = positionals.join(' ');
+
+  if (flags.help || positionals.length === 0) {
+    console.log(USAGE);
+    process.exit(flags.help ? 0 : 2);
+  }
+
+  // Keep stdout for the JSON result
+  if (flags.json) {
+    console.log = console.error;
+  }
+
+  let outcome;
+  try {
+    if (!COMMANDS[command]) {
+      throw new UsageError(`Unknown command "${command}"`);
+    }
+    outcome = { command, ...(await COMMANDS[command](flags)) };
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`💥 ${error.message}\n\n${USAGE}`);
+    } else if (error instanceof ConfigError) {
+      console.error('💥 Configuration error:', error.message);
+    } else {
+      console.error(`💥 ${command} failed:`, error.message);
+    }
+    outcome = { command, exitCode: 2, error: error.message };
+  }
+
+  if (flags.json) {
+    // Exit once the result is flushed, even when stdout is a pipe
+    process.stdout.write(redactSecrets(JSON.stringify({ ...outcome, ok: outcome.exitCode === 0 }, null, 2)) + '\n', () => process.exit(outcome.exitCode));
+    return;
+  }
+  process.exit(outcome.exitCode);
+}
+
+main();